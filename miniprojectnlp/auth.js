@@ -0,0 +1,479 @@
+// ============================================
+// AUTH.JS - Authentification, espaces de travail et permissions
+// ============================================
+// Sans authentification, toute personne qui atteint le port 3000 peut
+// uploader des documents et interroger tout le corpus. Ce fichier contient :
+// 1. Les comptes (fichier data/users.json, géré par la ligne de commande)
+// 2. Les identifiants : clés d'API et mots de passe (jamais stockés en clair)
+// 3. Les sessions (connexion par mot de passe depuis l'interface web)
+//    et la limite des tentatives de connexion
+// 4. Le middleware Express qui identifie l'appelant (req.user)
+// 5. Les permissions des documents (qui peut les lire, les modifier)
+//
+// Chaque compte appartient à un espace de travail ("workspace") : un corpus,
+// des uploads et des conversations séparés des autres espaces.
+// Dans un espace, chaque document a un propriétaire et une visibilité :
+// - workspace : tous les membres de l'espace (par défaut)
+// - private   : son propriétaire seulement
+// - groupes   : les membres de ces groupes (ex: ["rh", "direction"])
+//
+// Gestion des comptes :
+//   node auth.js add-user alice --workspace equipe-a --groups rh,direction [--admin]
+//   echo "mot de passe" | node auth.js set-password alice
+//   node auth.js new-key alice
+//   node auth.js remove-user alice
+//   node auth.js list
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Fichier des comptes (modifiable par la variable AUTH_FILE)
+const DEFAULT_USERS_FILE = path.join(__dirname, 'data', 'users.json');
+
+// Identifiants de comptes, d'espaces et de groupes (servent aussi de noms de dossiers)
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Nom du cookie de session et durée de validité
+const SESSION_COOKIE = 'rag_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Tentatives de connexion ratées : au-delà de ces nombres dans la fenêtre glissante,
+// les connexions sont refusées (429) jusqu'à ce que la plus ancienne sorte de la fenêtre
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+const LOGIN_MAX_FAILURES_PER_ACCOUNT = 5;
+
+// Visibilités d'un document (en plus d'une liste de groupes)
+const ACCESS_LEVELS = ['workspace', 'private'];
+
+// ============================================
+// PARTIE 1 : COMPTES
+// ============================================
+
+/**
+ * Fichier des comptes :
+ * { "users": [{ id, workspace, groups, admin, keys: ["<sha256>"], password: "scrypt$<sel>$<hash>" }] }
+ */
+function usersFile(env = process.env) {
+  return env.AUTH_FILE || DEFAULT_USERS_FILE;
+}
+
+// Comptes en mémoire (relus quand le fichier change)
+let cache = { file: null, mtimeMs: null, users: [] };
+
+/**
+ * Lit les comptes ([] si le fichier n'existe pas)
+ */
+function loadUsers(file = usersFile()) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return [];
+  }
+  if (cache.file !== file || cache.mtimeMs !== stat.mtimeMs) {
+    cache = { file, mtimeMs: stat.mtimeMs, users: JSON.parse(fs.readFileSync(file, 'utf-8')).users || [] };
+  }
+  return cache.users;
+}
+
+/**
+ * Sauvegarde les comptes (lisible par le propriétaire du fichier seulement)
+ */
+function saveUsers(users, file = usersFile()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ users }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+}
+
+/**
+ * Vue publique d'un compte (sans clés ni mot de passe)
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    workspace: user.workspace,
+    groups: user.groups || [],
+    admin: Boolean(user.admin)
+  };
+}
+
+// ============================================
+// PARTIE 2 : IDENTIFIANTS
+// ============================================
+
+/**
+ * Empreinte d'une clé d'API (seule l'empreinte est stockée)
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Génère une clé d'API : "rag_" + 32 octets aléatoires
+ */
+function generateKey() {
+  return `rag_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Empreinte d'un mot de passe (scrypt, avec un sel aléatoire)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Vérifie un mot de passe (comparaison en temps constant)
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Trouve le compte d'une clé d'API (null si inconnue)
+ */
+function userByKey(key) {
+  const hash = hashKey(key);
+  return loadUsers().find((u) => (u.keys || []).includes(hash)) || null;
+}
+
+/**
+ * Vérifie un identifiant + mot de passe ; retourne le compte, ou null
+ */
+function checkPassword(id, password) {
+  const user = loadUsers().find((u) => u.id === id);
+  // Même coût de calcul que le compte existe ou non (ne pas révéler les comptes)
+  const ok = verifyPassword(password, user?.password || `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`);
+  return ok && user ? user : null;
+}
+
+// ============================================
+// PARTIE 3 : SESSIONS
+// ============================================
+
+// Sessions ouvertes : jeton → { userId, expiresAt } (en mémoire : un redémarrage déconnecte tout le monde)
+const sessions = new Map();
+
+/**
+ * Ouvre une session ; retourne son jeton (à mettre dans le cookie)
+ */
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  sessions.set(token, { userId, expiresAt: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+/**
+ * Ferme une session
+ */
+function destroySession(token) {
+  sessions.delete(token);
+}
+
+/**
+ * Compte d'une session (null si inconnue ou expirée)
+ */
+function userBySession(token) {
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return loadUsers().find((u) => u.id === session.userId) || null;
+}
+
+/**
+ * Échecs de connexion récents : "ip:<adresse>" ou "user:<identifiant>" → [dates (ms)]
+ * (en mémoire : un redémarrage remet les compteurs à zéro)
+ */
+const loginFailures = new Map();
+
+// Clés des compteurs d'une tentative (adresse IP de l'appelant, compte visé)
+function loginKeys({ ip, id }) {
+  const keys = [[`ip:${ip}`, LOGIN_MAX_FAILURES_PER_IP]];
+  if (id) keys.push([`user:${String(id).slice(0, 100)}`, LOGIN_MAX_FAILURES_PER_ACCOUNT]);
+  return keys;
+}
+
+// Échecs d'un compteur encore dans la fenêtre (les plus anciens sont oubliés)
+function recentFailures(key, now) {
+  const list = (loginFailures.get(key) || []).filter((time) => time > now - LOGIN_WINDOW_MS);
+  if (list.length) loginFailures.set(key, list);
+  else loginFailures.delete(key);
+  return list;
+}
+
+/**
+ * Délai avant de pouvoir retenter une connexion, en secondes (0 = tentative autorisée)
+ * Vérifié avant le mot de passe : un compte ou une adresse bloqués ne coûtent pas de calcul scrypt.
+ */
+function loginRetryAfter({ ip, id }, now = Date.now()) {
+  let waitMs = 0;
+  for (const [key, max] of loginKeys({ ip, id })) {
+    const list = recentFailures(key, now);
+    if (list.length >= max) {
+      // Libre quand assez d'échecs sont sortis de la fenêtre
+      waitMs = Math.max(waitMs, list[list.length - max] + LOGIN_WINDOW_MS - now);
+    }
+  }
+  return Math.ceil(waitMs / 1000);
+}
+
+/**
+ * Enregistre une tentative de connexion
+ * Un échec compte pour l'adresse IP et pour le compte ; un succès remet à zéro le compteur du compte.
+ */
+function recordLogin({ ip, id, ok }, now = Date.now()) {
+  if (ok) {
+    loginFailures.delete(`user:${String(id).slice(0, 100)}`);
+    return;
+  }
+  for (const [key] of loginKeys({ ip, id })) {
+    loginFailures.set(key, [...recentFailures(key, now), now]);
+  }
+
+  // Beaucoup d'adresses différentes : oublier les compteurs sortis de la fenêtre
+  if (loginFailures.size > 10000) {
+    for (const key of [...loginFailures.keys()]) recentFailures(key, now);
+  }
+}
+
+/**
+ * Lit un cookie de la requête (sans dépendance : en-tête "Cookie: a=1; b=2")
+ * Une valeur mal encodée (ex: "%E0") compte comme un cookie absent.
+ */
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * En-tête Set-Cookie de la session (HttpOnly : illisible par le JavaScript de la page ;
+ * SameSite=Strict : pas envoyé par un autre site, ce qui protège des requêtes forgées)
+ */
+function sessionCookie(req, token) {
+  const secure = req.secure ? '; Secure' : '';
+  return token
+    ? `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}${secure}`
+    : `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0${secure}`;
+}
+
+// ============================================
+// PARTIE 4 : MIDDLEWARE EXPRESS
+// ============================================
+
+/**
+ * Identifie l'appelant et remplit req.user ({ id, workspace, groups, admin })
+ *
+ * - Clé d'API : en-tête "Authorization: Bearer <clé>" ou "X-API-Key: <clé>"
+ * - Session   : cookie rag_session (après POST /api/login)
+ * - enabled = false (AUTH=off) : pas de contrôle, tout le monde est
+ *   l'administrateur de l'espace "default"
+ *
+ * Sans identifiant valide : 401
+ */
+function authenticate({ enabled = true } = {}) {
+  return (req, res, next) => {
+    if (!enabled) {
+      req.user = { id: 'anonymous', workspace: 'default', groups: [], admin: true };
+      return next();
+    }
+
+    const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+    const key = bearer || req.headers['x-api-key'];
+    const user = key ? userByKey(String(key)) : userBySession(readCookie(req, SESSION_COOKIE));
+
+    if (!user) return res.status(401).json({ error: 'Authentification requise (clé d\'API ou session)' });
+
+    req.user = publicUser(user);
+    next();
+  };
+}
+
+/**
+ * Lit la variable AUTH : "on" (par défaut) ou "off"
+ */
+function authEnabledFromEnv(env = process.env) {
+  const value = (env.AUTH || 'on').toLowerCase();
+  if (!['on', 'off'].includes(value)) {
+    throw new Error(`AUTH doit valoir on ou off (reçu: ${env.AUTH})`);
+  }
+  return value === 'on';
+}
+
+// ============================================
+// PARTIE 5 : PERMISSIONS DES DOCUMENTS
+// ============================================
+
+/**
+ * Lit une visibilité envoyée par le client
+ * "workspace" | "private" | "groups:rh,direction" (ou un tableau de groupes)
+ * Retourne "workspace", "private" ou ["rh", "direction"] ; null si invalide
+ */
+function parseAccess(value) {
+  if (value == null || value === '') return 'workspace';
+  if (ACCESS_LEVELS.includes(value)) return value;
+
+  const groups = Array.isArray(value)
+    ? value
+    : typeof value === 'string' && value.startsWith('groups:') ? value.slice(7).split(',').map((g) => g.trim()) : null;
+  if (!groups?.length || !groups.every((g) => typeof g === 'string' && NAME_PATTERN.test(g))) return null;
+  return [...new Set(groups)];
+}
+
+/**
+ * L'utilisateur peut-il lire ce document ?
+ * user = null : pas de restriction (outils en ligne de commande, évaluation)
+ * Les documents sans propriétaire (indexés avant l'authentification) sont visibles de tout l'espace.
+ */
+function canRead(doc, user) {
+  if (!user || user.admin || !doc.owner || doc.owner === user.id) return true;
+  if (doc.access === 'private') return false;
+  if (Array.isArray(doc.access)) return doc.access.some((g) => user.groups.includes(g));
+  return true;
+}
+
+/**
+ * L'utilisateur peut-il modifier ce document (nouvelle version, visibilité, suppression) ?
+ * Son propriétaire et les administrateurs de l'espace seulement.
+ */
+function canWrite(doc, user) {
+  return !user || user.admin || !doc.owner || doc.owner === user.id;
+}
+
+// ============================================
+// PARTIE 6 : LIGNE DE COMMANDE (gestion des comptes)
+// ============================================
+
+/**
+ * Lit l'entrée standard en entier (mot de passe passé par un tube)
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', (chunk) => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main(argv) {
+  const { parseArgs } = require('util');
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      workspace: { type: 'string' },
+      groups: { type: 'string' },
+      admin: { type: 'boolean' }
+    }
+  });
+  const [command, id] = positionals;
+  const users = loadUsers().map((u) => ({ ...u }));
+  const user = users.find((u) => u.id === id);
+
+  const requireUser = () => {
+    if (!user) throw new Error(`Compte inconnu: ${id}`);
+  };
+
+  if (command === 'list') {
+    users.map(publicUser).forEach((u) => {
+      console.log(`${u.id}  espace=${u.workspace}  groupes=${u.groups.join(',') || '-'}${u.admin ? '  admin' : ''}`);
+    });
+    return;
+  }
+
+  if (command === 'add-user') {
+    if (!NAME_PATTERN.test(id || '')) throw new Error('Identifiant invalide (minuscules, chiffres, - et _, 40 caractères max)');
+    if (user) throw new Error(`Le compte ${id} existe déjà`);
+
+    const workspace = values.workspace || id;
+    const groups = values.groups ? values.groups.split(',').map((g) => g.trim()).filter(Boolean) : [];
+    if (![workspace, ...groups].every((name) => NAME_PATTERN.test(name))) {
+      throw new Error('Espace ou groupe invalide (minuscules, chiffres, - et _, 40 caractères max)');
+    }
+
+    const key = generateKey();
+    users.push({ id, workspace, groups, admin: Boolean(values.admin), keys: [hashKey(key)], password: null });
+    saveUsers(users);
+    console.log(`✅ Compte ${id} créé (espace : ${workspace})`);
+    console.log(`🔑 Clé d'API (affichée une seule fois) : ${key}`);
+    return;
+  }
+
+  if (command === 'new-key') {
+    requireUser();
+    const key = generateKey();
+    user.keys = [...(user.keys || []), hashKey(key)];
+    saveUsers(users);
+    console.log(`🔑 Nouvelle clé d'API pour ${id} (affichée une seule fois) : ${key}`);
+    return;
+  }
+
+  if (command === 'set-password') {
+    requireUser();
+    const password = (await readStdin()).replace(/\r?\n$/, '');
+    if (password.length < 8) throw new Error('Mot de passe trop court (8 caractères minimum)');
+    user.password = hashPassword(password);
+    saveUsers(users);
+    console.log(`✅ Mot de passe de ${id} enregistré`);
+    return;
+  }
+
+  if (command === 'remove-user') {
+    requireUser();
+    saveUsers(users.filter((u) => u.id !== id));
+    console.log(`🗑️  Compte ${id} supprimé (ses documents restent dans l'espace ${user.workspace})`);
+    return;
+  }
+
+  throw new Error('Usage : node auth.js list | add-user <id> [--workspace w] [--groups a,b] [--admin] | new-key <id> | set-password <id> | remove-user <id>');
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  authenticate,         // Middleware : identifier l'appelant (req.user)
+  authEnabledFromEnv,   // Lire la variable AUTH
+  loadUsers,            // Lire les comptes
+  publicUser,           // Vue publique d'un compte (sans clés ni mot de passe)
+  checkPassword,        // Vérifier identifiant + mot de passe
+  loginRetryAfter,      // Délai avant une nouvelle tentative de connexion (trop d'échecs)
+  recordLogin,          // Compter une tentative de connexion (réussie ou ratée)
+  createSession,        // Ouvrir une session
+  destroySession,       // Fermer une session
+  readCookie,           // Lire un cookie de la requête
+  sessionCookie,        // En-tête Set-Cookie de la session
+  parseAccess,          // Lire une visibilité de document
+  canRead,              // Droit de lecture d'un document
+  canWrite,             // Droit de modification d'un document
+  NAME_PATTERN,         // Format des identifiants (comptes, espaces, groupes)
+  SESSION_COOKIE        // Nom du cookie de session
+};
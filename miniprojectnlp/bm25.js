@@ -0,0 +1,152 @@
+// ============================================
+// BM25.JS - Recherche lexicale (mots-clés)
+// ============================================
+// Les embeddings captent le sens d'un texte, mais ratent souvent les
+// termes exacts : sigles, numéros d'articles, noms propres...
+// Ce fichier contient :
+// 1. Une tokenisation adaptée au français
+// 2. Les statistiques de termes d'un chunk (calculées à l'indexation)
+// 3. Le score BM25 (classement par mots-clés)
+// 4. La fusion de plusieurs classements (Reciprocal Rank Fusion)
+
+// ============================================
+// PARTIE 1 : TOKENISATION
+// ============================================
+
+// Mots trop fréquents pour aider à distinguer les chunks (français + anglais)
+const STOPWORDS = new Set([
+  // Français (sans accents : la tokenisation les supprime)
+  'au', 'aux', 'avec', 'ce', 'ces', 'cet', 'cette', 'dans', 'de', 'des', 'du', 'elle', 'elles',
+  'en', 'est', 'et', 'etre', 'eux', 'il', 'ils', 'je', 'la', 'le', 'les', 'leur', 'leurs',
+  'lui', 'ma', 'mais', 'me', 'meme', 'mes', 'moi', 'mon', 'ne', 'nos', 'notre', 'nous', 'on',
+  'ou', 'par', 'pas', 'pour', 'qu', 'que', 'quel', 'quelle', 'quels', 'quelles', 'qui', 'sa',
+  'sans', 'se', 'ses', 'si', 'son', 'sont', 'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un',
+  'une', 'vos', 'votre', 'vous', 'ont', 'ai', 'as', 'avons', 'avez', 'etait', 'ete', 'fait',
+  'comme', 'plus', 'tout', 'tous', 'toute', 'toutes', 'aussi', 'donc', 'alors', 'entre',
+  // Anglais
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+  'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'which', 'with'
+]);
+
+/**
+ * Découpe un texte en termes de recherche
+ *
+ * Étapes :
+ * - minuscules + suppression des accents ("Données" → "donnees")
+ * - découpage sur tout ce qui n'est pas lettre/chiffre (gère les élisions : "l'article" → "article")
+ * - suppression des mots vides et des lettres isolées (les nombres sont gardés : "article 12")
+ * - racinisation légère : pluriel en -s / -x ("objectifs" → "objectif")
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')   // Supprimer les accents
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)))
+    .map((t) => (t.length > 3 && /[sx]$/.test(t) && !/\d/.test(t) ? t.slice(0, -1) : t));
+}
+
+// ============================================
+// PARTIE 2 : STATISTIQUES DE TERMES
+// ============================================
+
+/**
+ * Compte les termes d'un texte (calculé une fois à l'indexation)
+ * Exemple : { terms: { rag: 3, objectif: 1 }, termCount: 4 }
+ */
+function termFrequencies(text) {
+  const terms = Object.create(null);  // Pas de prototype : "constructor" est un terme comme un autre
+  const tokens = tokenize(text);
+  for (const token of tokens) {
+    terms[token] = (terms[token] || 0) + 1;
+  }
+  return { terms, termCount: tokens.length };
+}
+
+// ============================================
+// PARTIE 3 : SCORE BM25
+// ============================================
+
+/**
+ * Classe les chunks par pertinence lexicale (BM25)
+ *
+ * Pour chaque terme t de la question :
+ *   idf(t)   = ln(1 + (N - df + 0.5) / (df + 0.5))   (terme rare = plus important)
+ *   score   += idf(t) × tf × (k1 + 1) / (tf + k1 × (1 - b + b × longueur / longueurMoyenne))
+ *
+ * - k1 : saturation (répéter un mot 10 fois ne vaut pas 10 fois plus)
+ * - b  : normalisation par la longueur du chunk
+ *
+ * Retourne [{ item, score }] trié par score décroissant (seulement les chunks qui matchent)
+ */
+function bm25Search(items, query, { k1 = 1.2, b = 0.75 } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length || !items.length) return [];
+
+  // Les anciens index n'ont pas de statistiques : les calculer à la volée
+  const stats = items.map((item) => (item.terms ? item : termFrequencies(item.text)));
+
+  // Statistiques du corpus
+  const N = items.length;
+  const avgLength = stats.reduce((sum, s) => sum + s.termCount, 0) / N || 1;
+
+  // Nombre de chunks contenant chaque terme de la question
+  const idf = {};
+  for (const term of queryTerms) {
+    const df = stats.filter((s) => Object.hasOwn(s.terms, term)).length;
+    idf[term] = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+  }
+
+  return items
+    .map((item, i) => {
+      const { terms, termCount } = stats[i];
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = Object.hasOwn(terms, term) ? terms[term] : 0;
+        if (!tf) continue;
+        score += idf[term] * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * termCount / avgLength));
+      }
+      return { item, score };
+    })
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// ============================================
+// PARTIE 4 : FUSION DE CLASSEMENTS
+// ============================================
+
+/**
+ * Fusionne plusieurs classements avec la Reciprocal Rank Fusion (RRF)
+ *
+ * score(chunk) = Σ 1 / (k + rang)   (rang à partir de 1, dans chaque classement)
+ *
+ * On n'utilise que les rangs : pas besoin de rendre comparables
+ * un score cosinus (0..1) et un score BM25 (0..∞).
+ * k = 60 est la valeur classique (atténue l'écart entre les premiers rangs).
+ */
+function reciprocalRankFusion(rankings, { k = 60 } = {}) {
+  const fused = new Map();
+
+  for (const ranking of rankings) {
+    ranking.forEach((s, idx) => {
+      const entry = fused.get(s.item.id) || { item: s.item, score: 0 };
+      entry.score += 1 / (k + idx + 1);
+      fused.set(s.item.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  tokenize,               // Tokenisation française
+  termFrequencies,        // Statistiques de termes d'un texte
+  bm25Search,             // Classement lexical BM25
+  reciprocalRankFusion    // Fusion de classements
+};
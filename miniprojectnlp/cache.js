@@ -0,0 +1,303 @@
+// ============================================
+// CACHE.JS - Cache des embeddings et des réponses
+// ============================================
+// Deux appels aux modèles reviennent souvent pour rien :
+//
+// 1. Les embeddings : réindexer un document (autres réglages de chunking,
+//    index supprimé puis recréé...) revectorise des textes déjà vus, et chaque
+//    question est revectorisée même si elle a déjà été posée.
+//    → cache sur disque, par modèle et empreinte SHA-256 du texte :
+//      cache/embeddings/<modèle>.bin à côté de index.json
+//
+// 2. Les réponses : la même question (ou presque) posée une minute plus tard
+//    relance toute la génération.
+//    → cache en mémoire : si l'embedding d'une nouvelle question est assez proche
+//      (similarité cosinus ≥ seuil) de celui d'une question déjà traitée, avec les
+//      mêmes réglages et un index inchangé depuis, la réponse enregistrée est renvoyée.
+//
+// Les deux caches sont propres à un index (donc à un espace de travail).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dot } = require('./hnsw');
+const { normalize } = require('./store');
+
+// Fichier des embeddings d'un modèle :
+//   en-tête : dimension des vecteurs (uint32, 4 octets)
+//   puis un enregistrement par texte : empreinte SHA-256 (32 octets) + vecteur (Float32)
+const HEADER_BYTES = 4;
+const HASH_BYTES = 32;
+
+// Taille des blocs lus pour parcourir le fichier (les vecteurs ne sont lus qu'à la demande)
+const SCAN_BYTES = 4 * 1024 * 1024;
+
+// Caches ouverts (un par dossier de cache)
+const embeddingCaches = new Map();
+const answerCaches = new Map();
+
+/**
+ * Dossier de cache d'un index : cache/ à côté de index.json
+ */
+function cacheDirFor(indexPath) {
+  return path.join(path.dirname(path.resolve(indexPath)), 'cache');
+}
+
+// ============================================
+// PARTIE 1 : CACHE DES EMBEDDINGS (sur disque)
+// ============================================
+
+/**
+ * Ouvre le cache d'embeddings d'un dossier (gardé en mémoire entre les appels)
+ */
+function openEmbeddingCache(dir) {
+  const key = path.resolve(dir);
+  if (!embeddingCaches.has(key)) embeddingCaches.set(key, createEmbeddingCache(key));
+  return embeddingCaches.get(key);
+}
+
+/**
+ * Crée un cache d'embeddings
+ *
+ * Seules les positions des vecteurs sont gardées en mémoire (empreinte → position) ;
+ * chaque vecteur est relu dans le fichier quand on en a besoin.
+ * Le fichier ne fait que grandir : s'il a grandi entre-temps (autre processus, CLI...),
+ * les nouveaux enregistrements sont lus avant de chercher.
+ */
+function createEmbeddingCache(dir) {
+  const models = new Map();  // modèle → { file, dimensions, recordBytes, size, offsets }
+
+  /**
+   * Fichier d'un modèle (nom nettoyé : "nomic-embed-text:latest" → nomic-embed-text_latest.bin)
+   */
+  function fileOf(model) {
+    return path.join(dir, 'embeddings', `${model.replace(/[^a-zA-Z0-9._-]+/g, '_')}.bin`);
+  }
+
+  /**
+   * Parcourt les enregistrements du fichier entre deux positions (empreintes seulement)
+   * Retourne la position du premier octet non lu (un enregistrement incomplet n'est pas lu)
+   */
+  function scan(entry, from, to) {
+    const fd = fs.openSync(entry.file, 'r');
+    try {
+      const perBlock = Math.max(1, Math.floor(SCAN_BYTES / entry.recordBytes));
+      const buffer = Buffer.alloc(perBlock * entry.recordBytes);
+      let position = from;
+      while (position + entry.recordBytes <= to) {
+        const count = Math.min(perBlock, Math.floor((to - position) / entry.recordBytes));
+        fs.readSync(fd, buffer, 0, count * entry.recordBytes, position);
+        for (let k = 0; k < count; k++) {
+          const start = k * entry.recordBytes;
+          entry.offsets.set(buffer.toString('hex', start, start + HASH_BYTES), position + start);
+        }
+        position += count * entry.recordBytes;
+      }
+      return position;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * État du cache d'un modèle, à jour avec le fichier
+   * (null si rien n'a encore été enregistré pour ce modèle)
+   */
+  function refresh(model) {
+    const file = fileOf(model);
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch {
+      models.delete(model);
+      return null;
+    }
+
+    let entry = models.get(model);
+    // Fichier inconnu ou raccourci (supprimé puis recréé) : tout relire
+    if (!entry || size < entry.size) {
+      if (size < HEADER_BYTES) return null;
+      const header = Buffer.alloc(HEADER_BYTES);
+      const fd = fs.openSync(file, 'r');
+      try {
+        fs.readSync(fd, header, 0, HEADER_BYTES, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+      const dimensions = header.readUInt32LE(0);
+      entry = { file, dimensions, recordBytes: HASH_BYTES + dimensions * 4, size: HEADER_BYTES, offsets: new Map() };
+      models.set(model, entry);
+    }
+
+    if (size > entry.size) entry.size = scan(entry, entry.size, size);
+    return entry;
+  }
+
+  return {
+    /**
+     * Embedding d'un texte pour un modèle (Float32Array), ou null s'il n'est pas en cache
+     */
+    get(model, text) {
+      const entry = refresh(model);
+      const offset = entry?.offsets.get(sha256(text));
+      if (offset === undefined) return null;
+
+      const buffer = Buffer.alloc(entry.dimensions * 4);
+      const fd = fs.openSync(entry.file, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, offset + HASH_BYTES);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return new Float32Array(buffer.buffer, buffer.byteOffset, entry.dimensions);
+    },
+
+    /**
+     * Enregistre des embeddings : [{ text, vector }]
+     * Les textes déjà en cache et les vecteurs d'une autre dimension sont ignorés.
+     */
+    add(model, entries) {
+      let entry = refresh(model);
+      if (!entry) {
+        if (!entries.length) return;
+        // Premier enregistrement pour ce modèle : créer le fichier et son en-tête
+        const file = fileOf(model);
+        const header = Buffer.alloc(HEADER_BYTES);
+        header.writeUInt32LE(entries[0].vector.length, 0);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, header);
+        entry = refresh(model);
+      }
+
+      const seen = new Set();
+      const records = [];
+      for (const { text, vector } of entries) {
+        const hash = sha256(text);
+        if (vector.length !== entry.dimensions || entry.offsets.has(hash) || seen.has(hash)) continue;
+        seen.add(hash);
+        records.push(Buffer.from(hash, 'hex'), Buffer.from(Float32Array.from(vector).buffer));
+      }
+      if (!records.length) return;
+
+      // Un enregistrement incomplet en fin de fichier (arrêt brutal pendant l'écriture)
+      // décalerait tous les suivants : le retirer avant d'ajouter
+      const size = fs.statSync(entry.file).size;
+      const excess = (size - HEADER_BYTES) % entry.recordBytes;
+      if (excess) fs.truncateSync(entry.file, size - excess);
+
+      fs.appendFileSync(entry.file, Buffer.concat(records));
+      refresh(model);
+    },
+
+    /**
+     * Nombre d'embeddings en cache pour un modèle
+     */
+    size(model) {
+      return refresh(model)?.offsets.size ?? 0;
+    }
+  };
+}
+
+/**
+ * Empreinte SHA-256 d'un texte (hexadécimal)
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// ============================================
+// PARTIE 2 : CACHE DES RÉPONSES (en mémoire)
+// ============================================
+
+/**
+ * Ouvre le cache de réponses d'un index (gardé en mémoire entre les requêtes)
+ *
+ * Options (prises à la première ouverture) :
+ * - maxEntries : nombre de réponses gardées (les moins récemment servies sont oubliées)
+ * - threshold  : similarité cosinus minimale entre deux questions pour réutiliser la réponse
+ */
+function openAnswerCache(indexPath, options) {
+  const key = path.resolve(indexPath);
+  if (!answerCaches.has(key)) answerCaches.set(key, createAnswerCache(options));
+  return answerCaches.get(key);
+}
+
+/**
+ * Crée un cache de réponses
+ *
+ * Une entrée n'est réutilisée que si :
+ * - l'index n'a pas changé depuis (même version ; sinon tout le cache est vidé),
+ * - les réglages de la question sont les mêmes ("scope" : modèles, filtres, top-K,
+ *   documents lisibles par l'utilisateur...),
+ * - la question est assez proche (similarité des embeddings ≥ threshold).
+ */
+function createAnswerCache({ maxEntries = 500, threshold = 0.95 } = {}) {
+  let version = null;
+  let entries = [];  // [{ scope, embedding, question, result, createdAt }], la plus récemment servie en dernier
+
+  /**
+   * Oublie les réponses d'une autre version de l'index
+   */
+  function sync(indexVersion) {
+    if (indexVersion !== version) {
+      version = indexVersion;
+      entries = [];
+    }
+  }
+
+  return {
+    /**
+     * Réponse enregistrée pour une question proche, ou null
+     * key : { version, scope, embedding }
+     * Retourne { question, result, createdAt, similarity }
+     */
+    find({ version: indexVersion, scope, embedding }) {
+      sync(indexVersion);
+      const query = normalize(embedding);
+
+      let best = null;
+      let bestScore = -Infinity;
+      for (const entry of entries) {
+        if (entry.scope !== scope) continue;
+        const score = dot(query, entry.embedding);
+        if (score >= threshold && score > bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+      if (!best) return null;
+
+      // Entrée servie : la garder le plus longtemps possible
+      entries.splice(entries.indexOf(best), 1);
+      entries.push(best);
+      return { question: best.question, result: best.result, createdAt: best.createdAt, similarity: bestScore };
+    },
+
+    /**
+     * Enregistre la réponse à une question
+     */
+    set({ version: indexVersion, scope, embedding }, question, result) {
+      if (maxEntries <= 0) return;
+      sync(indexVersion);
+      entries.push({ scope, embedding: normalize(embedding), question, result, createdAt: new Date().toISOString() });
+      if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+    },
+
+    /**
+     * Nombre de réponses en cache
+     */
+    size() {
+      return entries.length;
+    }
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  cacheDirFor,          // Dossier de cache d'un index
+  openEmbeddingCache,   // Ouvrir le cache d'embeddings d'un dossier
+  openAnswerCache       // Ouvrir le cache de réponses d'un index
+};
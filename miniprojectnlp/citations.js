@@ -0,0 +1,184 @@
+// ============================================
+// CITATIONS.JS - Vérification des citations de la réponse
+// ============================================
+// Le LLM reçoit les passages numérotés ([#1], [#2]...) et doit citer,
+// après chaque phrase, le numéro du passage qui la justifie :
+//   "Le budget est de 3 M€ [#2]. Il baisse en 2024 [#2][#4]."
+// Rien ne garantit qu'il le fasse correctement. Ce fichier :
+// 1. Découpe la réponse en affirmations (phrases) et lit leurs marqueurs
+// 2. Relie chaque marqueur au chunk correspondant (id, source, pages)
+// 3. Cherche dans le chunk la phrase qui soutient le mieux l'affirmation
+// 4. Signale les citations invalides (numéro absent du contexte)
+//    et les affirmations sans citation
+
+const { tokenize } = require('./bm25');
+
+// Marqueur de citation : [#2], [#1, #3], [#1,3]
+const MARKER = /\[#\s*\d+(?:\s*[,;]\s*#?\s*\d+)*\s*\]/g;
+
+// Fin de phrase dans une réponse : ponctuation (suivie de ses éventuels marqueurs) puis espace,
+// ou saut de ligne. "texte. [#1] Suite" et "texte [#1]. Suite" sont coupés après le marqueur.
+const ANSWER_BOUNDARY = /(?<=[.!?…](?:\s*\[#[^\]]*\])*)\s+(?!\[#)|\n+/g;
+
+// Fin de phrase dans un chunk
+const CHUNK_BOUNDARY = /(?<=[.!?…])\s+|\n+/g;
+
+// Ancienne consigne "section Sources" : ces lignes ne sont pas des affirmations
+const SOURCES_LINE = /^\**sources?\**\s*:/i;
+
+// ============================================
+// PARTIE 1 : DÉCOUPAGE
+// ============================================
+
+/**
+ * Découpe un texte en segments entre deux séparateurs
+ * Retourne [{ text, start, end }] (positions dans le texte, espaces exclus)
+ */
+function segments(text, boundary) {
+  const result = [];
+  const push = (from, to) => {
+    const raw = text.slice(from, to);
+    const start = from + (raw.length - raw.trimStart().length);
+    const end = to - (raw.length - raw.trimEnd().length);
+    if (end > start) result.push({ text: text.slice(start, end), start, end });
+  };
+
+  let from = 0;
+  for (const match of text.matchAll(boundary)) {
+    push(from, match.index);
+    from = match.index + match[0].length;
+  }
+  push(from, text.length);
+  return result;
+}
+
+/**
+ * Découpe la réponse en affirmations, avec leurs marqueurs
+ * Retourne [{ text, markers: [{ numbers, start, end }] }]
+ * (text : la phrase sans ses marqueurs ; start/end : position du marqueur dans la réponse)
+ */
+function splitClaims(answer) {
+  const claims = [];
+
+  for (const sentence of segments(answer, ANSWER_BOUNDARY)) {
+    if (SOURCES_LINE.test(sentence.text)) continue;
+
+    const markers = [...sentence.text.matchAll(MARKER)].map((m) => ({
+      numbers: m[0].match(/\d+/g).map(Number),
+      start: sentence.start + m.index,
+      end: sentence.start + m.index + m[0].length
+    }));
+    const text = sentence.text.replace(MARKER, '').replace(/\s+([.,;:!?])/g, '$1').replace(/\s+/g, ' ').trim();
+
+    // Marqueurs seuls sur leur ligne : ils citent la phrase précédente
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      if (claims.length) claims.at(-1).markers.push(...markers);
+      continue;
+    }
+    claims.push({ text, markers });
+  }
+  return claims;
+}
+
+// ============================================
+// PARTIE 2 : PASSAGE QUI SOUTIENT UNE AFFIRMATION
+// ============================================
+
+/**
+ * Cherche la phrase du chunk la plus proche de l'affirmation
+ * (part des termes de l'affirmation présents dans la phrase)
+ *
+ * Retourne { span: { start, end, text }, overlap } ; span = position dans le texte du chunk
+ * overlap = 0 : aucun terme en commun, le passage ne soutient probablement pas l'affirmation
+ */
+function supportingSpan(claim, chunkText) {
+  const terms = new Set(tokenize(claim));
+  let best = null;
+  let bestOverlap = -1;
+
+  for (const sentence of segments(chunkText, CHUNK_BOUNDARY)) {
+    const words = new Set(tokenize(sentence.text));
+    const found = [...terms].filter((t) => words.has(t)).length;
+    const overlap = terms.size ? found / terms.size : 0;
+    if (overlap > bestOverlap) {
+      best = sentence;
+      bestOverlap = overlap;
+    }
+  }
+
+  if (!best) return { span: null, overlap: 0 };
+  return {
+    span: { start: best.start, end: best.end, text: best.text },
+    overlap: Number(bestOverlap.toFixed(2))
+  };
+}
+
+// ============================================
+// PARTIE 3 : CITATIONS
+// ============================================
+
+/**
+ * Relie les marqueurs de la réponse aux chunks du contexte
+ *
+ * scored : chunks envoyés au LLM, dans l'ordre du contexte ([#1] = scored[0])
+ *
+ * Retourne :
+ * - citations     : une entrée par numéro cité, dans l'ordre de la réponse
+ *   { marker, valid, chunkId, source, pageStart, pageEnd, claim, start, end, span, overlap }
+ *   valid = false : le numéro ne correspond à aucun passage du contexte (chunkId = null)
+ * - uncitedClaims : affirmations sans aucun marqueur
+ */
+function extractCitations(answer, scored) {
+  const citations = [];
+  const uncitedClaims = [];
+
+  for (const claim of splitClaims(answer)) {
+    if (!claim.markers.length) {
+      uncitedClaims.push(claim.text);
+      continue;
+    }
+
+    for (const marker of claim.markers) {
+      for (const number of marker.numbers) {
+        const item = scored[number - 1]?.item;
+        const base = { marker: number, claim: claim.text, start: marker.start, end: marker.end };
+
+        if (!item) {
+          citations.push({
+            ...base,
+            valid: false,
+            chunkId: null,
+            source: null,
+            pageStart: null,
+            pageEnd: null,
+            span: null,
+            overlap: 0
+          });
+          continue;
+        }
+
+        citations.push({
+          ...base,
+          valid: true,
+          chunkId: item.id,
+          source: item.source,
+          pageStart: item.pageStart ?? null,
+          pageEnd: item.pageEnd ?? null,
+          ...supportingSpan(claim.text, item.text)
+        });
+      }
+    }
+  }
+
+  return { citations, uncitedClaims };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  extractCitations,   // Relier les marqueurs [#n] de la réponse aux chunks du contexte
+  splitClaims,        // Découper une réponse en affirmations + marqueurs
+  supportingSpan      // Phrase d'un chunk qui soutient le mieux une affirmation
+};
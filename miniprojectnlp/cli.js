@@ -0,0 +1,400 @@
+// ============================================
+// CLI.JS - Ligne de commande : indexer et interroger sans serveur
+// ============================================
+// Le même pipeline que l'API (rag.js), pour les scripts et les tâches planifiées :
+// indexer un dossier de documents depuis un cron, envoyer une réponse à un
+// autre outil (jq, mail...), nettoyer le corpus.
+//
+// Utilisation :
+//   node cli.js index rapport.pdf notes/ https://wiki.exemple.fr/page [--access private]
+//   node cli.js ask "Quel est le budget ?" [--doc rapport.pdf] [--pages 1-3] [--top-k 8]
+//   node cli.js ask "What is the budget?" --template concise --format json --schema budget.schema.json
+//   node cli.js list
+//   node cli.js rm <id ou nom> [...]
+//
+// --json : une sortie JSON sur stdout (y compris en cas d'erreur : { "ok": false, "error": ... }),
+// la progression et les messages restent sur stderr.
+//
+// Configuration : options, sinon celle du serveur (rag.config.json et variables d'environnement, voir config.js)
+//   --index         RAG_INDEX       fichier du corpus (défaut : celui de l'espace)
+//   --workspace     RAG_WORKSPACE   espace de travail (défaut : default → data/index.json)
+//   --provider      LLM_PROVIDER    fournisseur de modèles (+ LLM_BASE_URL, LLM_API_KEY...)
+//   --embed-model   EMBED_MODEL     modèle d'embeddings
+//   --chat-model    CHAT_MODEL      modèle de génération
+//   --rerank        RERANK          reclassement (+ RERANK_MODEL)
+//   --top-k         TOP_K           nombre de chunks envoyés au LLM
+//   --template      PROMPT_TEMPLATE modèle de prompt de la réponse (voir prompts.js)
+//   --language      ANSWER_LANGUAGE langue de la réponse (défaut : auto, celle de la question)
+//   --chunk-tokens, --overlap-tokens  CHUNK_TOKENS, OVERLAP_TOKENS
+//   PDF_MAX_PAGES, UPLOAD_MAX_MB, OCR, VECTOR_INDEX : comme pour le serveur
+//
+// Codes de sortie : 0 = succès, 1 = erreur (au moins un document non indexé,
+// document introuvable...), 2 = commande ou option invalide.
+// Les documents n'ont pas de propriétaire et la recherche porte sur tout le corpus
+// (accès direct aux fichiers, comme un administrateur).
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  indexDocument,
+  answerQuestion,
+  listDocuments,
+  deleteDocument,
+  parsePageRanges,
+  RETRIEVAL_MODES,
+  RERANK_MODES
+} = require('./rag');
+const { findLoader } = require('./loaders');
+const { parseAccess } = require('./auth');
+const { createProvider, providerFromEnv } = require('./providers');
+const { loadConfig, MAX_TOP_K } = require('./config');
+const { forgetDocumentTasks } = require('./doctasks');
+const { LANGUAGES, OUTPUT_FORMATS } = require('./prompts');
+
+// Dossier des données (même organisation que le serveur)
+const DATA_DIR = path.join(__dirname, 'data');
+
+const USAGE = [
+  'Usage :',
+  '  node cli.js index <fichiers | dossiers | URL...> [--access workspace|private|groups:a,b]',
+  '  node cli.js ask "question" [--doc id-ou-nom] [--source motif] [--pages 1-3] [--top-k n] [--min-score s]',
+  '                             [--retrieval vector|lexical|hybrid] [--rerank none|mmr|llm|model]',
+  '                             [--template nom] [--language auto|fr|en|...] [--format text|markdown|json] [--schema fichier.json]',
+  '  node cli.js list',
+  '  node cli.js rm <id ou nom...>',
+  'Options communes : --json, --index fichier, --workspace espace, --provider type,',
+  '  --embed-model m, --chat-model m, --chunk-tokens n, --overlap-tokens n'
+].join('\n');
+
+/**
+ * Erreur d'utilisation (commande ou option invalide) : code de sortie 2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = 2;
+  }
+}
+
+// ============================================
+// PARTIE 1 : OPTIONS
+// ============================================
+
+/**
+ * Lit un nombre d'une option (valeur par défaut si absente)
+ */
+function numberOption(values, name, fallback, { integer = false, min, max } = {}) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  const valid = (integer ? Number.isInteger(value) : Number.isFinite(value))
+    && (min === undefined || value >= min) && (max === undefined || value <= max);
+  if (!valid) throw new UsageError(`--${name} invalide: ${values[name]}`);
+  return value;
+}
+
+/**
+ * Vérifie qu'une option fait partie des valeurs permises
+ */
+function choiceOption(value, name, choices) {
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} doit valoir: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Fichier du corpus : --index, sinon RAG_INDEX, sinon celui de l'espace de travail
+ * (l'espace "default" utilise data/index.json, les autres data/workspaces/<espace>/index.json)
+ */
+function resolveIndexPath(values, env = process.env) {
+  const explicit = values.index || env.RAG_INDEX;
+  if (explicit) return path.resolve(explicit);
+
+  const workspace = values.workspace || env.RAG_WORKSPACE || 'default';
+  if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(workspace)) throw new UsageError(`Espace de travail invalide: ${workspace}`);
+  return workspace === 'default'
+    ? path.join(DATA_DIR, 'index.json')
+    : path.join(DATA_DIR, 'workspaces', workspace, 'index.json');
+}
+
+/**
+ * Configuration commune à toutes les commandes : options, puis configuration du serveur
+ * (mêmes réglages d'indexation par défaut : sinon ses documents seraient signalés périmés)
+ */
+function configFromArgs(values, env = process.env) {
+  const defaults = loadConfig({ env });
+  return {
+    indexPath: resolveIndexPath(values, env),
+    provider: values.provider ? createProvider({ type: values.provider }) : providerFromEnv(env),
+    embedModel: values['embed-model'] || defaults.embedModel,
+    chatModel: values['chat-model'] || defaults.chatModel,
+    rerank: values.rerank || defaults.rerank,
+    rerankModel: defaults.rerankModel,
+    topK: numberOption(values, 'top-k', defaults.topK, { integer: true, min: 1, max: MAX_TOP_K }),
+    chunkTokens: numberOption(values, 'chunk-tokens', defaults.chunkTokens, { integer: true, min: 20 }),
+    overlapTokens: numberOption(values, 'overlap-tokens', defaults.overlapTokens, { integer: true, min: 0 }),
+    uploads: defaults.uploads,
+    prompts: defaults.prompts
+  };
+}
+
+// ============================================
+// PARTIE 2 : COMMANDES
+// ============================================
+
+/**
+ * Liste les documents à indexer : URL, fichiers, ou fichiers lisibles d'un dossier (sous-dossiers compris)
+ */
+function collectTargets(args) {
+  return args.flatMap((arg) => {
+    if (/^https?:\/\//i.test(arg)) return [{ url: arg }];
+
+    let stat;
+    try {
+      stat = fs.statSync(arg);
+    } catch {
+      throw new Error(`Fichier introuvable: ${arg}`);
+    }
+    if (!stat.isDirectory()) return [{ filePath: arg }];
+
+    return fs.readdirSync(arg, { recursive: true })
+      .sort()
+      .map((name) => path.join(arg, name))
+      .filter((file) => fs.statSync(file).isFile() && findLoader({ filename: file }))
+      .map((file) => ({ filePath: file }));
+  });
+}
+
+/**
+ * index : indexe chaque document (un échec n'arrête pas les suivants)
+ */
+async function runIndex(config, values, args, log) {
+  if (!args.length) throw new UsageError('index attend au moins un fichier, dossier ou URL');
+  const access = parseAccess(values.access);
+  if (!access) throw new UsageError(`--access invalide: ${values.access}`);
+
+  const targets = collectTargets(args);
+  const limits = config.uploads;
+  const results = [];
+
+  for (const [i, target] of targets.entries()) {
+    const name = target.url || target.filePath;
+    log(`📄 [${i + 1}/${targets.length}] ${name}`);
+    try {
+      const stats = await indexDocument({
+        ...target,
+        outPath: config.indexPath,
+        embedModel: config.embedModel,
+        chunkTokens: config.chunkTokens,
+        overlapTokens: config.overlapTokens,
+        maxPages: limits.maxPages,
+        maxBytes: limits.maxFileBytes,
+        access: values.access ? access : undefined,  // Sans --access : visibilité de la version précédente
+        provider: config.provider
+      });
+      log(stats.skipped ? '   ♻️  déjà indexé' : `   ✅ ${stats.chunks} chunks (${stats.embedded} vectorisés, ${stats.reused} réutilisés)`);
+      results.push({ input: name, ok: true, ...stats });
+    } catch (e) {
+      log(`   ❌ ${e.message}`);
+      results.push({ input: name, ok: false, error: e.message, code: e.code || null });
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  return {
+    ok: failed === 0,
+    result: { indexPath: config.indexPath, indexed: results.length - failed, failed, documents: results },
+    text: `${results.length - failed}/${results.length} documents indexés${failed ? `, ${failed} en échec` : ''}`
+  };
+}
+
+/**
+ * ask : répond à une question (réponse sur stdout, sources sur stderr en mode texte)
+ */
+async function runAsk(config, values, args, log) {
+  const question = args.join(' ').trim();
+  if (!question) throw new UsageError('ask attend une question');
+
+  const pages = values.pages ? parsePageRanges(values.pages) : [];
+  if (!pages) throw new UsageError(`--pages invalide: ${values.pages} (ex: 1-3,7)`);
+
+  // Schéma JSON de la sortie (fichier) : implique --format json
+  let schema = null;
+  if (values.schema) {
+    try {
+      schema = JSON.parse(fs.readFileSync(values.schema, 'utf-8'));
+    } catch (e) {
+      throw new UsageError(`--schema invalide: ${values.schema} (${e.message})`);
+    }
+  }
+  const format = choiceOption(values.format || (schema ? 'json' : 'text'), 'format', OUTPUT_FORMATS);
+  if (schema && format !== 'json') throw new UsageError('--schema demande --format json');
+
+  const result = await answerQuestion({
+    indexPath: config.indexPath,
+    question: question,
+    documents: values.doc || [],
+    sources: values.source || [],
+    pages: pages,
+    topK: config.topK,
+    minScore: numberOption(values, 'min-score', null, { min: -1, max: 1 }),
+    retrieval: choiceOption(values.retrieval || 'hybrid', 'retrieval', RETRIEVAL_MODES),
+    rerank: choiceOption(config.rerank, 'rerank', RERANK_MODES),
+    rerankModel: config.rerankModel,
+    embedModel: config.embedModel,
+    chatModel: config.chatModel,
+    template: values.template || config.prompts.template,
+    language: choiceOption(values.language || config.prompts.language, 'language', ['auto', ...Object.keys(LANGUAGES)]),
+    format: format,
+    schema: schema,
+    provider: config.provider
+  });
+
+  result.sources.forEach((s, i) => {
+    const pages = s.pageStart == null ? '' : s.pageStart === s.pageEnd ? `, p. ${s.pageStart}` : `, p. ${s.pageStart}-${s.pageEnd}`;
+    log(`[#${i + 1}] ${s.source}${pages} (score ${s.score})`);
+  });
+  result.formatErrors.forEach((error) => log(`⚠️  ${error}`));
+  return { ok: true, result, text: result.answer };
+}
+
+/**
+ * list : documents du corpus (avec les réglages qui diffèrent de ceux de la configuration)
+ */
+async function runList(config) {
+  const documents = fs.existsSync(config.indexPath)
+    ? listDocuments({ indexPath: config.indexPath, settings: config })
+    : [];
+  const lines = documents.map((doc) => [
+    doc.id,
+    doc.name,
+    `${doc.chunks} chunks`,
+    doc.pages ? `${doc.pages} p.` : doc.format,
+    doc.createdAt.slice(0, 10),
+    doc.stale.length ? `périmé (${doc.stale.join(', ')})` : ''
+  ].filter(Boolean).join('  '));
+  return { ok: true, result: { indexPath: config.indexPath, documents }, text: lines.join('\n') || 'Aucun document indexé' };
+}
+
+/**
+ * rm : retire des documents du corpus (par id ou par nom ; un nom partagé par plusieurs documents est refusé)
+ */
+async function runRm(config, values, args, log) {
+  if (!args.length) throw new UsageError('rm attend au moins un id ou nom de document');
+  const documents = fs.existsSync(config.indexPath) ? listDocuments({ indexPath: config.indexPath }) : [];
+  const removed = [];
+  const errors = [];
+
+  for (const arg of args) {
+    const matches = documents.filter((d) => d.id === arg || d.name === arg);
+    if (matches.length !== 1) {
+      errors.push({ input: arg, error: matches.length ? `Plusieurs documents s'appellent ${arg} : utiliser leur id` : `Document introuvable: ${arg}` });
+      log(`❌ ${errors[errors.length - 1].error}`);
+      continue;
+    }
+    const doc = deleteDocument({ indexPath: config.indexPath, docId: matches[0].id });
+    if (doc) {
+      forgetDocumentTasks({ indexPath: config.indexPath, docId: doc.id });
+      removed.push(doc);
+      log(`🗑️  ${doc.name} (${doc.chunks} chunks)`);
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    result: { indexPath: config.indexPath, removed, errors },
+    text: `${removed.length} document${removed.length > 1 ? 's' : ''} supprimé${removed.length > 1 ? 's' : ''}`
+  };
+}
+
+const COMMANDS = { index: runIndex, ask: runAsk, list: runList, rm: runRm };
+
+// ============================================
+// PARTIE 3 : POINT D'ENTRÉE
+// ============================================
+
+/**
+ * Exécute une commande ; retourne le code de sortie
+ * - texte : résultat sur stdout, progression et erreurs sur stderr
+ * - --json : un seul objet JSON sur stdout ({ ok, command, ... } ou { ok: false, error })
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  let json = argv.includes('--json');
+  const print = (value) => stdout.write(json ? JSON.stringify(value, null, 2) + '\n' : value + '\n');
+  const log = (message) => stderr.write(message + '\n');
+
+  try {
+    const { values, positionals } = (() => {
+      try {
+        return parseArgs({
+          args: argv,
+          allowPositionals: true,
+          options: {
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+            index: { type: 'string' },
+            workspace: { type: 'string' },
+            provider: { type: 'string' },
+            'embed-model': { type: 'string' },
+            'chat-model': { type: 'string' },
+            'chunk-tokens': { type: 'string' },
+            'overlap-tokens': { type: 'string' },
+            access: { type: 'string' },
+            doc: { type: 'string', multiple: true },
+            source: { type: 'string', multiple: true },
+            pages: { type: 'string' },
+            'top-k': { type: 'string' },
+            'min-score': { type: 'string' },
+            retrieval: { type: 'string' },
+            rerank: { type: 'string' },
+            template: { type: 'string' },
+            language: { type: 'string' },
+            format: { type: 'string' },
+            schema: { type: 'string' }
+          }
+        });
+      } catch (e) {
+        throw new UsageError(e.message);
+      }
+    })();
+    json = Boolean(values.json);
+
+    const [command, ...args] = positionals;
+    if (values.help) {
+      log(USAGE);
+      return 0;
+    }
+    if (!COMMANDS[command]) throw new UsageError(command ? `Commande inconnue: ${command}` : 'Commande manquante');
+
+    const config = configFromArgs(values, env);
+    const { ok, result, text } = await COMMANDS[command](config, values, args, log);
+    print(json ? { ok, command, ...result } : text);
+    return ok ? 0 : 1;
+  } catch (e) {
+    if (json) {
+      print({ ok: false, error: e.message, code: e.code || null });
+    } else {
+      log(`❌ ${e.message}`);
+      if (e instanceof UsageError) log(USAGE);
+    }
+    return e.exitCode || 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  main,               // Exécuter une commande (retourne le code de sortie)
+  resolveIndexPath,   // Fichier du corpus d'après les options et l'environnement
+  collectTargets      // Documents à indexer (fichiers, dossiers, URL)
+};
@@ -0,0 +1,190 @@
+// ============================================
+// CONFIG.JS - Chargement de la configuration (fichier + variables d'environnement)
+// ============================================
+// Les réglages (modèles, taille des chunks, top-K, port, fournisseur, limites...)
+// sont tous vérifiés ici au démarrage : une valeur invalide arrête le serveur
+// au lieu de provoquer des erreurs plus tard.
+//
+// Deux sources, avec les mêmes noms :
+// 1. Les variables d'environnement (EMBED_MODEL=bge-m3 node server.js)
+// 2. Un fichier JSON optionnel : rag.config.json à côté de server.js,
+//    ou le fichier indiqué par RAG_CONFIG
+//      { "EMBED_MODEL": "bge-m3", "CHUNK_TOKENS": 400, "LLM_PROVIDER": "openai" }
+// Une variable d'environnement définie l'emporte sur le fichier.
+// Les réglages généraux sont lus ici (SETTINGS). Ceux d'un module (providers.js,
+// store.js, uploads.js, ocr.js, auth.js, prompts.js) restent lus par ce module
+// dans process.env (MODULE_SETTINGS) : ils sont seulement vérifiés ici. Le fichier
+// complète donc process.env, pour que ces modules voient aussi ses valeurs.
+//
+// Le modèle d'embeddings de la configuration doit rester celui de l'index :
+// les vecteurs de deux modèles ne se comparent pas (voir indexCompatibility dans rag.js).
+
+const fs = require('fs');
+const path = require('path');
+const { providerFromEnv } = require('./providers');
+const { storeOptionsFromEnv } = require('./store');
+const { uploadLimitsFromEnv } = require('./uploads');
+const { ocrOptionsFromEnv } = require('./ocr');
+const { authEnabledFromEnv } = require('./auth');
+const { RERANK_MODES } = require('./rerank');
+const { promptOptionsFromEnv } = require('./prompts');
+
+// Fichier de configuration par défaut (optionnel)
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'rag.config.json');
+
+// Nombre maximal de chunks envoyés au LLM
+const MAX_TOP_K = 50;
+
+// Réglages lus ici : variable → { clé, valeur par défaut, type }
+const SETTINGS = {
+  PORT:                   { key: 'port', default: 3000, integer: { min: 1, max: 65535 } },
+  EMBED_MODEL:            { key: 'embedModel', default: 'nomic-embed-text' },
+  CHAT_MODEL:             { key: 'chatModel', default: 'llama3.2' },
+  RERANK_MODEL:           { key: 'rerankModel', default: 'bge-reranker-v2-m3' },
+  RERANK:                 { key: 'rerank', default: 'none', choices: RERANK_MODES },
+  TOP_K:                  { key: 'topK', default: 5, integer: { min: 1, max: MAX_TOP_K } },
+  CHUNK_TOKENS:           { key: 'chunkTokens', default: 300, integer: { min: 20 } },
+  OVERLAP_TOKENS:         { key: 'overlapTokens', default: 50, integer: { min: 0 } },
+  ANSWER_CACHE_SIZE:      { key: 'answerCacheSize', default: 500, integer: { min: 0 } },
+  ANSWER_CACHE_THRESHOLD: { key: 'answerCacheThreshold', default: 0.95, number: { min: 0, max: 1 } }
+};
+
+// Variables lues (et vérifiées) par les autres modules, acceptées aussi dans le fichier
+const MODULE_SETTINGS = [
+  'LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_TIMEOUT_MS', 'LLM_RETRIES', // providers.js
+  'VECTOR_INDEX',                                                                // store.js
+  'UPLOAD_MAX_MB', 'PDF_MAX_PAGES', 'UPLOAD_RETENTION_DAYS',                     // uploads.js
+  'OCR', 'OCR_LANGS', 'OCR_LANG_PATH',                                           // ocr.js
+  'AUTH', 'AUTH_FILE',                                                           // auth.js
+  'PROMPTS_DIR', 'PROMPT_TEMPLATE', 'ANSWER_LANGUAGE'                            // prompts.js
+];
+
+// Configuration chargée par getConfig()
+let current = null;
+
+// ============================================
+// PARTIE 1 : FICHIER DE CONFIGURATION
+// ============================================
+
+/**
+ * Lit le fichier de configuration
+ * Retourne {} si le fichier par défaut n'existe pas ; un fichier demandé par RAG_CONFIG doit exister.
+ * Les noms inconnus sont refusés (faute de frappe : "EMBED_MODELE").
+ */
+function readConfigFile(file, { required = false } = {}) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Fichier de configuration introuvable: ${file}`);
+    return {};
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`${file} : JSON invalide (${e.message})`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${file} : un objet { "VARIABLE": valeur } est attendu`);
+  }
+
+  const known = [...Object.keys(SETTINGS), ...MODULE_SETTINGS];
+  for (const [name, value] of Object.entries(values)) {
+    if (!known.includes(name)) {
+      throw new Error(`${file} : réglage inconnu ${name} (réglages possibles : ${known.join(', ')})`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`${file} : ${name} doit être une chaîne, un nombre ou un booléen`);
+    }
+  }
+  return values;
+}
+
+// ============================================
+// PARTIE 2 : VÉRIFICATION
+// ============================================
+
+/**
+ * Lit et vérifie un réglage (valeur par défaut si la variable est absente)
+ */
+function readSetting(env, name) {
+  const setting = SETTINGS[name];
+  const raw = env[name];
+  if (raw == null || raw === '') return setting.default;
+
+  if (setting.integer) {
+    const { min, max } = setting.integer;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+      throw new Error(`${name} doit être un entier ${max !== undefined ? `entre ${min} et ${max}` : `supérieur ou égal à ${min}`} (reçu: ${raw})`);
+    }
+    return value;
+  }
+  if (setting.number) {
+    const { min, max } = setting.number;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${name} doit être un nombre entre ${min} et ${max} (reçu: ${raw})`);
+    }
+    return value;
+  }
+  if (setting.choices && !setting.choices.includes(raw)) {
+    throw new Error(`${name} doit valoir: ${setting.choices.join(', ')} (reçu: ${raw})`);
+  }
+  return raw;
+}
+
+/**
+ * Charge la configuration : fichier, puis variables d'environnement
+ *
+ * - file : fichier de configuration (défaut : RAG_CONFIG, sinon rag.config.json)
+ * - env  : variables d'environnement ; complétées par les valeurs du fichier
+ *
+ * Tous les réglages sont vérifiés (y compris ceux des autres modules) ;
+ * la première valeur invalide lève une erreur.
+ * Retourne un objet figé : { file, port, embedModel, chatModel, rerankModel, rerank,
+ *   topK, chunkTokens, overlapTokens, answerCacheSize, answerCacheThreshold, provider, vectorIndex, uploads, ocr, auth, prompts }
+ */
+function loadConfig({ env = process.env, file = env.RAG_CONFIG || DEFAULT_CONFIG_FILE } = {}) {
+  const fromFile = readConfigFile(file, { required: Boolean(env.RAG_CONFIG) });
+  for (const [name, value] of Object.entries(fromFile)) {
+    if (env[name] == null || env[name] === '') env[name] = String(value);
+  }
+
+  const config = { file: Object.keys(fromFile).length ? path.resolve(file) : null };
+  for (const name of Object.keys(SETTINGS)) {
+    config[SETTINGS[name].key] = readSetting(env, name);
+  }
+  if (config.overlapTokens >= config.chunkTokens) {
+    throw new Error(`OVERLAP_TOKENS (${config.overlapTokens}) doit être inférieur à CHUNK_TOKENS (${config.chunkTokens})`);
+  }
+
+  // Réglages des autres modules : lus (et vérifiés) par leurs propres fonctions
+  const provider = providerFromEnv(env);
+  config.provider = { type: provider.name, baseUrl: provider.baseUrl || null };
+  config.vectorIndex = storeOptionsFromEnv(env).ann ? 'hnsw' : 'exact';
+  config.uploads = uploadLimitsFromEnv(env);
+  config.ocr = ocrOptionsFromEnv(env);
+  config.auth = authEnabledFromEnv(env);
+  config.prompts = promptOptionsFromEnv(env);
+
+  return Object.freeze(config);
+}
+
+/**
+ * Configuration du processus (chargée au premier appel, depuis process.env)
+ */
+function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  loadConfig,         // Charger et vérifier une configuration (fichier + environnement)
+  getConfig,          // Configuration du processus (chargée une fois)
+  readConfigFile,     // Lire un fichier de configuration
+  MAX_TOP_K           // Nombre maximal de chunks envoyés au LLM
+};
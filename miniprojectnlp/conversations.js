@@ -0,0 +1,90 @@
+// ============================================
+// CONVERSATIONS.JS - Historique des conversations
+// ============================================
+// Chaque conversation est un fichier JSON dans data/conversations/ :
+// { id, createdAt, updatedAt, messages: [{ role, content, ... }] }
+// Ce fichier contient les fonctions pour créer, charger,
+// sauvegarder et supprimer une conversation.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Format des identifiants (évite qu'un id du client sorte du dossier : "../../")
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+/**
+ * Chemin du fichier d'une conversation
+ */
+function conversationPath(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+/**
+ * Crée une nouvelle conversation (en mémoire, sauvegardée au premier échange)
+ */
+function newConversation() {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomBytes(8).toString('hex'),  // Identifiant de session
+    createdAt: now,
+    updatedAt: now,
+    messages: []                                 // Questions et réponses, dans l'ordre
+  };
+}
+
+/**
+ * Charge une conversation
+ * Retourne null si l'id est invalide ou si la conversation n'existe pas
+ */
+function loadConversation({ dir, id }) {
+  if (!ID_PATTERN.test(String(id))) return null;
+
+  const file = conversationPath(dir, id);
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Sauvegarde une conversation
+ */
+function saveConversation({ dir, conversation }) {
+  conversation.updatedAt = new Date().toISOString();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(conversationPath(dir, conversation.id), JSON.stringify(conversation, null, 2), 'utf-8');
+}
+
+/**
+ * Supprime une conversation
+ * Retourne false si elle n'existe pas
+ */
+function deleteConversation({ dir, id }) {
+  if (!ID_PATTERN.test(String(id))) return false;
+
+  const file = conversationPath(dir, id);
+  if (!fs.existsSync(file)) return false;
+
+  fs.unlinkSync(file);
+  return true;
+}
+
+/**
+ * Extrait l'historique à envoyer au LLM : les derniers messages, sans métadonnées
+ * (maxMessages = 6 → les 3 derniers échanges question/réponse)
+ * Les citations [#n] des anciennes réponses sont retirées : elles désignent
+ * les passages d'un autre contexte et tromperaient le LLM.
+ */
+function chatHistory(conversation, maxMessages = 6) {
+  return conversation.messages
+    .slice(-maxMessages)
+    .map((m) => ({ role: m.role, content: m.content.replace(/\s*\[#[^\]]*\]/g, '') }));
+}
+
+module.exports = {
+  newConversation,     // Créer une conversation
+  loadConversation,    // Charger une conversation par son id
+  saveConversation,    // Sauvegarder une conversation
+  deleteConversation,  // Supprimer une conversation
+  chatHistory          // Historique au format des messages Ollama
+};
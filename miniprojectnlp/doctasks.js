@@ -0,0 +1,281 @@
+// ============================================
+// DOCTASKS.JS - Résumé, plan et FAQ d'un document (map-reduce)
+// ============================================
+// answerQuestion ne voit que les top-K chunks les plus proches de la question :
+// "résume ce document" obtient une réponse construite sur 5 passages pris au hasard.
+// Les tâches portant sur tout un document passent par TOUS ses chunks :
+//
+// 1. MAP    : les chunks sont regroupés (dans l'ordre) en parties qui tiennent
+//             dans le contexte du modèle ; chaque partie est résumée à part
+// 2. REDUCE : les notes des parties sont fusionnées en un résultat final
+//             (par étapes si elles ne tiennent pas toutes dans un seul appel)
+//
+// Un document court (une seule partie) ne demande qu'un appel.
+// Les résultats sont gardés dans cache/documents/<id>.json à côté de l'index,
+// tant que le document n'est pas réindexé.
+
+const fs = require('fs');
+const path = require('path');
+const { openStore } = require('./store');
+const { getDefaultProvider } = require('./providers');
+const { getConfig } = require('./config');
+const { cacheDirFor } = require('./cache');
+const { buildMessages, estimateTokens, formatLocation } = require('./rag');
+
+// Taille maximale du texte envoyé en un appel (tokens approximatifs) :
+// assez petite pour le contexte par défaut d'Ollama (2048 tokens), consignes et réponse comprises
+const PART_TOKENS = 1500;
+
+// Nombre de questions de la FAQ
+const FAQ_SIZE = 8;
+
+// Tâches disponibles : consignes de l'étape map (une partie) et de l'étape reduce (résultat final)
+const TASKS = {
+  summary: {
+    map: [
+      'Tu résumes un extrait de document.',
+      'Écris un résumé fidèle et concis (3 à 5 phrases) de ses informations importantes : chiffres, dates, noms, conclusions.',
+      "N'invente rien. Écris dans la langue de l'extrait."
+    ].join(' '),
+    reduce: [
+      'Tu résumes un document à partir de son texte ou des résumés de ses parties, donnés dans l\'ordre.',
+      'Écris un résumé du document entier en un ou deux paragraphes (10 phrases au plus) : sujet, points principaux, conclusions.',
+      "N'invente rien. Écris dans la langue du document. Réponds UNIQUEMENT par le résumé."
+    ].join(' ')
+  },
+  outline: {
+    map: [
+      'Tu analyses un extrait de document.',
+      'Liste dans l\'ordre les sections et les sujets abordés, en liste Markdown ("- Titre : une ligne de description"),',
+      'avec les pages indiquées entre crochets. N\'invente rien.'
+    ].join(' '),
+    reduce: [
+      'Tu construis le plan d\'un document à partir de son texte ou des sujets de ses parties, donnés dans l\'ordre.',
+      'Écris le plan hiérarchique du document en liste Markdown imbriquée (parties, puis sous-parties indentées),',
+      'avec les pages entre parenthèses quand elles sont connues. Fusionne les doublons.',
+      'Écris dans la langue du document. Réponds UNIQUEMENT par le plan.'
+    ].join(' ')
+  },
+  faq: {
+    map: [
+      'Tu prépares une FAQ.',
+      "À partir de l'extrait, écris 2 ou 3 questions qu'un lecteur pourrait se poser, avec leur réponse tirée de l'extrait,",
+      'au format "Q: question" puis "R: réponse" sur la ligne suivante. N\'invente rien.'
+    ].join(' '),
+    reduce: [
+      'Tu prépares la FAQ d\'un document à partir de son texte ou de questions-réponses tirées de ses parties.',
+      `Garde les ${FAQ_SIZE} questions les plus utiles, sans doublons, avec des réponses tirées du document,`,
+      'au format "Q: question" puis "R: réponse" sur la ligne suivante.',
+      'Écris dans la langue du document. Réponds UNIQUEMENT par la FAQ.'
+    ].join(' ')
+  }
+};
+
+// Noms des tâches : 'summary', 'outline', 'faq'
+const DOCUMENT_TASKS = Object.keys(TASKS);
+
+// ============================================
+// PARTIE 1 : MAP-REDUCE
+// ============================================
+
+/**
+ * Regroupe des textes consécutifs en paquets d'au plus maxTokens
+ * (un texte plus long que maxTokens forme un paquet à lui seul)
+ */
+function pack(texts, maxTokens) {
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const text of texts) {
+    const size = estimateTokens(text);
+    if (current.length && tokens + size > maxTokens) {
+      groups.push(current.join('\n\n'));
+      current = [];
+      tokens = 0;
+    }
+    current.push(text);
+    tokens += size;
+  }
+  if (current.length) groups.push(current.join('\n\n'));
+  return groups;
+}
+
+/**
+ * Exécute une tâche en map-reduce sur des textes (dans l'ordre du document)
+ *
+ * - report({ stage, done, total }) : avancement (étapes "map" puis "reduce", en appels au modèle)
+ * Retourne { text, parts, calls }
+ */
+async function mapReduce({ texts, task, chatModel, provider, signal, report = () => {}, maxTokens = PART_TOKENS }) {
+  const { map, reduce } = TASKS[task];
+  let calls = 0;
+
+  const ask = async (system, user) => {
+    signal?.throwIfAborted();
+    calls++;
+    const reply = await provider.chat({ model: chatModel, messages: buildMessages({ system, user }), signal });
+    return reply.trim();
+  };
+
+  // Document court : un seul appel sur le texte complet
+  const parts = pack(texts, maxTokens);
+  if (parts.length === 1) {
+    report({ stage: 'reduce', done: 0, total: 1 });
+    const text = await ask(reduce, `DOCUMENT:\n${parts[0]}`);
+    return { text, parts: 1, calls };
+  }
+
+  // 1. MAP : une note par partie
+  let notes = [];
+  report({ stage: 'map', done: 0, total: parts.length });
+  for (const part of parts) {
+    notes.push(await ask(map, `EXTRAIT:\n${part}`));
+    report({ stage: 'map', done: notes.length, total: parts.length });
+  }
+
+  // 2. REDUCE : fusionner les notes, par paquets tant qu'elles ne tiennent pas en un appel
+  report({ stage: 'reduce', done: 0, total: null });
+  for (;;) {
+    const groups = pack(notes.map((note, i) => `PARTIE ${i + 1}:\n${note}`), maxTokens);
+    // Un seul paquet (ou plus aucun regroupement possible) : résultat final
+    if (groups.length === 1 || groups.length === notes.length) {
+      const text = await ask(reduce, `NOTES:\n${groups.join('\n\n')}`);
+      return { text, parts: parts.length, calls };
+    }
+    const merged = [];
+    for (const group of groups) merged.push(await ask(reduce, `NOTES:\n${group}`));
+    notes = merged;
+  }
+}
+
+/**
+ * Lit une FAQ au format "Q: ... / R: ..." → [{ question, answer }]
+ * (les lignes qui ne suivent pas ce format sont rattachées à la réponse en cours)
+ */
+function parseFaq(text) {
+  const items = [];
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim().replace(/^[-*\d.)\s]+(?=[QR]\s*:)/, '').replace(/\*\*/g, '');
+    const question = trimmed.match(/^Q\s*:\s*(.+)/);
+    const answer = trimmed.match(/^R\s*:\s*(.+)/);
+    if (question) {
+      items.push({ question: question[1].trim(), answer: '' });
+    } else if (answer && items.length) {
+      items.at(-1).answer = answer[1].trim();
+    } else if (trimmed && items.length && items.at(-1).answer) {
+      items.at(-1).answer += ` ${trimmed}`;
+    }
+  }
+  return items.filter((item) => item.answer);
+}
+
+// ============================================
+// PARTIE 2 : CACHE DES RÉSULTATS
+// ============================================
+
+/**
+ * Fichier des résultats d'un document : cache/documents/<id>.json
+ */
+function resultsPath(indexPath, docId) {
+  return path.join(cacheDirFor(indexPath), 'documents', `${docId}.json`);
+}
+
+/**
+ * Résultats enregistrés pour un document ({} s'il n'y en a pas)
+ */
+function readResults(indexPath, docId) {
+  try {
+    return JSON.parse(fs.readFileSync(resultsPath(indexPath, docId), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Résultat enregistré d'une tâche, ou null s'il n'existe pas ou ne vaut plus :
+ * document réindexé depuis (autre date d'indexation) ou autre modèle de chat
+ */
+function cachedDocumentTask({ indexPath, document, task, chatModel = getConfig().chatModel }) {
+  const result = readResults(indexPath, document.id)[task];
+  if (!result || result.documentIndexedAt !== document.createdAt || result.chatModel !== chatModel) return null;
+  return result;
+}
+
+/**
+ * Oublie les résultats d'un document (document retiré du corpus)
+ */
+function forgetDocumentTasks({ indexPath, docId }) {
+  fs.rmSync(resultsPath(indexPath, docId), { force: true });
+}
+
+// ============================================
+// PARTIE 3 : TÂCHES
+// ============================================
+
+/**
+ * Exécute une tâche sur un document et enregistre le résultat
+ *
+ * task : 'summary' (résumé), 'outline' (plan) ou 'faq' (questions-réponses)
+ * Retourne { task, documentId, text, items (FAQ : [{ question, answer }], sinon null),
+ *            chatModel, chunks, parts, calls, createdAt, documentIndexedAt }
+ */
+async function runDocumentTask({
+  indexPath,                          // Chemin du fichier index.json
+  docId,                              // Document à traiter
+  task,                               // 'summary', 'outline' ou 'faq'
+  chatModel = getConfig().chatModel,  // Modèle LLM
+  provider = getDefaultProvider(),    // Fournisseur de modèles
+  maxTokens = PART_TOKENS,            // Taille max du texte envoyé en un appel (tokens)
+  onProgress,                         // Callback ({ stage, done, total }) : étapes "map" puis "reduce"
+  signal                              // Signal d'annulation (optionnel)
+}) {
+  if (!TASKS[task]) throw new Error(`Tâche inconnue: ${task} (tâches possibles : ${DOCUMENT_TASKS.join(', ')})`);
+
+  const store = openStore(indexPath);
+  const document = store.documents().find((d) => d.id === docId);
+  if (!document) throw new Error(`Document introuvable: ${docId}`);
+
+  // Tous les chunks du document, dans l'ordre, avec leur emplacement (pages, titre de section)
+  const chunks = store.items()
+    .filter((item) => item.docId === docId)
+    .sort((a, b) => a.chunk - b.chunk);
+  const texts = chunks.map((item) => `[${formatLocation(item)}]\n${item.text}`);
+
+  const { text, parts, calls } = await mapReduce({
+    texts, task, chatModel, provider, signal, maxTokens,
+    report: (progress) => onProgress?.(progress)
+  });
+
+  const result = {
+    task: task,                                     // Tâche exécutée
+    documentId: docId,                              // Document traité
+    text: text,                                     // Résultat (texte, Markdown pour le plan)
+    items: task === 'faq' ? parseFaq(text) : null,  // FAQ : questions-réponses
+    chatModel: chatModel,                           // Modèle utilisé
+    chunks: chunks.length,                          // Chunks lus
+    parts: parts,                                   // Parties de l'étape map
+    calls: calls,                                   // Appels au modèle
+    createdAt: new Date().toISOString(),            // Date du résultat
+    documentIndexedAt: document.createdAt           // Date d'indexation du document (validité du cache)
+  };
+
+  // Enregistrer à côté des autres résultats du document
+  const file = resultsPath(indexPath, docId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...readResults(indexPath, docId), [task]: result }, null, 2), 'utf-8');
+
+  return result;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  runDocumentTask,      // Exécuter une tâche sur un document (résumé, plan, FAQ)
+  cachedDocumentTask,   // Résultat enregistré d'une tâche (s'il vaut toujours)
+  forgetDocumentTasks,  // Oublier les résultats d'un document
+  parseFaq,             // Lire une FAQ "Q: ... / R: ..."
+  DOCUMENT_TASKS        // Tâches disponibles
+};
@@ -0,0 +1,533 @@
+// ============================================
+// EVALUATE.JS - Évaluation de la recherche et des réponses
+// ============================================
+// Changer chunkTokens, topK, le mode de recherche ou les modèles sans
+// mesurer revient à régler "au jugé". Cette commande rejoue un jeu de
+// questions (JSONL) sur le pipeline RAG et calcule :
+// - recall@k    : part des passages attendus retrouvés dans les k premières sources
+// - MRR         : 1 / rang de la première source pertinente (moyenne sur les questions)
+// - correctness : la réponse correspond-elle à la réponse attendue ?
+// - faithfulness: la réponse est-elle justifiée par les passages retrouvés ?
+// Les deux derniers scores sont donnés par un LLM juge (--judge llm)
+// ou par recouvrement de termes (--judge overlap, sans modèle).
+//
+// Chaque exécution écrit un rapport JSON (configuration + scores) ;
+// --compare affiche plusieurs rapports côte à côte.
+//
+// Utilisation (eval/ contient un petit jeu d'exemple, utilisable sans modèle avec --provider fake) :
+//   node evaluate.js --dataset eval/questions.jsonl --docs eval/docs --provider fake --name base
+//   node evaluate.js --dataset eval/questions.jsonl --docs eval/docs --provider fake --name topk8 --top-k 8
+//   node evaluate.js --compare eval-reports/base.json eval-reports/topk8.json
+//
+// Format du jeu de questions (une question JSON par ligne) :
+//   { "id": "q1", "question": "Quel est le budget ?", "answer": "Trois millions d'euros.",
+//     "pages": [3], "source": "rapport.pdf" }
+// - answer : réponse attendue ; null = la réponse n'est pas dans le corpus
+//            (correct si le système répond "Je ne trouve pas...")
+// - chunks : chunks attendus, par id ("3f2a9c1b7e4d::chunk_5") ou par document ("rapport.pdf::chunk_5")
+// - pages  : pages attendues, nombres (du document "source", ou de n'importe quel document)
+//            ou objets { "source": "rapport.pdf", "page": 3 }
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { indexDocument, answerQuestion, getChunk, RETRIEVAL_MODES, RERANK_MODES } = require('./rag');
+const { findLoader } = require('./loaders');
+const { tokenize } = require('./bm25');
+const { createProvider, providerFromEnv } = require('./providers');
+const { getConfig } = require('./config');
+
+// Version du format des rapports (pour comparer des rapports compatibles)
+const REPORT_VERSION = 1;
+
+// Valeurs de k pour recall@k (limitées au topK de la configuration)
+const RECALL_AT = [1, 3, 5, 10];
+
+// Modes de notation des réponses
+const JUDGES = ['overlap', 'llm'];
+
+// ============================================
+// PARTIE 1 : JEU DE QUESTIONS
+// ============================================
+
+/**
+ * Lit un jeu de questions JSONL
+ * Les lignes vides et les commentaires (# ...) sont ignorés.
+ * Retourne { questions, sha256 } (l'empreinte permet de vérifier que deux rapports portent sur les mêmes questions)
+ */
+function readDataset(file) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const questions = [];
+
+  content.split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}, ligne ${i + 1} : JSON invalide (${e.message})`);
+    }
+    if (typeof entry.question !== 'string' || !entry.question.trim()) {
+      throw new Error(`${file}, ligne ${i + 1} : "question" manquante`);
+    }
+
+    // Passages attendus : chunks (ids) et pages ({ source, page })
+    const pages = (entry.pages || []).map((p) => (typeof p === 'number' ? { source: entry.source ?? null, page: p } : p));
+    if (pages.some((p) => !Number.isInteger(p.page))) {
+      throw new Error(`${file}, ligne ${i + 1} : "pages" doit contenir des numéros de page`);
+    }
+
+    questions.push({
+      id: String(entry.id ?? `q${questions.length + 1}`),
+      question: entry.question.trim(),
+      answer: entry.answer,           // undefined = pas de réponse attendue, null = hors corpus
+      chunks: entry.chunks || [],
+      pages: pages
+    });
+  });
+
+  if (!questions.length) throw new Error(`${file} : aucune question`);
+  return { questions, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+}
+
+/**
+ * Liste les documents à indexer (fichiers, ou tous les fichiers lisibles d'un dossier)
+ */
+function listDocs(paths) {
+  return paths.flatMap((p) => {
+    if (!fs.statSync(p).isDirectory()) return [p];
+    return fs.readdirSync(p)
+      .sort()
+      .map((name) => path.join(p, name))
+      .filter((file) => fs.statSync(file).isFile() && findLoader({ filename: file }));
+  });
+}
+
+// ============================================
+// PARTIE 2 : SCORES
+// ============================================
+
+/**
+ * Une source couvre-t-elle un passage attendu ?
+ * - chunk : même id, ou même document + même numéro ("rapport.pdf::chunk_5")
+ * - page  : la source couvre la page (et vient du bon document, s'il est précisé)
+ */
+function covers(source, target) {
+  if (target.chunk) {
+    return source.id === target.chunk || `${source.source}::${source.id.split('::').pop()}` === target.chunk;
+  }
+  return (target.source == null || source.source === target.source)
+    && source.pageStart != null
+    && source.pageStart <= target.page && source.pageEnd >= target.page;
+}
+
+/**
+ * Scores de recherche d'une question : recall@k et rang réciproque
+ * Retourne null si la question n'a pas de passages attendus
+ */
+function retrievalScores(sources, expected, kValues) {
+  const targets = [
+    ...expected.chunks.map((chunk) => ({ chunk })),
+    ...expected.pages
+  ];
+  if (!targets.length) return null;
+
+  const recall = {};
+  for (const k of kValues) {
+    const top = sources.slice(0, k);
+    recall[`recall@${k}`] = targets.filter((t) => top.some((s) => covers(s, t))).length / targets.length;
+  }
+
+  const firstRelevant = sources.findIndex((s) => targets.some((t) => covers(s, t)));
+  return {
+    ...recall,
+    reciprocalRank: firstRelevant < 0 ? 0 : 1 / (firstRelevant + 1),
+    firstRelevantRank: firstRelevant < 0 ? null : firstRelevant + 1
+  };
+}
+
+/**
+ * F1 sur les termes (0 à 1) : recouvrement entre la réponse et la réponse attendue
+ */
+function tokenF1(answer, expected) {
+  const a = tokenize(answer);
+  const b = tokenize(expected);
+  if (!a.length || !b.length) return 0;
+
+  // Termes communs (avec répétitions)
+  const counts = new Map();
+  b.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  let common = 0;
+  for (const t of a) {
+    if (counts.get(t) > 0) {
+      common++;
+      counts.set(t, counts.get(t) - 1);
+    }
+  }
+  if (!common) return 0;
+
+  const precision = common / a.length;
+  const recall = common / b.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Part des termes de la réponse présents dans le contexte (0 à 1)
+ */
+function contextCoverage(answer, context) {
+  const terms = [...new Set(tokenize(answer))];
+  if (!terms.length) return 0;
+  const words = new Set(tokenize(context));
+  return terms.filter((t) => words.has(t)).length / terms.length;
+}
+
+/**
+ * Demande une note de 0 à 10 au LLM juge ; retourne un score entre 0 et 1 (null si illisible)
+ */
+async function judgeScore({ provider, model, instructions, content }) {
+  const reply = await provider.chat({
+    model: model,
+    messages: [
+      { role: 'system', content: `${instructions} Réponds UNIQUEMENT par une note entière de 0 à 10.` },
+      { role: 'user', content: content }
+    ]
+  });
+  const note = Number(reply.match(/\d+(?:[.,]\d+)?/)?.[0].replace(',', '.'));
+  return Number.isFinite(note) ? Math.min(Math.max(note, 0), 10) / 10 : null;
+}
+
+/**
+ * Scores de la réponse : correctness (vs réponse attendue) et faithfulness (vs contexte)
+ */
+async function answerScores({ result, expected, context, judge, provider, judgeModel }) {
+  // Marqueurs [#n] retirés : ils ne font pas partie du contenu de la réponse
+  const answer = result.answer.replace(/\s*\[#[^\]]*\]/g, '');
+
+  // Correctness
+  let correctness = null;
+  if (expected.answer === null) {
+    // Question hors corpus : la bonne réponse est "Je ne trouve pas..."
+    correctness = result.found ? 0 : 1;
+  } else if (typeof expected.answer === 'string') {
+    correctness = judge === 'llm'
+      ? await judgeScore({
+        provider,
+        model: judgeModel,
+        instructions: 'Tu compares une réponse à la réponse attendue. 10 = même information, 0 = fausse ou sans rapport.',
+        content: `QUESTION:\n${expected.question}\n\nRÉPONSE ATTENDUE:\n${expected.answer}\n\nRÉPONSE:\n${answer}\n\nNote:`
+      })
+      : tokenF1(answer, expected.answer);
+  }
+
+  // Faithfulness : seulement si le système a répondu à partir du contexte
+  let faithfulness = null;
+  if (result.found) {
+    faithfulness = judge === 'llm'
+      ? await judgeScore({
+        provider,
+        model: judgeModel,
+        instructions: 'Tu vérifies qu\'une réponse est justifiée par un contexte. 10 = tout est dans le contexte, 0 = rien n\'y est.',
+        content: `CONTEXTE:\n${context}\n\nRÉPONSE:\n${answer}\n\nNote:`
+      })
+      : contextCoverage(answer, context);
+  }
+
+  return { correctness, faithfulness };
+}
+
+/**
+ * Moyenne des valeurs renseignées (null si aucune)
+ */
+function mean(values) {
+  const defined = values.filter((v) => v != null);
+  return defined.length ? defined.reduce((sum, v) => sum + v, 0) / defined.length : null;
+}
+
+// ============================================
+// PARTIE 3 : ÉVALUATION
+// ============================================
+
+/**
+ * Évalue une configuration sur un jeu de questions
+ *
+ * Avec "docs", les documents sont indexés dans un index temporaire
+ * (indispensable pour comparer des réglages de chunking) ;
+ * sinon l'index existant "indexPath" est interrogé.
+ *
+ * Retourne le rapport (voir writeReport)
+ */
+async function evaluate({
+  name = 'eval',                      // Nom de la configuration (dans le rapport)
+  datasetPath,                        // Jeu de questions (JSONL)
+  docs = [],                          // Documents à indexer (fichiers ou dossiers)
+  indexPath = path.join(__dirname, 'data', 'index.json'), // Index existant (sans "docs")
+  chunkTokens = getConfig().chunkTokens,     // Taille des chunks (avec "docs")
+  overlapTokens = getConfig().overlapTokens, // Chevauchement des chunks (avec "docs")
+  topK = getConfig().topK,            // Nombre de chunks envoyés au LLM
+  minScore = null,                    // Similarité minimale
+  retrieval = 'hybrid',               // Mode de recherche
+  rerank = 'none',                    // Mode de reclassement
+  embedModel = getConfig().embedModel, // Modèle d'embeddings
+  chatModel = getConfig().chatModel,  // Modèle de génération
+  judge = 'overlap',                  // Notation des réponses : 'overlap' ou 'llm'
+  judgeModel = chatModel,             // Modèle du LLM juge
+  provider,                           // Fournisseur de modèles
+  onQuestion                          // Callback après chaque question (avancement)
+}) {
+  const dataset = readDataset(datasetPath);
+  const kValues = [...new Set([...RECALL_AT.filter((k) => k < topK), topK])];
+
+  // 1. INDEX (temporaire si des documents sont fournis)
+  let tempDir = null;
+  if (docs.length) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-eval-'));
+    indexPath = path.join(tempDir, 'index.json');
+    for (const filePath of listDocs(docs)) {
+      await indexDocument({ filePath, outPath: indexPath, chunkTokens, overlapTokens, embedModel, provider });
+    }
+  }
+
+  // 2. QUESTIONS
+  const results = [];
+  try {
+    for (const expected of dataset.questions) {
+      const started = Date.now();
+      let entry;
+      try {
+        // Sans cache des réponses : chaque question passe par tout le pipeline mesuré
+        const result = await answerQuestion({
+          indexPath, question: expected.question, topK, minScore, retrieval, rerank, embedModel, chatModel, provider, cache: false
+        });
+        const latencyMs = Date.now() - started;
+
+        // Texte des passages retrouvés (pour la faithfulness)
+        const context = result.sources
+          .map((s) => getChunk({ indexPath, chunkId: s.id })?.text || '')
+          .join('\n\n');
+
+        entry = {
+          id: expected.id,
+          question: expected.question,
+          answer: result.answer,
+          found: result.found,
+          sources: result.sources.map((s) => s.id),
+          invalidCitations: result.citations.filter((c) => !c.valid).length,
+          ...retrievalScores(result.sources, expected, kValues),
+          ...await answerScores({ result, expected, context, judge, provider, judgeModel }),
+          latencyMs: latencyMs
+        };
+      } catch (e) {
+        // Une question en échec n'arrête pas l'évaluation
+        entry = { id: expected.id, question: expected.question, error: String(e?.message || e) };
+      }
+      results.push(entry);
+      if (onQuestion) onQuestion(entry, results.length, dataset.questions.length);
+    }
+  } finally {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  // 3. MOYENNES
+  const ok = results.filter((r) => !r.error);
+  const metrics = {};
+  for (const k of kValues) metrics[`recall@${k}`] = mean(ok.map((r) => r[`recall@${k}`]));
+  Object.assign(metrics, {
+    mrr: mean(ok.map((r) => r.reciprocalRank)),
+    correctness: mean(ok.map((r) => r.correctness)),
+    faithfulness: mean(ok.map((r) => r.faithfulness)),
+    notFoundRate: ok.length ? ok.filter((r) => !r.found).length / ok.length : null,
+    invalidCitations: ok.reduce((sum, r) => sum + r.invalidCitations, 0),
+    avgLatencyMs: mean(ok.map((r) => r.latencyMs)),
+    errors: results.length - ok.length
+  });
+
+  return {
+    version: REPORT_VERSION,
+    name: name,
+    createdAt: new Date().toISOString(),
+    dataset: { path: datasetPath, sha256: dataset.sha256, questions: dataset.questions.length },
+    config: {
+      provider: provider.name,
+      index: docs.length ? { docs } : { indexPath },
+      chunkTokens: docs.length ? chunkTokens : null,   // Réglages de l'index existant : inconnus ici
+      overlapTokens: docs.length ? overlapTokens : null,
+      topK, minScore, retrieval, rerank, embedModel, chatModel, judge,
+      judgeModel: judge === 'llm' ? judgeModel : null
+    },
+    metrics: metrics,
+    questions: results
+  };
+}
+
+// ============================================
+// PARTIE 4 : RAPPORTS
+// ============================================
+
+/**
+ * Écrit un rapport JSON (dossier créé si besoin)
+ */
+function writeReport(report, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf-8');
+}
+
+/**
+ * Formate une valeur de tableau (scores à 3 décimales)
+ */
+function cell(value) {
+  if (value == null) return '-';
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(3);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Tableau texte : une ligne par métrique (et par réglage qui diffère), une colonne par rapport
+ */
+function compareReports(reports) {
+  const rows = [['', ...reports.map((r) => r.name)]];
+
+  // Réglages qui diffèrent d'un rapport à l'autre
+  const configKeys = [...new Set(reports.flatMap((r) => Object.keys(r.config)))];
+  for (const key of configKeys) {
+    const values = reports.map((r) => cell(r.config[key]));
+    if (new Set(values).size > 1) rows.push([key, ...values]);
+  }
+
+  const metricKeys = [...new Set(reports.flatMap((r) => Object.keys(r.metrics)))];
+  for (const key of metricKeys) rows.push([key, ...reports.map((r) => cell(r.metrics[key]))]);
+
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  return rows.map((row) => row.map((value, col) => value.padEnd(widths[col])).join('  ')).join('\n');
+}
+
+/**
+ * Lit des rapports et vérifie qu'ils sont comparables
+ */
+function readReports(files) {
+  const reports = files.map((file) => JSON.parse(fs.readFileSync(file, 'utf-8')));
+  if (reports.some((r) => r.version !== REPORT_VERSION)) {
+    throw new Error(`Format de rapport inconnu (attendu : version ${REPORT_VERSION})`);
+  }
+  if (new Set(reports.map((r) => r.dataset.sha256)).size > 1) {
+    console.warn('⚠️  Les rapports ne portent pas sur le même jeu de questions : scores non comparables');
+  }
+  return reports;
+}
+
+// ============================================
+// PARTIE 5 : LIGNE DE COMMANDE
+// ============================================
+
+/**
+ * Lit un nombre d'une option (undefined si absente)
+ */
+function numberOption(values, name, { integer = false, min, max } = {}) {
+  if (values[name] === undefined) return undefined;
+  const value = Number(values[name]);
+  const valid = (integer ? Number.isInteger(value) : Number.isFinite(value))
+    && (min === undefined || value >= min) && (max === undefined || value <= max);
+  if (!valid) throw new Error(`--${name} invalide: ${values[name]}`);
+  return value;
+}
+
+/**
+ * Vérifie qu'une option fait partie des valeurs permises
+ */
+function choiceOption(values, name, choices) {
+  if (values[name] !== undefined && !choices.includes(values[name])) {
+    throw new Error(`--${name} doit valoir: ${choices.join(', ')}`);
+  }
+  return values[name];
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dataset: { type: 'string' },
+      docs: { type: 'string', multiple: true },
+      index: { type: 'string' },
+      name: { type: 'string' },
+      out: { type: 'string' },
+      provider: { type: 'string' },
+      'chunk-tokens': { type: 'string' },
+      'overlap-tokens': { type: 'string' },
+      'top-k': { type: 'string' },
+      'min-score': { type: 'string' },
+      retrieval: { type: 'string' },
+      rerank: { type: 'string' },
+      'embed-model': { type: 'string' },
+      'chat-model': { type: 'string' },
+      judge: { type: 'string' },
+      'judge-model': { type: 'string' },
+      compare: { type: 'boolean' }
+    }
+  });
+
+  // Comparaison de rapports existants
+  if (values.compare) {
+    if (positionals.length < 2) throw new Error('--compare attend au moins deux rapports');
+    console.log(compareReports(readReports(positionals)));
+    return;
+  }
+
+  if (!values.dataset) {
+    throw new Error('Usage : node evaluate.js --dataset questions.jsonl [--docs dossier] [options]  |  node evaluate.js --compare a.json b.json');
+  }
+
+  const name = values.name || 'eval';
+  getConfig();  // Vérifier la configuration (le fichier rag.config.json complète l'environnement)
+  const provider = values.provider ? createProvider({ type: values.provider }) : providerFromEnv();
+
+  const report = await evaluate({
+    name: name,
+    datasetPath: values.dataset,
+    docs: values.docs || [],
+    indexPath: values.index,
+    chunkTokens: numberOption(values, 'chunk-tokens', { integer: true, min: 20 }),
+    overlapTokens: numberOption(values, 'overlap-tokens', { integer: true, min: 0 }),
+    topK: numberOption(values, 'top-k', { integer: true, min: 1, max: 50 }),
+    minScore: numberOption(values, 'min-score', { min: -1, max: 1 }),
+    retrieval: choiceOption(values, 'retrieval', RETRIEVAL_MODES),
+    rerank: choiceOption(values, 'rerank', RERANK_MODES),
+    embedModel: values['embed-model'],
+    chatModel: values['chat-model'],
+    judge: choiceOption(values, 'judge', JUDGES),
+    judgeModel: values['judge-model'],
+    provider: provider,
+    onQuestion: (entry, done, total) => {
+      console.log(`${entry.error ? '❌' : '✅'} [${done}/${total}] ${entry.id}${entry.error ? ` : ${entry.error}` : ''}`);
+    }
+  });
+
+  const out = values.out || path.join('eval-reports', `${name}-${report.createdAt.replace(/[:.]/g, '-')}.json`);
+  writeReport(report, out);
+
+  console.log('');
+  console.log(compareReports([report]));
+  console.log('');
+  console.log(`📄 Rapport : ${out}`);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  evaluate,         // Évaluer une configuration sur un jeu de questions
+  readDataset,      // Lire un jeu de questions JSONL
+  writeReport,      // Écrire un rapport JSON
+  readReports,      // Lire des rapports (et vérifier qu'ils sont comparables)
+  compareReports,   // Tableau de comparaison de rapports
+  tokenF1           // Recouvrement de termes entre deux textes
+};
@@ -0,0 +1,269 @@
+// ============================================
+// HNSW.JS - Recherche approximative des plus proches voisins
+// ============================================
+// Comparer la question à TOUS les chunks coûte N produits scalaires :
+// quelques millisecondes pour 1 000 chunks, beaucoup plus pour 100 000.
+// HNSW (Hierarchical Navigable Small World) range les vecteurs dans un
+// graphe à plusieurs niveaux :
+// - niveau 0 : tous les vecteurs, chacun relié à ses voisins les plus proches
+// - niveaux supérieurs : de moins en moins de vecteurs (des "autoroutes")
+// La recherche part du sommet, descend niveau par niveau en se rapprochant
+// de la question, et n'examine qu'une petite partie des vecteurs.
+// Le résultat est approximatif : un voisin peut manquer (rare avec efSearch assez grand).
+//
+// Les vecteurs sont normalisés (norme 1) : similarité = produit scalaire.
+// Référence : Malkov & Yashunin, "Efficient and robust approximate nearest
+// neighbor search using Hierarchical Navigable Small World graphs" (2016)
+
+// ============================================
+// PARTIE 1 : OUTILS
+// ============================================
+
+/**
+ * Produit scalaire de deux vecteurs de même taille
+ * (= similarité cosinus quand les deux vecteurs sont normalisés)
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Tas binaire (file de priorité)
+ * better(a, b) = true si a doit sortir avant b
+ */
+class Heap {
+  constructor(better) {
+    this.better = better;
+    this.data = [];
+  }
+
+  get size() {
+    return this.data.length;
+  }
+
+  peek() {
+    return this.data[0];
+  }
+
+  push(value) {
+    const data = this.data;
+    data.push(value);
+    let i = data.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.better(data[i], data[parent])) break;
+      [data[i], data[parent]] = [data[parent], data[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const data = this.data;
+    const top = data[0];
+    const last = data.pop();
+    if (data.length) {
+      data[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < data.length && this.better(data[left], data[best])) best = left;
+        if (right < data.length && this.better(data[right], data[best])) best = right;
+        if (best === i) break;
+        [data[i], data[best]] = [data[best], data[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Générateur pseudo-aléatoire reproductible (mulberry32)
+ * Même graine = même graphe : les résultats ne changent pas d'un démarrage à l'autre.
+ */
+function randomGenerator(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================
+// PARTIE 2 : GRAPHE HNSW
+// ============================================
+
+/**
+ * Crée un index HNSW vide
+ *
+ * - M              : nombre de voisins par vecteur (2 × M au niveau 0)
+ * - efConstruction : largeur de recherche à l'insertion (plus grand = graphe meilleur, insertion plus lente)
+ * - efSearch       : largeur de recherche par défaut (plus grand = plus précis, plus lent)
+ *
+ * Les nœuds gardent une référence vers le vecteur (pas de copie).
+ * La suppression marque le nœud (il sert encore de passage dans le graphe) ;
+ * au-delà de 25 % de nœuds supprimés, mieux vaut reconstruire l'index (needsRebuild).
+ */
+function createHnsw({ M = 16, efConstruction = 100, efSearch = 64, seed = 42 } = {}) {
+  const random = randomGenerator(seed);
+  const levelFactor = 1 / Math.log(M);
+
+  const nodes = [];            // [{ key, vector, level, neighbors: [[...], ...], deleted }]
+  const byKey = new Map();     // clé (id du chunk) → index du nœud
+  let entry = -1;              // Point d'entrée (nœud du niveau le plus haut)
+  let deletedCount = 0;
+
+  const similarity = (vector, n) => dot(vector, nodes[n].vector);
+
+  /**
+   * Recherche gloutonne dans un niveau : les "ef" nœuds les plus proches trouvés
+   * en partant des points d'entrée. Retourne [{ n, score }] (ordre quelconque).
+   */
+  function searchLayer(vector, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap((a, b) => a.score > b.score);  // Meilleur d'abord
+    const results = new Heap((a, b) => a.score < b.score);     // Pire d'abord (à retirer)
+
+    for (const n of entryPoints) {
+      const s = { n, score: similarity(vector, n) };
+      candidates.push(s);
+      results.push(s);
+    }
+
+    while (candidates.size) {
+      const current = candidates.pop();
+      // Plus aucun candidat ne peut améliorer les résultats
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const neighbor of nodes[current.n].neighbors[level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const score = similarity(vector, neighbor);
+        if (results.size < ef || score > results.peek().score) {
+          candidates.push({ n: neighbor, score });
+          results.push({ n: neighbor, score });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.data;
+  }
+
+  /**
+   * Garde les "max" voisins les plus proches d'un nœud
+   */
+  function closest(vector, list, max) {
+    return list
+      .map((n) => ({ n, score: similarity(vector, n) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, max)
+      .map((s) => s.n);
+  }
+
+  /**
+   * Ajoute un vecteur (normalisé) sous une clé
+   */
+  function add(key, vector) {
+    const level = Math.floor(-Math.log(random() || Number.MIN_VALUE) * levelFactor);
+    const n = nodes.length;
+    nodes.push({ key, vector, level, neighbors: Array.from({ length: level + 1 }, () => []), deleted: false });
+    byKey.set(key, n);
+
+    // Premier nœud : il devient le point d'entrée
+    if (entry < 0) {
+      entry = n;
+      return;
+    }
+
+    // 1. Descendre les niveaux supérieurs en se rapprochant du vecteur
+    let ep = entry;
+    for (let lc = nodes[entry].level; lc > level; lc--) {
+      const [best] = searchLayer(vector, [ep], 1, lc).sort((a, b) => b.score - a.score);
+      ep = best.n;
+    }
+
+    // 2. À chaque niveau du nœud : le relier à ses plus proches voisins (dans les deux sens)
+    let entryPoints = [ep];
+    for (let lc = Math.min(level, nodes[entry].level); lc >= 0; lc--) {
+      const found = searchLayer(vector, entryPoints, efConstruction, lc);
+      const maxNeighbors = lc === 0 ? 2 * M : M;
+      const neighbors = found.sort((a, b) => b.score - a.score).slice(0, M).map((s) => s.n);
+
+      nodes[n].neighbors[lc] = neighbors;
+      for (const other of neighbors) {
+        const list = nodes[other].neighbors[lc];
+        list.push(n);
+        // Trop de voisins : garder les plus proches
+        if (list.length > maxNeighbors) {
+          nodes[other].neighbors[lc] = closest(nodes[other].vector, list, maxNeighbors);
+        }
+      }
+      entryPoints = found.map((s) => s.n);
+    }
+
+    // Nouveau niveau le plus haut : nouveau point d'entrée
+    if (level > nodes[entry].level) entry = n;
+  }
+
+  /**
+   * Marque un vecteur comme supprimé (il n'apparaît plus dans les résultats)
+   */
+  function remove(key) {
+    const n = byKey.get(key);
+    if (n === undefined || nodes[n].deleted) return;
+    nodes[n].deleted = true;
+    byKey.delete(key);
+    deletedCount++;
+  }
+
+  /**
+   * Les k vecteurs les plus proches de "vector" (normalisé)
+   * filter(key) : garder seulement certaines clés (ex: documents sélectionnés)
+   * Retourne [{ key, score }] trié par score décroissant
+   */
+  function search(vector, k, { ef = efSearch, filter } = {}) {
+    if (entry < 0) return [];
+
+    let ep = entry;
+    for (let lc = nodes[entry].level; lc > 0; lc--) {
+      const [best] = searchLayer(vector, [ep], 1, lc).sort((a, b) => b.score - a.score);
+      ep = best.n;
+    }
+
+    return searchLayer(vector, [ep], Math.max(ef, k), 0)
+      .filter((s) => !nodes[s.n].deleted && (!filter || filter(nodes[s.n].key)))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map((s) => ({ key: nodes[s.n].key, score: s.score }));
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    get size() {
+      return nodes.length - deletedCount;
+    },
+    // Trop de nœuds supprimés : le graphe se dégrade, le reconstruire
+    get needsRebuild() {
+      return deletedCount > 0.25 * nodes.length;
+    }
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  createHnsw,   // Créer un index HNSW
+  dot           // Produit scalaire (similarité de vecteurs normalisés)
+};
@@ -0,0 +1,264 @@
+// ============================================
+// JOBS.JS - Tâches de fond (indexation, résumés...)
+// ============================================
+// L'indexation d'un gros PDF peut durer plusieurs minutes : trop long
+// pour garder une requête HTTP ouverte (timeouts du navigateur, des proxys).
+// La route crée une tâche ("job") et répond tout de suite avec son id ;
+// le client suit ensuite l'avancement avec GET /api/jobs/:id.
+//
+// - Chaque tâche appartient à une file (ex: "equipe-a/index") : dans une file, les tâches
+//   sont exécutées une par une, dans l'ordre d'arrivée ; des files différentes avancent
+//   en parallèle (dans la limite de MAX_RUNNING). Un long résumé dans un espace ne bloque
+//   donc ni l'indexation de cet espace, ni les tâches des autres espaces.
+// - Un utilisateur ne peut pas avoir plus de MAX_PENDING_PER_USER tâches en attente ou en cours
+// - Chaque tâche peut être annulée (en attente ou en cours)
+// - Les tâches terminées sont oubliées au bout d'une heure
+// - Tout est en mémoire : un redémarrage du serveur efface la liste
+//   (les indexations interrompues reprennent grâce aux points de reprise)
+
+const crypto = require('crypto');
+
+// Nombre de tâches exécutées en même temps, toutes files confondues
+// (une seule par file : voir pump)
+const MAX_RUNNING = 2;
+
+// Nombre de tâches en attente ou en cours par utilisateur
+const MAX_PENDING_PER_USER = 5;
+
+// Durée de conservation d'une tâche terminée
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Statuts d'une tâche terminée
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+// Toutes les tâches connues : id → { job, run, onCancel, controller }
+const jobs = new Map();
+
+// Tâches à lancer, dans l'ordre d'arrivée (ids), toutes files confondues
+const queue = [];
+
+// Nombre de tâches en cours
+let running = 0;
+
+// Files qui ont une tâche en cours
+const busyQueues = new Set();
+
+/**
+ * Erreur de soumission d'une tâche
+ *
+ * code :
+ * - too_many_jobs : l'utilisateur a déjà MAX_PENDING_PER_USER tâches en attente ou en cours
+ *
+ * status : code HTTP à renvoyer au client de l'API
+ */
+class JobError extends Error {
+  constructor(message, { code, status = 429 } = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Vue publique d'une tâche (sans la fonction ni le contrôleur d'annulation)
+ */
+function publicJob(job) {
+  return { ...job };
+}
+
+/**
+ * Met à jour une tâche
+ */
+function updateJob(job, patch) {
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Oublie la tâche après JOB_TTL_MS
+ * (unref : ce minuteur n'empêche pas le processus de s'arrêter)
+ */
+function scheduleCleanup(id) {
+  setTimeout(() => jobs.delete(id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Lance les tâches en attente tant qu'il reste de la place
+ * La plus ancienne tâche dont la file est libre passe en premier.
+ */
+function pump() {
+  for (let i = 0; i < queue.length && running < MAX_RUNNING;) {
+    const entry = jobs.get(queue[i]);
+    if (!entry || entry.job.status !== 'queued') {
+      queue.splice(i, 1);  // Tâche annulée ou oubliée
+    } else if (busyQueues.has(entry.job.queue)) {
+      i++;                 // Sa file a déjà une tâche en cours : elle attend son tour
+    } else {
+      queue.splice(i, 1);
+      start(entry);
+    }
+  }
+}
+
+/**
+ * Nombre de tâches en attente ou en cours d'un utilisateur
+ */
+function pendingJobs(owner) {
+  let count = 0;
+  for (const { job } of jobs.values()) {
+    if (job.owner === owner && !FINISHED.includes(job.status)) count++;
+  }
+  return count;
+}
+
+/**
+ * Appelle le nettoyage de la tâche annulée (onCancel, optionnel)
+ * Une erreur du nettoyage ne change pas le statut de la tâche.
+ */
+function runOnCancel(entry) {
+  if (!entry.onCancel) return;
+  try {
+    entry.onCancel(publicJob(entry.job));
+  } catch (e) {
+    console.error(`❌ Nettoyage de la tâche annulée ${entry.job.id}: ${e?.message || e}`);
+  }
+}
+
+/**
+ * Exécute une tâche et enregistre son résultat (ou son erreur)
+ */
+async function start(entry) {
+  const { job, run, controller } = entry;
+  running++;
+  busyQueues.add(job.queue);
+  updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  try {
+    const result = await run({
+      signal: controller.signal,
+      // Avancement : étape en cours + compteur (ex: 40 chunks sur 120)
+      report: ({ stage, done, total }) => updateJob(job, {
+        stage: stage ?? job.stage,
+        done: done ?? job.done,
+        total: total ?? job.total
+      })
+    });
+    updateJob(job, { status: 'done', result });
+  } catch (e) {
+    if (controller.signal.aborted) {
+      updateJob(job, { status: 'cancelled' });
+      runOnCancel(entry);
+    } else {
+      updateJob(job, {
+        status: 'failed',
+        error: String(e?.message || e),
+        errorCode: e?.code ?? null,      // Type d'erreur (ex: "no_text_layer"), si l'erreur en a un
+        errorStatus: e?.status ?? null   // Code HTTP correspondant (ex: 422)
+      });
+    }
+  } finally {
+    running--;
+    busyQueues.delete(job.queue);
+    updateJob(job, { finishedAt: new Date().toISOString() });
+    scheduleCleanup(job.id);
+    pump();
+  }
+}
+
+/**
+ * Ajoute une tâche à la file d'attente
+ *
+ * run({ signal, report }) : fonction asynchrone qui fait le travail
+ * - signal : annulé quand la tâche est annulée
+ * - report({ stage, done, total }) : signale l'avancement
+ * queue : file de la tâche (une tâche à la fois par file ; par défaut, le type)
+ * owner : utilisateur qui a lancé la tâche (limite MAX_PENDING_PER_USER ; null = pas de limite)
+ * onCancel(job) (optionnel) : appelé quand la tâche se termine annulée, en attente ou en cours
+ *   (ex: supprimer le fichier uploadé qu'elle devait indexer)
+ *
+ * Retourne la vue publique de la tâche (avec son id), ou lève une JobError (too_many_jobs)
+ */
+function submitJob({ type, meta = {}, queue: queueName = type, owner = null, run, onCancel = null }) {
+  if (owner !== null && pendingJobs(owner) >= MAX_PENDING_PER_USER) {
+    throw new JobError(
+      `Trop de tâches en attente ou en cours (${MAX_PENDING_PER_USER} au plus) : attendez qu'une tâche se termine`,
+      { code: 'too_many_jobs' }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type: type,            // Type de tâche (ex: "index")
+    queue: queueName,      // File d'attente (ex: "equipe-a/index")
+    owner: owner,          // Utilisateur qui a lancé la tâche
+    meta: meta,            // Informations affichables (ex: nom du fichier)
+    status: 'queued',      // queued → running → done | failed | cancelled
+    stage: null,           // Étape en cours (ex: "embedding")
+    done: 0,               // Unités de travail terminées
+    total: null,           // Unités de travail au total (inconnu au début)
+    error: null,           // Message d'erreur (status "failed")
+    errorCode: null,       // Type d'erreur (ex: "pdf_encrypted")
+    errorStatus: null,     // Code HTTP correspondant à l'erreur
+    result: null,          // Résultat (status "done")
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, { job, run, onCancel, controller: new AbortController() });
+  queue.push(job.id);
+  pump();
+
+  return publicJob(job);
+}
+
+/**
+ * Retourne une tâche, ou null si elle n'existe pas (ou plus)
+ */
+function getJob(id) {
+  const entry = jobs.get(id);
+  return entry ? publicJob(entry.job) : null;
+}
+
+/**
+ * Liste les tâches (les plus récentes en premier)
+ */
+function listJobs() {
+  return [...jobs.values()]
+    .map((entry) => publicJob(entry.job))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Annule une tâche
+ * - en attente : retirée tout de suite
+ * - en cours   : le signal est annulé, la tâche s'arrête au prochain point de contrôle
+ * - terminée   : rien à faire
+ *
+ * Retourne la tâche, ou null si elle n'existe pas
+ */
+function cancelJob(id) {
+  const entry = jobs.get(id);
+  if (!entry) return null;
+
+  const { job, controller } = entry;
+  if (job.status === 'queued') {
+    updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    scheduleCleanup(job.id);
+    runOnCancel(entry);
+  } else if (job.status === 'running') {
+    controller.abort();
+  }
+  return publicJob(job);
+}
+
+module.exports = {
+  submitJob,    // Ajouter une tâche à la file d'attente
+  getJob,       // Lire l'état d'une tâche
+  listJobs,     // Lister les tâches
+  cancelJob,    // Annuler une tâche
+  JobError,     // Erreur de soumission (trop de tâches)
+  FINISHED      // Statuts d'une tâche terminée
+};
@@ -0,0 +1,664 @@
+// ============================================
+// LOADERS.JS - Lecture des différents formats de documents
+// ============================================
+// Chaque format (PDF, DOCX, Markdown, HTML, texte) a son "loader" :
+// un objet qui transforme le contenu brut du fichier en texte normalisé.
+//   load(buffer) → { pages: [{ num, text, headings, ocr }], metadata: { title } }
+//
+// - pages    : une entrée par page (PDF) ; les autres formats n'ont pas de pages :
+//              une seule entrée avec num = null
+// - ocr      : { confidence } si le texte de la page vient de l'OCR (PDF scanné, voir ocr.js)
+// - headings : titres de section détectés par le loader (Markdown "#", HTML <h1>...),
+//              reconnus par le chunking même s'ils ne ressemblent pas à un titre de PDF
+// - metadata : informations sur le document (titre...)
+//
+// Le loader est choisi d'après l'extension du fichier, sinon d'après son type MIME
+// (utile pour les URL : "https://exemple.fr/page" n'a pas d'extension).
+// Pour ajouter un format : registerLoader({ name, extensions, mimeTypes, sniff, load }).
+//
+// L'extension ne prouve rien : "sniff" vérifie les premiers octets du fichier
+// (ex: un PDF commence par "%PDF-") avant de le confier au loader.
+//
+// Ce fichier contient aussi le téléchargement d'une URL (fetchSource).
+
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { PDFParse } = require('pdf-parse'); // Pour extraire le texte d'un PDF
+const { ocrAvailable, needsOcr, recognizePages, OCR_DPI } = require('./ocr'); // Pages scannées
+
+// Nombre maximal de pages d'un PDF (par défaut)
+const DEFAULT_MAX_PAGES = 500;
+
+// Taille maximale d'un document téléchargé depuis une URL (par défaut)
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Nombre d'octets examinés pour reconnaître le contenu d'un fichier
+const SNIFF_BYTES = 8192;
+
+// ============================================
+// PARTIE 1 : ERREURS ET REGISTRE
+// ============================================
+
+/**
+ * Erreur de lecture d'un document
+ *
+ * code :
+ * - unsupported_format : aucun loader pour ce type de fichier (415)
+ * - content_mismatch   : le contenu ne correspond pas au format annoncé (415)
+ * - file_too_large     : fichier plus gros que la limite (413)
+ * - too_many_pages     : PDF plus long que la limite de pages (413)
+ * - pdf_encrypted      : PDF protégé par un mot de passe (423)
+ * - pdf_corrupt        : PDF illisible, tronqué ou mal formé (400)
+ * - no_text_layer      : PDF sans texte, fait d'images (pages scannées), que l'OCR n'a pas pu lire (422)
+ * - ocr_failed         : l'OCR a échoué (modèles de langue absents...) (500)
+ * - empty_document     : aucun texte dans le document (422)
+ * - download_failed    : l'URL n'a pas pu être téléchargée
+ * - blocked_url        : l'URL désigne une adresse interne (localhost, réseau privé, métadonnées du cloud) (403)
+ * - missing_dependency : le module nécessaire au format n'est pas installé
+ *
+ * status : code HTTP à renvoyer au client de l'API
+ */
+class LoaderError extends Error {
+  constructor(message, { code, status = 400, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LoaderError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Loaders enregistrés, dans l'ordre d'enregistrement
+const loaders = [];
+
+/**
+ * Ajoute un loader au registre
+ * { name, extensions: ['.md'], mimeTypes: ['text/markdown'], sniff(head), load(buffer, { filename, maxPages, ocr }) }
+ * - sniff (optionnel) : reconnaît le format d'après les premiers octets (true / false)
+ * - inspect (optionnel) : contrôle rapide du fichier avant l'indexation (PDF chiffré, trop long, sans texte...)
+ */
+function registerLoader(loader) {
+  loaders.push(loader);
+  return loader;
+}
+
+/**
+ * Trouve le loader d'un fichier
+ * 1. d'après l'extension du nom de fichier (ou de l'URL)
+ * 2. sinon d'après le type MIME (sans ses paramètres : "text/html; charset=utf-8")
+ * Retourne null si aucun loader ne convient.
+ */
+function findLoader({ filename = '', mimeType = '' }) {
+  const ext = path.extname(String(filename).split(/[?#]/)[0]).toLowerCase();
+  const mime = String(mimeType).split(';')[0].trim().toLowerCase();
+
+  return loaders.find((l) => ext && l.extensions.includes(ext))
+    || loaders.find((l) => mime && l.mimeTypes.includes(mime))
+    || null;
+}
+
+/**
+ * Extensions acceptées (pour les messages d'erreur et l'attribut "accept" du formulaire)
+ */
+function supportedExtensions() {
+  return loaders.flatMap((l) => l.extensions);
+}
+
+/**
+ * Trouve le loader d'un document et vérifie que son contenu correspond au format
+ * (un .exe renommé en .pdf est refusé)
+ */
+function checkedLoader({ buffer, filename, mimeType }) {
+  const loader = findLoader({ filename, mimeType });
+  if (!loader) {
+    throw new LoaderError(
+      `Format non pris en charge: ${filename || mimeType || 'inconnu'} (formats acceptés : ${supportedExtensions().join(', ')})`,
+      { code: 'unsupported_format', status: 415 }
+    );
+  }
+
+  if (loader.sniff && !loader.sniff(buffer.subarray(0, SNIFF_BYTES))) {
+    throw new LoaderError(
+      `Le contenu de ${filename || 'ce document'} ne correspond pas au format ${loader.name}`,
+      { code: 'content_mismatch', status: 415 }
+    );
+  }
+  return loader;
+}
+
+/**
+ * Contrôle un document sans l'indexer (au moment de l'upload, pour répondre tout de suite) :
+ * format, contenu, et contrôles propres au format (PDF chiffré, illisible, trop long,
+ * sans texte : vide, ou scanné alors que l'OCR ne pourra pas le lire)
+ * ocr : { enabled } (voir ocr.js ; sans lui, pas d'OCR)
+ * Lève une LoaderError si le document sera refusé.
+ */
+async function inspectDocument({ buffer, filename, mimeType, maxPages = DEFAULT_MAX_PAGES, ocr = null }) {
+  const loader = checkedLoader({ buffer, filename, mimeType });
+  if (loader.inspect) await loader.inspect(buffer, { filename, maxPages, ocr });
+}
+
+/**
+ * Lit un document avec le loader adapté
+ * ocr : { enabled, langs, langPath, signal, onProgress } (voir ocr.js ; sans lui, pas d'OCR)
+ * Retourne { format, pages, metadata }
+ */
+async function loadDocument({ buffer, filename, mimeType, maxPages = DEFAULT_MAX_PAGES, ocr = null }) {
+  const loader = checkedLoader({ buffer, filename, mimeType });
+
+  const { pages, metadata = {} } = await loader.load(buffer, { filename, maxPages, ocr });
+  if (!pages.some((p) => p.text?.trim())) {
+    throw new LoaderError(`Aucun texte dans ${filename || 'ce document'}`, { code: 'empty_document', status: 422 });
+  }
+  return { format: loader.name, pages, metadata };
+}
+
+// ============================================
+// PARTIE 2 : CONVERSION EN TEXTE
+// ============================================
+
+// Entités HTML les plus courantes (les autres sont numériques : &#233; &#xE9;)
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', laquo: '«', raquo: '»', hellip: '…', rsquo: '’', lsquo: '‘', ndash: '–', mdash: '—', eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç' };
+
+/**
+ * Remplace les entités HTML par leur caractère ("&eacute;" → "é")
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Texte d'un fragment HTML sur une seule ligne (balises supprimées, espaces réduits)
+ */
+function inlineText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convertit une page HTML en texte (sans dépendance : expressions régulières)
+ *
+ * - scripts, styles, commentaires et <head> supprimés
+ * - <h1>..<h6> → titres de section (sur leur propre ligne)
+ * - fins de blocs (<p>, <div>, <li>, <tr>...) → paragraphes ; <br> → saut de ligne
+ * - entités décodées ("&eacute;" → "é")
+ */
+function htmlToText(html) {
+  const title = inlineText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') || null;
+  const headings = [];
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi, (_, inner) => {
+      const heading = inlineText(inner);
+      if (heading) headings.push(heading);
+      return `\n\n${heading}\n\n`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|section|article|header|footer|main|aside|nav|li|ul|ol|table|tr|blockquote|pre|figure|dl|dt|dd)>/gi, '\n\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+
+  return { text: decodeEntities(text), headings, title };
+}
+
+/**
+ * Convertit du Markdown en texte
+ *
+ * - titres "# Titre" et "Titre\n=====" → titres de section
+ * - blocs de code gardés tels quels (un "#" dans du code n'est pas un titre)
+ * - liens et images → leur texte ; emphase, code en ligne, citations → texte brut
+ * - en-tête YAML (front matter) supprimé
+ */
+function markdownToText(markdown) {
+  const lines = markdown
+    .replace(/\r\n?/g, '\n')                      // Fins de ligne Windows
+    .replace(/^---\n[\s\S]*?\n---\n/, '')          // En-tête YAML
+    .split('\n');
+  const out = [];
+  const headings = [];
+  let inCode = false;
+
+  const inline = (line) => line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // Images → texte alternatif
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')       // Liens → texte du lien
+    .replace(/`([^`]*)`/g, '$1')                   // Code en ligne
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')            // Gras
+    .replace(/(^|\W)[*_](\S.*?)[*_](?=\W|$)/g, '$1$2') // Italique
+    .replace(/<[^>]+>/g, '')                       // HTML en ligne
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+  const addHeading = (text) => {
+    const heading = inline(text);
+    if (heading) headings.push(heading);
+    out.push('', heading, '');
+  };
+
+  lines.forEach((line, i) => {
+    // Blocs de code : ``` ou ~~~
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      out.push('');
+      return;
+    }
+    if (inCode) {
+      out.push(line);
+      return;
+    }
+
+    // Titre "# Titre" (les # de fin sont facultatifs)
+    const atx = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (atx) return addHeading(atx[1]);
+
+    // Titre souligné : la ligne suivante est "===" ou "---"
+    if (line.trim() && /^\s{0,3}(=+|-+)\s*$/.test(lines[i + 1] || '') && !/^\s*[-*+]\s/.test(line)) {
+      return addHeading(line);
+    }
+    if (/^\s{0,3}(=+|-+|\*{3,}|_{3,})\s*$/.test(line)) {
+      out.push('');   // Soulignement ou ligne horizontale
+      return;
+    }
+
+    out.push(inline(line.replace(/^\s*>\s?/, '')));  // Citations : texte brut
+  });
+
+  return { text: out.join('\n'), headings, title: headings[0] || null };
+}
+
+/**
+ * Décode un fichier texte (UTF-8, sans l'éventuel BOM)
+ */
+function decodeText(buffer) {
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Le début du fichier ressemble-t-il à du texte ? (pas d'octet nul : un fichier
+ * binaire en contient presque toujours, un texte UTF-8 jamais)
+ */
+function looksLikeText(head) {
+  return !head.includes(0);
+}
+
+// ============================================
+// PARTIE 3 : PDF
+// ============================================
+
+// Une image dans un PDF : les dictionnaires d'images accompagnent des flux ("stream"),
+// ils ne sont jamais compressés dans un flux d'objets et restent lisibles dans le fichier
+const PDF_IMAGE = /\/Subtype\s*\/Image\b/;
+
+/**
+ * Traduit une erreur de pdf.js en LoaderError
+ */
+function pdfError(e) {
+  if (e instanceof LoaderError || e?.name === 'AbortError') return e;  // Déjà typée, ou annulation
+  if (e?.name === 'PasswordException') {
+    return new LoaderError('PDF protégé par un mot de passe : retirez la protection avant de l\'indexer', { code: 'pdf_encrypted', status: 423, cause: e });
+  }
+  return new LoaderError(`PDF illisible (fichier corrompu ou incomplet): ${e?.message || e}`, { code: 'pdf_corrupt', status: 400, cause: e });
+}
+
+/**
+ * Ouvre un PDF, appelle fn(parser) puis libère le parser
+ * Les erreurs de pdf.js deviennent des LoaderError (chiffré, corrompu)
+ */
+async function withPdf(buffer, fn) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    return await fn(parser);
+  } catch (e) {
+    throw pdfError(e);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Remplace le texte des pages sans texte par celui de l'OCR (si l'OCR est activé et disponible)
+ * Seulement si le PDF contient des images : une page blanche n'a rien à lire.
+ * Retourne les pages (celles lues par OCR ont ocr: { confidence })
+ */
+async function ocrScannedPages(parser, buffer, pages, ocr) {
+  const pageNums = pages.filter(needsOcr).map((p) => p.num);
+  if (!pageNums.length || !ocr?.enabled || !ocrAvailable() || !PDF_IMAGE.test(buffer.toString('latin1'))) {
+    return pages;
+  }
+
+  const recognized = await recognizePages({
+    pageNums: pageNums,
+    // Rendu d'une page à la fois (une page A4 à 300 dpi ≈ 35 Mo en mémoire)
+    render: async (num) => {
+      const shot = await parser.getScreenshot({ partial: [num], scale: OCR_DPI / 72, imageBuffer: true, imageDataUrl: false });
+      return Buffer.from(shot.pages[0].data);
+    },
+    langs: ocr.langs,
+    langPath: ocr.langPath,
+    signal: ocr.signal,
+    onProgress: ocr.onProgress
+  }).catch((e) => {
+    if (ocr.signal?.aborted) throw e;  // Annulation demandée : pas une panne
+    throw new LoaderError(`OCR impossible (modèles ${ocr.langs} présents dans ${ocr.langPath} ?): ${e?.message || e}`, { code: 'ocr_failed', status: 500, cause: e });
+  });
+
+  return pages.map((p) => (recognized.has(p.num)
+    ? { num: p.num, text: recognized.get(p.num).text, ocr: { confidence: recognized.get(p.num).confidence } }
+    : p));
+}
+
+/**
+ * Erreur d'un PDF dont aucune page n'a de texte :
+ * - des images (pages scannées) : no_text_layer, avec la piste à suivre (activer, installer l'OCR...)
+ * - rien du tout : empty_document
+ */
+function pdfWithoutText(buffer, filename, ocr) {
+  if (!PDF_IMAGE.test(buffer.toString('latin1'))) {
+    return new LoaderError(`Aucun texte dans ${filename || 'ce document'}`, { code: 'empty_document', status: 422 });
+  }
+  const hint = !ocr?.enabled ? 'activez l\'OCR (OCR=auto)'
+    : !ocrAvailable() ? 'installez l\'OCR avec : npm install tesseract.js'
+    : 'la reconnaissance de caractères n\'a rien lu de fiable (scan trop flou ?)';
+  return new LoaderError(`PDF sans texte (pages scannées ou images) : ${hint}`, { code: 'no_text_layer', status: 422 });
+}
+
+/**
+ * Vérifie le nombre de pages (sans extraire le texte) ; retourne ce nombre
+ */
+async function checkPageCount(parser, maxPages) {
+  const { total } = await parser.getInfo();
+  if (maxPages && total > maxPages) {
+    throw new LoaderError(`PDF trop long : ${total} pages (maximum ${maxPages})`, { code: 'too_many_pages', status: 413 });
+  }
+  return total;
+}
+
+// ============================================
+// PARTIE 4 : LOADERS FOURNIS
+// ============================================
+
+// PDF : une entrée par page (pour citer les numéros de page)
+registerLoader({
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  // "%PDF-" dans le premier Ko (la norme tolère quelques octets avant l'en-tête)
+  sniff: (head) => head.subarray(0, 1024).includes('%PDF-'),
+  // À l'upload : nombre de pages, puis présence de texte. Un PDF scanné n'est accepté
+  // que si l'OCR pourra le lire pendant l'indexation (activé et installé).
+  inspect: (buffer, { filename, maxPages, ocr } = {}) => withPdf(buffer, async (parser) => {
+    await checkPageCount(parser, maxPages);
+    const parsed = await parser.getText();
+    if (parsed.text?.trim() || parsed.pages?.some((p) => p.text?.trim())) return;
+
+    const ocrWillRun = ocr?.enabled && ocrAvailable() && PDF_IMAGE.test(buffer.toString('latin1'));
+    if (!ocrWillRun) throw pdfWithoutText(buffer, filename, ocr);
+  }),
+  load: (buffer, { filename, maxPages, ocr } = {}) => withPdf(buffer, async (parser) => {
+    await checkPageCount(parser, maxPages);
+    const parsed = await parser.getText();
+    const extracted = parsed.pages?.length ? parsed.pages : [{ num: 1, text: parsed.text }];
+
+    // Pages scannées (peu ou pas de texte) : OCR
+    const pages = await ocrScannedPages(parser, buffer, extracted.map((p) => ({ num: p.num, text: p.text })), ocr);
+
+    // Toujours aucun texte : PDF scanné que l'OCR n'a pas pu lire, ou PDF vide
+    if (!pages.some((p) => p.text?.trim())) throw pdfWithoutText(buffer, filename, ocr);
+    return { pages, metadata: {} };
+  })
+});
+
+// DOCX : converti en HTML par mammoth (garde les titres du document Word)
+registerLoader({
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  // Un .docx est une archive ZIP
+  sniff: (head) => head.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1')),
+  load: async (buffer) => {
+    let mammoth;
+    try {
+      mammoth = require('mammoth');
+    } catch (e) {
+      throw new LoaderError('Lecture des fichiers DOCX impossible. Installez le module avec : npm install mammoth', { code: 'missing_dependency', status: 501, cause: e });
+    }
+    const { value } = await mammoth.convertToHtml({ buffer });
+    const { text, headings, title } = htmlToText(value);
+    return { pages: [{ num: null, text, headings }], metadata: { title } };
+  }
+});
+
+// Markdown
+registerLoader({
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  sniff: looksLikeText,
+  load: async (buffer) => {
+    const { text, headings, title } = markdownToText(decodeText(buffer));
+    return { pages: [{ num: null, text, headings }], metadata: { title } };
+  }
+});
+
+// HTML (pages exportées ou téléchargées depuis une URL)
+registerLoader({
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  sniff: looksLikeText,
+  load: async (buffer) => {
+    const { text, headings, title } = htmlToText(decodeText(buffer));
+    return { pages: [{ num: null, text, headings }], metadata: { title } };
+  }
+});
+
+// Texte brut (.txt, journaux)
+registerLoader({
+  name: 'text',
+  extensions: ['.txt', '.log'],
+  mimeTypes: ['text/plain'],
+  sniff: looksLikeText,
+  load: async (buffer) => ({ pages: [{ num: null, text: decodeText(buffer) }], metadata: {} })
+});
+
+// ============================================
+// PARTIE 5 : TÉLÉCHARGEMENT D'UNE URL
+// ============================================
+
+// Nombre maximal de redirections suivies
+const MAX_REDIRECTS = 5;
+
+// Adresses jamais contactées : sans ce contrôle, n'importe quel utilisateur pourrait
+// faire télécharger (puis lire dans le corpus) le serveur de modèles (localhost:11434),
+// les métadonnées du cloud (169.254.169.254) ou une machine du réseau interne
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],        // "ce réseau"
+  ['10.0.0.0', 8],       // privé
+  ['100.64.0.0', 10],    // partagé (CGNAT)
+  ['127.0.0.0', 8],      // boucle locale
+  ['169.254.0.0', 16],   // lien local (métadonnées du cloud)
+  ['172.16.0.0', 12],    // privé
+  ['192.0.0.0', 24],     // réservé IETF
+  ['192.168.0.0', 16],   // privé
+  ['198.18.0.0', 15],    // tests de performance
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // réservé, diffusion
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 96],            // non spécifiée, boucle locale (::1), IPv4 compatible
+  ['::ffff:0:0', 96],    // IPv4 mappée (::ffff:127.0.0.1)
+  ['64:ff9b::', 96],     // NAT64 (adresse IPv4 embarquée)
+  ['fc00::', 7],         // unique locale (privé)
+  ['fe80::', 10],        // lien local
+  ['fec0::', 10],        // site local (obsolète)
+  ['ff00::', 8]          // multicast
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * L'adresse IP est-elle interne (boucle locale, réseau privé, lien local...) ?
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Erreur : l'URL désigne une adresse interne
+ */
+function blockedUrl(host, address) {
+  return new LoaderError(
+    `URL refusée : ${host} désigne une adresse interne (${address})`,
+    { code: 'blocked_url', status: 403 }
+  );
+}
+
+/**
+ * Résolution DNS utilisée pour chaque connexion : refuse les adresses internes
+ * La vérification porte sur l'adresse effectivement contactée (pas de seconde
+ * résolution entre le contrôle et la connexion, qui pourrait renvoyer une autre adresse).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(blockedUrl(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Vérifie qu'une URL peut être téléchargée : http(s), et hôte public
+ * (nom résolu : toutes ses adresses doivent être publiques)
+ * Retourne l'URL lue (objet URL) ; lève une LoaderError sinon.
+ */
+async function checkSourceUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new LoaderError(`URL invalide: ${url}`, { code: 'download_failed', status: 400 });
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new LoaderError(`Seules les URL http(s) sont acceptées: ${url}`, { code: 'download_failed', status: 400 });
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');  // [::1] → ::1
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw blockedUrl(host, host);
+    return parsed;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    throw new LoaderError(`Téléchargement impossible (${url}): hôte introuvable`, { code: 'download_failed', status: 502, cause: e });
+  }
+  const blocked = addresses.find((a) => isBlockedAddress(a.address));
+  if (blocked) throw blockedUrl(host, blocked.address);
+  return parsed;
+}
+
+/**
+ * Envoie une requête GET (sans suivre les redirections) ; résout avec la réponse
+ */
+function requestUrl(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, { lookup: publicLookup, signal, headers: { accept: '*/*' } }, resolve);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Télécharge le contenu d'une URL (http ou https seulement, hôtes publics seulement)
+ * Les redirections sont suivies une par une (au plus MAX_REDIRECTS), chaque étape
+ * étant contrôlée comme l'URL de départ (voir checkSourceUrl).
+ * Le téléchargement s'arrête dès que maxBytes est dépassé.
+ * Retourne { buffer, mimeType } (le type MIME sert à choisir le loader)
+ */
+async function fetchSource(url, { signal, timeoutMs = 30000, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  // Délai max (redirections comprises) + annulation par l'appelant
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+  const tooLarge = () => new LoaderError(
+    `Document trop volumineux (${url}) : maximum ${Math.round(maxBytes / 1024 / 1024)} Mo`,
+    { code: 'file_too_large', status: 413 }
+  );
+
+  let res;
+  try {
+    let current = await checkSourceUrl(url);
+    for (let redirects = 0; ; redirects++) {
+      res = await requestUrl(current, combined);
+      if (res.statusCode < 300 || res.statusCode >= 400 || !res.headers.location) break;
+
+      // Redirection : l'adresse suivante est contrôlée comme la première
+      res.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new LoaderError(`Téléchargement impossible (${url}): trop de redirections`, { code: 'download_failed', status: 502 });
+      }
+      current = await checkSourceUrl(new URL(res.headers.location, current).href);
+    }
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new LoaderError(`Téléchargement impossible (${url}): HTTP ${res.statusCode}`, { code: 'download_failed', status: 502 });
+    }
+    if (Number(res.headers['content-length']) > maxBytes) {
+      res.destroy();
+      throw tooLarge();
+    }
+
+    // Lecture par morceaux : la taille annoncée peut être absente ou fausse
+    const parts = [];
+    let size = 0;
+    for await (const part of res) {
+      size += part.length;
+      if (size > maxBytes) {
+        res.destroy();
+        throw tooLarge();
+      }
+      parts.push(part);
+    }
+
+    return {
+      buffer: Buffer.concat(parts),
+      mimeType: res.headers['content-type'] || ''
+    };
+  } catch (e) {
+    if (e instanceof LoaderError) throw e;
+    if (signal?.aborted) throw e;  // Annulation demandée : pas une panne
+    const reason = timeout.aborted ? `pas de réponse après ${timeoutMs} ms` : e.message;
+    throw new LoaderError(`Téléchargement impossible (${url}): ${reason}`, { code: 'download_failed', status: 502, cause: e });
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  LoaderError,          // Erreur de lecture (code + status HTTP)
+  registerLoader,       // Ajouter un format
+  findLoader,           // Trouver le loader d'un fichier
+  supportedExtensions,  // Extensions acceptées
+  loadDocument,         // Lire un document (texte normalisé + métadonnées)
+  inspectDocument,      // Contrôler un document avant de l'indexer (format, contenu, PDF)
+  fetchSource,          // Télécharger une URL
+  checkSourceUrl,       // Vérifier qu'une URL peut être téléchargée (http(s), hôte public)
+  htmlToText,           // Conversion HTML → texte
+  markdownToText,       // Conversion Markdown → texte
+  DEFAULT_MAX_PAGES,    // Nombre maximal de pages d'un PDF (par défaut)
+  DEFAULT_MAX_BYTES     // Taille maximale d'un document téléchargé (par défaut)
+};
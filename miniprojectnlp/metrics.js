@@ -0,0 +1,139 @@
+// ============================================
+// METRICS.JS - Compteurs et histogrammes (format Prometheus)
+// ============================================
+// Le serveur compte ce qui se passe pendant qu'il tourne : requêtes, durées
+// des étapes du pipeline, erreurs, avis des utilisateurs. GET /api/metrics
+// renvoie ces valeurs au format texte de Prometheus :
+//   # HELP rag_questions_total Questions posées
+//   # TYPE rag_questions_total counter
+//   rag_questions_total{mode="stream",outcome="answered"} 12
+//
+// Les valeurs sont gardées en mémoire (remises à zéro au redémarrage :
+// Prometheus sait gérer ces remises à zéro des compteurs).
+
+// Limites des histogrammes de durée, en secondes (de 5 ms à 2 minutes)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Noms de métriques et d'étiquettes acceptés par Prometheus
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Échappe la valeur d'une étiquette (antislash, guillemet, retour à la ligne)
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Étiquettes au format Prometheus : {a="1",b="2"} (rien si aucune étiquette)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Crée un registre de métriques
+ *
+ *   const metrics = createMetrics();
+ *   const questions = metrics.counter('rag_questions_total', 'Questions posées', ['outcome']);
+ *   questions.inc({ outcome: 'answered' });
+ *   const duration = metrics.histogram('rag_stage_seconds', 'Durée des étapes', ['stage']);
+ *   duration.observe({ stage: 'embed' }, 0.042);
+ *   metrics.render();  // texte Prometheus
+ */
+function createMetrics() {
+  const families = [];
+
+  /**
+   * Déclare une métrique ; chaque combinaison d'étiquettes a sa propre série
+   */
+  function register(type, name, help, labelNames) {
+    if (!NAME_PATTERN.test(name) || !labelNames.every((l) => NAME_PATTERN.test(l))) {
+      throw new Error(`Nom de métrique invalide: ${name}`);
+    }
+    if (families.some((f) => f.name === name)) throw new Error(`Métrique déjà déclarée: ${name}`);
+
+    const family = { type, name, help, labelNames, series: new Map() };
+    families.push(family);
+    return family;
+  }
+
+  /**
+   * Série d'une métrique pour des étiquettes (créée au premier usage)
+   */
+  function seriesOf(family, labels, init) {
+    const values = Object.fromEntries(family.labelNames.map((l) => [l, labels[l] ?? '']));
+    const key = JSON.stringify(values);
+    if (!family.series.has(key)) family.series.set(key, { labels: values, ...init() });
+    return family.series.get(key);
+  }
+
+  return {
+    /**
+     * Compteur : ne fait qu'augmenter (requêtes, erreurs, avis...)
+     */
+    counter(name, help, labelNames = []) {
+      const family = register('counter', name, help, labelNames);
+      return {
+        inc(labels = {}, value = 1) {
+          seriesOf(family, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    /**
+     * Histogramme : répartition de valeurs (durées, en secondes) dans des intervalles
+     */
+    histogram(name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) {
+      const family = register('histogram', name, help, labelNames);
+      family.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe(labels, value) {
+          const series = seriesOf(family, labels, () => ({ counts: family.buckets.map(() => 0), sum: 0, count: 0 }));
+          family.buckets.forEach((le, i) => {
+            if (value <= le) series.counts[i] += 1;
+          });
+          series.sum += value;
+          series.count += 1;
+        }
+      };
+    },
+
+    /**
+     * Toutes les métriques au format texte de Prometheus (version 0.0.4)
+     */
+    render() {
+      const lines = [];
+      for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help.replace(/\n/g, ' ')}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+
+        for (const series of family.series.values()) {
+          if (family.type === 'counter') {
+            lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+            continue;
+          }
+          // Histogramme : intervalles cumulés (le = "inférieur ou égal"), somme et nombre
+          family.buckets.forEach((le, i) => {
+            lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le })} ${series.counts[i]}`);
+          });
+          lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+          lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+          lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  createMetrics,      // Créer un registre de compteurs et d'histogrammes
+  DEFAULT_BUCKETS     // Limites par défaut des histogrammes de durée (secondes)
+};
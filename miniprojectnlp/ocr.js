@@ -0,0 +1,117 @@
+// ============================================
+// OCR.JS - Reconnaissance de caractères des pages scannées
+// ============================================
+// Un PDF scanné ne contient que des images : pdf-parse n'y trouve (presque)
+// aucun texte, et le document serait indexé sans chunks utiles.
+// Les pages avec trop peu de texte sont donc :
+// 1. rendues en image (par le loader PDF, voir loaders.js)
+// 2. lues par tesseract.js (OCR hors ligne, français + anglais par défaut)
+//
+// Le texte obtenu remplace celui de la page, avec la confiance moyenne de
+// tesseract (0 à 1) : les chunks issus de l'OCR sont marqués dans l'index
+// (ocr: true, ocrConfidence), car leur texte peut contenir des erreurs de lecture.
+//
+// tesseract.js est optionnel (npm install tesseract.js) ; sans lui, les pages
+// scannées ne sont pas lues. Les modèles de langue sont lus sur le disque
+// (OCR_LANG_PATH, data/tessdata par défaut), jamais téléchargés pendant l'indexation :
+//   fra.traineddata, eng.traineddata (https://github.com/tesseract-ocr/tessdata_fast)
+
+const path = require('path');
+
+// Langues reconnues par défaut (modèles tesseract, séparés par "+")
+const DEFAULT_OCR_LANGS = 'fra+eng';
+
+// Dossier des modèles de langue, par défaut
+const DEFAULT_LANG_PATH = path.join(__dirname, 'data', 'tessdata');
+
+// En dessous de ce nombre de caractères (hors espaces), une page est considérée sans texte
+const OCR_MIN_CHARS = 30;
+
+// Résolution du rendu des pages (tesseract lit mieux vers 300 dpi ; une page PDF fait 72 points par pouce)
+const OCR_DPI = 300;
+
+// En dessous de cette confiance, le texte reconnu est écarté (image sans texte, bruit)
+const OCR_MIN_CONFIDENCE = 0.3;
+
+/**
+ * Options de l'OCR d'après les variables d'environnement
+ *   OCR            auto | off  (défaut : auto = si tesseract.js est installé)
+ *   OCR_LANGS      langues tesseract (défaut : fra+eng)
+ *   OCR_LANG_PATH  dossier des fichiers <langue>.traineddata (défaut : data/tessdata)
+ */
+function ocrOptionsFromEnv(env = process.env) {
+  const mode = env.OCR || 'auto';
+  if (!['auto', 'off'].includes(mode)) {
+    throw new Error(`OCR inconnu: ${mode} (valeurs possibles : auto, off)`);
+  }
+  return {
+    enabled: mode === 'auto',
+    langs: env.OCR_LANGS || DEFAULT_OCR_LANGS,
+    langPath: env.OCR_LANG_PATH || DEFAULT_LANG_PATH
+  };
+}
+
+/**
+ * tesseract.js est-il installé ?
+ */
+function ocrAvailable() {
+  try {
+    require.resolve('tesseract.js');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * La page a-t-elle trop peu de texte (page scannée, ou couche texte vide) ?
+ */
+function needsOcr(page) {
+  return (page.text || '').replace(/\s+/g, '').length < OCR_MIN_CHARS;
+}
+
+/**
+ * Lit le texte de pages rendues en image
+ *
+ * - pageNums : numéros des pages à lire
+ * - render(num) : image PNG de la page (Buffer)
+ * - onProgress({ stage: 'ocr', done, total }) : après chaque page (optionnel)
+ *
+ * Les pages sont lues une par une (un seul moteur tesseract, une image en mémoire à la fois).
+ * Retourne une Map numéro de page → { text, confidence } ; les pages dont la
+ * confiance est trop faible sont absentes.
+ */
+async function recognizePages({ pageNums, render, langs = DEFAULT_OCR_LANGS, langPath = DEFAULT_LANG_PATH, signal, onProgress }) {
+  const { createWorker } = require('tesseract.js');
+  const results = new Map();
+  if (!pageNums.length) return results;
+
+  // Modèles lus dans langPath (fichiers non compressés), sans copie de cache ailleurs
+  const worker = await createWorker(langs.split('+'), undefined, { langPath, cachePath: langPath, gzip: false });
+  try {
+    for (const [idx, num] of pageNums.entries()) {
+      signal?.throwIfAborted();
+      const { data } = await worker.recognize(await render(num));
+      const confidence = Number((data.confidence / 100).toFixed(2));
+      if (data.text.trim() && confidence >= OCR_MIN_CONFIDENCE) {
+        results.set(num, { text: data.text, confidence });
+      }
+      onProgress?.({ stage: 'ocr', done: idx + 1, total: pageNums.length });
+    }
+  } finally {
+    await worker.terminate();
+  }
+  return results;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  ocrOptionsFromEnv,    // Options de l'OCR (variables d'environnement)
+  ocrAvailable,         // tesseract.js est-il installé ?
+  needsOcr,             // La page a-t-elle trop peu de texte ?
+  recognizePages,       // Lire le texte de pages rendues en image
+  OCR_DPI               // Résolution du rendu des pages
+};
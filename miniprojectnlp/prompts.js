@@ -0,0 +1,397 @@
+// ============================================
+// PROMPTS.JS - Modèles de prompts, langue et format des réponses
+// ============================================
+// Les prompts de la réponse ne sont pas écrits dans le code : ce sont des
+// fichiers texte du dossier prompts/ (un fichier par modèle, ex: prompts/concise.txt),
+// modifiables sans toucher au code ni redémarrer le serveur.
+//
+// Format d'un fichier :
+//
+//   # Description du modèle (première ligne de commentaire, affichée dans la liste)
+//   [system]
+//   Tu es un assistant... Réponds en {{language}}.
+//   [user]
+//   CONTEXTE:
+//   {{context}}
+//
+//   QUESTION:
+//   {{question}}
+//
+// Variables :
+//   {{context}}   passages retrouvés, numérotés [#n | id | emplacement]   (obligatoire)
+//   {{question}}  question (reformulée si c'est une question de suivi)   (obligatoire)
+//   {{history}}   échanges précédents, en texte ; sans cette variable, ils sont
+//                 envoyés au LLM comme messages de la conversation
+//   {{language}}  langue de la réponse (détectée dans la question : "English", "français"...)
+//   {{notFound}}  phrase à répondre quand le contexte ne contient pas l'information
+//   {{format}}    consignes du format de sortie (texte, Markdown, JSON) ; sans cette
+//                 variable, elles sont ajoutées à la fin du prompt système
+//
+// Configuration (variables d'environnement ou rag.config.json) :
+//   PROMPTS_DIR      dossier des modèles     (défaut : prompts/ à côté de server.js)
+//   PROMPT_TEMPLATE  modèle par défaut       (défaut : default)
+//   ANSWER_LANGUAGE  langue des réponses     (défaut : auto = celle de la question)
+
+const fs = require('fs');
+const path = require('path');
+
+// Dossier des modèles par défaut
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Nom d'un modèle : lettres, chiffres, - et _ (pas de chemin)
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Variables reconnues dans les modèles
+const TEMPLATE_VARIABLES = ['context', 'question', 'history', 'language', 'notFound', 'format'];
+
+// Modèles lus (fichier → { mtimeMs, template }) : relus seulement s'ils ont changé
+const templates = new Map();
+
+/**
+ * Erreur de modèle de prompt (modèle inconnu ou fichier invalide)
+ */
+class PromptTemplateError extends Error {
+  constructor(message, { code = 'invalid_template', status = 400 } = {}) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ============================================
+// PARTIE 1 : LANGUE DE LA QUESTION
+// ============================================
+
+// Langues reconnues : nom (dans la langue elle-même), réponse "introuvable", mots fréquents
+const LANGUAGES = {
+  fr: {
+    name: 'français',
+    notFound: 'Je ne trouve pas cette information dans le document.',
+    words: ['le', 'la', 'les', 'des', 'du', 'est', 'et', 'que', 'qui', 'quel', 'quelle', 'quels', 'quelles', 'pour', 'dans', 'sur', 'une', 'un', 'pas', 'ce', 'cette', 'sont', 'comment', 'pourquoi', 'quand', 'combien', 'avec', 'il', 'elle', 'nous', 'vous', 'au', 'aux', 'ou', 'où']
+  },
+  en: {
+    name: 'English',
+    notFound: 'I cannot find this information in the document.',
+    words: ['the', 'is', 'are', 'was', 'were', 'what', 'which', 'who', 'how', 'why', 'when', 'where', 'does', 'do', 'did', 'of', 'and', 'to', 'in', 'for', 'on', 'with', 'this', 'that', 'can', 'it', 'an', 'be', 'there', 'many', 'much', 'about']
+  },
+  es: {
+    name: 'español',
+    notFound: 'No encuentro esta información en el documento.',
+    words: ['el', 'los', 'las', 'es', 'son', 'qué', 'que', 'cuál', 'cuáles', 'cómo', 'por', 'para', 'con', 'una', 'del', 'y', 'en', 'se', 'está', 'están', 'cuándo', 'dónde', 'cuánto', 'cuántos', 'hay', 'este', 'esta']
+  },
+  de: {
+    name: 'Deutsch',
+    notFound: 'Ich finde diese Information nicht im Dokument.',
+    words: ['der', 'die', 'das', 'ist', 'sind', 'und', 'was', 'wer', 'wie', 'warum', 'wann', 'wo', 'welche', 'welcher', 'ein', 'eine', 'nicht', 'mit', 'für', 'von', 'zu', 'im', 'den', 'dem', 'gibt', 'es', 'auf']
+  },
+  it: {
+    name: 'italiano',
+    notFound: 'Non trovo questa informazione nel documento.',
+    words: ['il', 'lo', 'gli', 'le', 'è', 'sono', 'che', 'cosa', 'quale', 'quali', 'come', 'perché', 'quando', 'dove', 'quanto', 'quanti', 'di', 'per', 'con', 'una', 'un', 'del', 'della', 'non', 'nel', 'questo', 'questa']
+  }
+};
+
+// Langue utilisée quand la question ne permet pas de trancher
+const DEFAULT_LANGUAGE = 'fr';
+
+// Mots fréquents → langues où ils apparaissent
+const LANGUAGE_WORDS = new Map();
+for (const [code, { words }] of Object.entries(LANGUAGES)) {
+  for (const word of words) LANGUAGE_WORDS.set(word, [...(LANGUAGE_WORDS.get(word) || []), code]);
+}
+
+/**
+ * Détecte la langue d'un texte court (une question)
+ *
+ * Compte les mots fréquents (articles, mots interrogatifs, verbes être...) de chaque langue ;
+ * un mot commun à plusieurs langues compte pour chacune. La langue qui en a le plus l'emporte.
+ * Aucun mot reconnu, ou égalité : fallback.
+ * Exemple : "What is the budget?" → 'en', "Quel est le budget ?" → 'fr'
+ */
+function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  const scores = Object.fromEntries(Object.keys(LANGUAGES).map((code) => [code, 0]));
+  for (const word of String(text || '').toLowerCase().match(/\p{L}+/gu) || []) {
+    for (const code of LANGUAGE_WORDS.get(word) || []) scores[code]++;
+  }
+
+  const best = Math.max(...Object.values(scores));
+  const tied = Object.keys(scores).filter((code) => scores[code] === best);
+  return best && tied.length === 1 ? tied[0] : fallback;
+}
+
+/**
+ * Réponse quand le contexte ne contient pas l'information, dans une langue
+ */
+function notFoundAnswer(language = DEFAULT_LANGUAGE) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).notFound;
+}
+
+// ============================================
+// PARTIE 2 : FORMATS DE SORTIE
+// ============================================
+
+// Formats de sortie acceptés
+// - text     : texte simple (défaut)
+// - markdown : texte mis en forme en Markdown
+// - json     : objet JSON, conforme au schéma de la requête s'il y en a un
+const OUTPUT_FORMATS = ['text', 'markdown', 'json'];
+
+/**
+ * Consignes d'un format de sortie, ajoutées au prompt système
+ */
+function formatInstructions(format, schema = null) {
+  if (format === 'markdown') {
+    return 'Mets en forme ta réponse en Markdown (listes, gras, titres courts) quand cela aide la lecture.';
+  }
+  if (format === 'json') {
+    return [
+      'Réponds UNIQUEMENT par un objet JSON valide, sans texte autour ni bloc de code.',
+      schema ? `Il doit respecter ce schéma JSON : ${JSON.stringify(schema)}` : '',
+      'Dans les chaînes du JSON, garde les citations [#n] des passages.'
+    ].filter(Boolean).join(' ');
+  }
+  return 'Réponds en texte simple, sans mise en forme Markdown.';
+}
+
+/**
+ * Lit la réponse d'un LLM au format JSON et la vérifie
+ * Le LLM entoure parfois le JSON d'un bloc de code (```json ... ```) : il est retiré.
+ * Retourne { data, errors } : data = null si la réponse n'est pas du JSON.
+ */
+function parseJsonAnswer(answer, schema = null) {
+  const text = String(answer).trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { data: null, errors: [`JSON invalide : ${e.message}`] };
+  }
+  return { data, errors: schema ? validateJson(data, schema) : [] };
+}
+
+/**
+ * Vérifie une valeur contre un schéma JSON (sous-ensemble courant de JSON Schema) :
+ * type (ou liste de types), properties, required, additionalProperties: false, items, enum
+ * Retourne la liste des écarts ("$.budget : nombre attendu"), vide si la valeur est conforme.
+ */
+function validateJson(value, schema, where = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some((v) => JSON.stringify(v) === JSON.stringify(value))) {
+    errors.push(`${where} : une valeur parmi ${JSON.stringify(schema.enum)} attendue`);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => jsonType(value, type))) {
+      errors.push(`${where} : type ${types.join(' ou ')} attendu`);
+      return errors;
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${where}.${name} : propriété obligatoire absente`);
+    }
+    for (const [name, child] of Object.entries(value)) {
+      if (schema.properties?.[name]) {
+        errors.push(...validateJson(child, schema.properties[name], `${where}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}.${name} : propriété non prévue par le schéma`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((child, i) => errors.push(...validateJson(child, schema.items, `${where}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Une valeur JSON est-elle du type demandé (types de JSON Schema) ?
+ */
+function jsonType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+// ============================================
+// PARTIE 3 : MODÈLES DE PROMPTS
+// ============================================
+
+/**
+ * Lit un fichier de modèle : description, sections [system] et [user]
+ * Les lignes "#" avant la première section sont des commentaires (la première sert de description).
+ */
+function parseTemplate(text, name) {
+  const sections = {};
+  const comments = [];
+  let current = null;
+
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    const header = line.trim().match(/^\[(system|user)\]$/);
+    if (header) {
+      current = header[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim().startsWith('#')) {
+      comments.push(line.trim().replace(/^#+\s*/, ''));
+    } else if (line.trim()) {
+      throw new PromptTemplateError(`Modèle ${name} : texte hors section (attendu : [system] puis [user])`);
+    }
+  }
+
+  const template = {
+    name: name,
+    description: comments.find(Boolean) || '',
+    system: (sections.system || []).join('\n').trim(),
+    user: (sections.user || []).join('\n').trim()
+  };
+  if (!template.system || !template.user) {
+    throw new PromptTemplateError(`Modèle ${name} : sections [system] et [user] obligatoires`);
+  }
+
+  // Variables : connues, et le contexte et la question doivent apparaître
+  const used = new Set([...`${template.system}\n${template.user}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]));
+  const unknown = [...used].filter((v) => !TEMPLATE_VARIABLES.includes(v));
+  if (unknown.length) {
+    throw new PromptTemplateError(`Modèle ${name} : variable inconnue {{${unknown[0]}}} (variables possibles : ${TEMPLATE_VARIABLES.join(', ')})`);
+  }
+  for (const required of ['context', 'question']) {
+    if (!used.has(required)) throw new PromptTemplateError(`Modèle ${name} : la variable {{${required}}} est obligatoire`);
+  }
+  template.variables = [...used];
+  return template;
+}
+
+/**
+ * Charge un modèle par son nom (fichier <dir>/<name>.txt)
+ * Lève une PromptTemplateError (404) si le modèle n'existe pas, (400) si le fichier est invalide.
+ */
+function loadTemplate(name, dir = DEFAULT_PROMPTS_DIR) {
+  if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+    throw new PromptTemplateError(`Nom de modèle invalide: ${name}`);
+  }
+
+  const file = path.join(dir, `${name}.txt`);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    throw new PromptTemplateError(`Modèle de prompt inconnu: ${name} (modèles disponibles : ${listTemplates(dir).map((t) => t.name).join(', ') || 'aucun'})`, { code: 'unknown_template', status: 404 });
+  }
+
+  const known = templates.get(file);
+  if (known && known.mtimeMs === stat.mtimeMs) return known.template;
+
+  const template = parseTemplate(fs.readFileSync(file, 'utf-8'), name);
+  templates.set(file, { mtimeMs: stat.mtimeMs, template });
+  return template;
+}
+
+/**
+ * Modèles disponibles : [{ name, description }] (les fichiers invalides sont signalés par "error")
+ */
+function listTemplates(dir = DEFAULT_PROMPTS_DIR) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+
+  return files
+    .filter((file) => file.endsWith('.txt') && TEMPLATE_NAME_PATTERN.test(path.basename(file, '.txt')))
+    .sort()
+    .map((file) => {
+      const name = path.basename(file, '.txt');
+      try {
+        return { name, description: loadTemplate(name, dir).description };
+      } catch (e) {
+        return { name, description: '', error: e.message };
+      }
+    });
+}
+
+/**
+ * Construit les prompts de la réponse à partir d'un modèle
+ *
+ * Retourne { system, user, history } :
+ * history = échanges à envoyer comme messages (vide si le modèle les place dans {{history}})
+ */
+function renderPrompt(template, { context, question, history = [], language = DEFAULT_LANGUAGE, format = 'text', schema = null }) {
+  const values = {
+    context: context,
+    question: question,
+    history: history
+      .map((m) => `${m.role === 'user' ? 'Utilisateur' : 'Assistant'}: ${m.content}`)
+      .join('\n') || '(aucun)',
+    language: (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).name,
+    notFound: notFoundAnswer(language),
+    format: formatInstructions(format, schema)
+  };
+  const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name]);
+
+  let system = fill(template.system);
+  if (!template.variables.includes('format')) system += `\n${values.format}`;
+
+  return {
+    system: system,
+    user: fill(template.user),
+    history: template.variables.includes('history') ? [] : history
+  };
+}
+
+/**
+ * Lit (et vérifie) les réglages des prompts dans les variables d'environnement
+ * - PROMPTS_DIR     : dossier des modèles
+ * - PROMPT_TEMPLATE : modèle par défaut (doit exister et être valide)
+ * - ANSWER_LANGUAGE : 'auto' ou un code de langue (fr, en, es, de, it)
+ */
+function promptOptionsFromEnv(env = process.env) {
+  const dir = env.PROMPTS_DIR ? path.resolve(env.PROMPTS_DIR) : DEFAULT_PROMPTS_DIR;
+  const template = env.PROMPT_TEMPLATE || 'default';
+  const language = env.ANSWER_LANGUAGE || 'auto';
+
+  if (language !== 'auto' && !LANGUAGES[language]) {
+    throw new Error(`ANSWER_LANGUAGE doit valoir: auto, ${Object.keys(LANGUAGES).join(', ')} (reçu: ${language})`);
+  }
+  try {
+    loadTemplate(template, dir);
+  } catch (e) {
+    throw new Error(`PROMPT_TEMPLATE : ${e.message} (dossier ${dir})`);
+  }
+  return { dir, template, language };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  detectLanguage,        // Détecter la langue d'une question
+  notFoundAnswer,        // Réponse "introuvable" dans une langue
+  formatInstructions,    // Consignes d'un format de sortie
+  parseJsonAnswer,       // Lire et vérifier une réponse JSON
+  validateJson,          // Vérifier une valeur contre un schéma JSON
+  loadTemplate,          // Charger un modèle de prompt
+  listTemplates,         // Lister les modèles disponibles
+  renderPrompt,          // Construire les prompts à partir d'un modèle
+  promptOptionsFromEnv,  // Réglages des prompts (variables d'environnement)
+  PromptTemplateError,   // Erreur : modèle inconnu ou invalide
+  LANGUAGES,             // Langues reconnues
+  OUTPUT_FORMATS         // Formats de sortie acceptés
+};
@@ -0,0 +1,518 @@
+// ============================================
+// PROVIDERS.JS - Fournisseurs de modèles (LLM + embeddings)
+// ============================================
+// rag.js ne parle pas directement à Ollama : il passe par un "provider",
+// un objet qui expose toujours les mêmes fonctions :
+//   embed({ model, text })                        → vecteur d'embeddings
+//   embedBatch({ model, texts })                  → un vecteur par texte (une seule requête)
+//   chat({ model, messages, format })             → réponse complète
+//   chatStream({ model, messages, onToken, format }) → réponse en streaming
+//                                                   (format optionnel : 'json' ou un schéma JSON,
+//                                                    la réponse est alors un objet JSON)
+//   rerank({ model, query, documents })           → un score de pertinence par document
+//                                                   (optionnel : openai et fake seulement)
+//
+// Fournisseurs disponibles :
+// 1. ollama : serveur Ollama (local ou sur une autre machine)
+// 2. openai : API compatible OpenAI (llama.cpp server, vLLM, ...)
+// 3. fake   : réponses déterministes, sans réseau (pour les tests)
+//
+// Configuration (variables d'environnement) :
+//   LLM_PROVIDER    ollama | openai | fake      (défaut : ollama)
+//   LLM_BASE_URL    URL du serveur              (défaut : http://localhost:11434 ou http://localhost:8080/v1)
+//   LLM_API_KEY     clé d'API (openai)
+//   LLM_TIMEOUT_MS  délai max d'une requête     (défaut : 120000)
+//   LLM_RETRIES     nouvelles tentatives        (défaut : 2)
+
+const { tokenize } = require('./bm25');
+
+// ============================================
+// PARTIE 1 : ERREURS ET REQUÊTES HTTP
+// ============================================
+
+/**
+ * Erreur d'un fournisseur de modèles
+ *
+ * code :
+ * - model_not_found : le modèle n'est pas installé (ollama pull ...)
+ * - timeout         : pas de réponse dans le délai
+ * - unavailable     : serveur injoignable ou erreur 5xx
+ * - bad_response    : réponse inattendue (4xx, JSON invalide...)
+ * - unsupported     : fonction non proposée par ce fournisseur (ex: rerank)
+ *
+ * status : code HTTP à renvoyer au client de l'API
+ */
+class ProviderError extends Error {
+  constructor(message, { code, status = 502, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Attendre ms millisecondes (interrompu par le signal d'annulation : la promesse est alors rejetée)
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Envoie une requête POST JSON avec délai max et nouvelles tentatives, et lit la réponse
+ *
+ * - Sans onLine : le corps JSON est lu ici, sous le même délai (timeoutMs) que les en-têtes.
+ * - Avec onLine (streaming) : chaque ligne du corps est transmise à onLine ; le délai
+ *   repart à chaque morceau reçu (un serveur qui se tait plus de timeoutMs est abandonné),
+ *   la génération elle-même peut durer plus longtemps.
+ * - On réessaie seulement ce qui peut réussir au 2e essai :
+ *   serveur injoignable, délai dépassé, erreur 5xx ou 429 (trop de requêtes) ;
+ *   jamais une réponse en streaming déjà commencée (les morceaux ont été transmis).
+ * - Attente entre deux essais : 500 ms, 1 s, 2 s... (backoff exponentiel)
+ * - Le signal de l'appelant (annulation) arrête tout, sans nouvel essai : il est vérifié
+ *   avant chaque essai et interrompt l'attente entre deux essais.
+ *   Il n'est écouté que pendant la requête : un même signal peut servir à de nombreux appels.
+ *
+ * Retourne le JSON de la réponse (sans onLine), ou lève une ProviderError.
+ */
+async function postJson(url, body, { headers = {}, timeoutMs, retries, signal, describeError, onLine }) {
+  for (let attempt = 0; ; attempt++) {
+    // Déjà annulé (avant l'appel, ou pendant l'attente) : pas de nouvel essai
+    signal?.throwIfAborted();
+
+    // Un AbortController par essai : annulé par le délai OU par l'appelant
+    const controller = new AbortController();
+    let timer = null;
+    let timedOut = false;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    restartTimer();
+
+    let error;
+    let streaming = false;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (response.ok) {
+        if (!onLine) return await readJson(response, url);
+
+        // Streaming : lire le corps ici, le délai repartant à chaque morceau
+        streaming = true;
+        await readLines(response.body, onLine, restartTimer);
+        return undefined;
+      }
+
+      // Lire le message d'erreur du serveur (JSON ou texte)
+      const text = await response.text().catch(() => '');
+      error = describeError(response.status, text);
+    } catch (e) {
+      if (signal?.aborted) throw e;  // Annulé par l'appelant : ne pas réessayer
+      if (e instanceof ProviderError) throw e;  // Réponse invalide, erreur signalée dans le flux
+      if (e instanceof SyntaxError) {
+        throw new ProviderError(`Réponse invalide de ${url}: ${e.message}`, { code: 'bad_response', cause: e });
+      }
+      error = timedOut
+        ? new ProviderError(
+          streaming ? `Plus rien reçu de ${url} depuis ${timeoutMs} ms` : `Pas de réponse de ${url} après ${timeoutMs} ms`,
+          { code: 'timeout', status: 504, cause: e }
+        )
+        : new ProviderError(`Serveur injoignable: ${url} (${e.cause?.code || e.message})`, { code: 'unavailable', status: 503, cause: e });
+      if (streaming) throw error;  // Réponse déjà commencée : pas de nouvel essai
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    const retryable = error.code === 'timeout' || error.code === 'unavailable';
+    if (!retryable || attempt >= retries) throw error;
+
+    await sleep(500 * 2 ** attempt, signal);
+  }
+}
+
+/**
+ * Lit le corps JSON d'une réponse (JSON invalide : ProviderError bad_response)
+ */
+async function readJson(response, url) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ProviderError(`Réponse JSON invalide de ${url}`, { code: 'bad_response', cause: e });
+  }
+}
+
+/**
+ * Transforme une réponse HTTP en erreur lisible
+ * (commun aux fournisseurs : seul le message "modèle introuvable" change)
+ */
+function httpError(status, text, { model, name, baseUrl, pullHint }) {
+  // Extraire le message d'erreur du JSON ({ error: "..." } ou { error: { message: "..." } })
+  let message = text;
+  try {
+    const data = JSON.parse(text);
+    message = data?.error?.message || data?.error || text;
+  } catch {
+    // Réponse non JSON : garder le texte brut
+  }
+
+  if (status === 404 && /model|not found/i.test(message)) {
+    return new ProviderError(
+      `Modèle "${model}" introuvable sur ${name} (${baseUrl}).${pullHint ? ` Installez-le avec : ${pullHint}` : ''}`,
+      { code: 'model_not_found', status: 502 }
+    );
+  }
+
+  if (status >= 500 || status === 429) {
+    return new ProviderError(`${name} a répondu ${status}: ${message}`, { code: 'unavailable', status: 503 });
+  }
+
+  return new ProviderError(`${name} a répondu ${status}: ${message}`, { code: 'bad_response', status: 502 });
+}
+
+/**
+ * Lit un flux de lignes (NDJSON ou SSE) et appelle onLine pour chaque ligne complète
+ * Un morceau réseau peut contenir plusieurs lignes, ou couper une ligne en deux.
+ * onPart (optionnel) est appelé à chaque morceau reçu (ex: relancer un délai).
+ */
+async function readLines(body, onLine, onPart) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const part of body) {
+    if (onPart) onPart();
+    buffer += decoder.decode(part, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();  // Garder la ligne incomplète pour le prochain morceau
+    lines.forEach(onLine);
+  }
+  onLine(buffer + decoder.decode());
+}
+
+// ============================================
+// PARTIE 2 : OLLAMA
+// ============================================
+
+/**
+ * Fournisseur Ollama
+ * API : /api/embed (plusieurs textes par requête), /api/chat (streaming en NDJSON)
+ */
+function ollamaProvider({ baseUrl = 'http://localhost:11434', timeoutMs = 120000, retries = 2 } = {}) {
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  const request = (route, model, body, signal, onLine) => postJson(`${baseUrl}${route}`, body, {
+    timeoutMs,
+    retries,
+    signal,
+    onLine,
+    describeError: (status, text) => httpError(status, text, {
+      model, name: 'Ollama', baseUrl, pullHint: `ollama pull ${model}`
+    })
+  });
+
+  return {
+    name: 'ollama',
+    baseUrl: baseUrl,
+
+    // Transforme du texte en vecteur d'embeddings
+    async embed({ model, text, signal }) {
+      const [embedding] = await this.embedBatch({ model, texts: [text], signal });
+      return embedding;
+    },
+
+    // Transforme plusieurs textes en vecteurs, en une seule requête
+    async embedBatch({ model, texts, signal }) {
+      const data = await request('/api/embed', model, { model, input: texts }, signal);
+      if (!Array.isArray(data?.embeddings) || data.embeddings.length !== texts.length) {
+        throw new ProviderError('Réponse Ollama embeddings invalide', { code: 'bad_response' });
+      }
+      return data.embeddings;
+    },
+
+    // Génère une réponse complète
+    // format : 'json' ou un schéma JSON (sortie structurée d'Ollama)
+    async chat({ model, messages, format, signal }) {
+      const data = await request('/api/chat', model, { model, stream: false, messages, ...(format && { format }) }, signal);
+
+      // Structure: { message: { content: "réponse du LLM" } }
+      const content = data?.message?.content;
+      if (typeof content !== 'string') {
+        throw new ProviderError('Réponse Ollama chat invalide', { code: 'bad_response' });
+      }
+      return content.trim();
+    },
+
+    // Génère une réponse en streaming
+    // Ollama renvoie du NDJSON : une ligne JSON par morceau,
+    // ex: { "message": { "content": "Bon" }, "done": false }
+    async chatStream({ model, messages, onToken, format, signal }) {
+      let content = '';
+      await request('/api/chat', model, { model, stream: true, messages, ...(format && { format }) }, signal, (line) => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.error) throw new ProviderError(`Ollama: ${data.error}`, { code: 'bad_response' });
+
+        const token = data?.message?.content || '';
+        if (token) {
+          content += token;
+          if (onToken) onToken(token);
+        }
+      });
+      return content.trim();
+    }
+  };
+}
+
+// ============================================
+// PARTIE 3 : API COMPATIBLE OPENAI
+// ============================================
+
+/**
+ * Champ "response_format" de l'API OpenAI pour une sortie JSON
+ * format : 'json' (objet JSON quelconque) ou un schéma JSON ; rien si format est absent
+ */
+function responseFormat(format) {
+  if (!format) return {};
+  if (format === 'json') return { response_format: { type: 'json_object' } };
+  return { response_format: { type: 'json_schema', json_schema: { name: 'answer', schema: format } } };
+}
+
+/**
+ * Fournisseur compatible OpenAI (llama.cpp server, vLLM, LM Studio...)
+ * API : /embeddings, /chat/completions (streaming en SSE), /rerank (llama.cpp avec --reranking, vLLM)
+ * baseUrl inclut le préfixe de version, ex: http://localhost:8080/v1
+ */
+function openAIProvider({ baseUrl = 'http://localhost:8080/v1', apiKey, timeoutMs = 120000, retries = 2 } = {}) {
+  baseUrl = baseUrl.replace(/\/+$/, '');
+  const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+
+  const request = (route, model, body, signal, onLine) => postJson(`${baseUrl}${route}`, body, {
+    headers,
+    timeoutMs,
+    retries,
+    signal,
+    onLine,
+    describeError: (status, text) => httpError(status, text, { model, name: 'Serveur OpenAI', baseUrl })
+  });
+
+  return {
+    name: 'openai',
+    baseUrl: baseUrl,
+
+    async embed({ model, text, signal }) {
+      const [embedding] = await this.embedBatch({ model, texts: [text], signal });
+      return embedding;
+    },
+
+    async embedBatch({ model, texts, signal }) {
+      const data = await request('/embeddings', model, { model, input: texts }, signal);
+      if (!Array.isArray(data?.data) || data.data.length !== texts.length) {
+        throw new ProviderError('Réponse embeddings invalide', { code: 'bad_response' });
+      }
+      // Remettre dans l'ordre des textes (chaque entrée porte son index)
+      return [...data.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    },
+
+    async chat({ model, messages, format, signal }) {
+      const data = await request('/chat/completions', model, { model, stream: false, messages, ...responseFormat(format) }, signal);
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new ProviderError('Réponse chat invalide', { code: 'bad_response' });
+      }
+      return content.trim();
+    },
+
+    // Streaming en SSE : "data: { choices: [{ delta: { content } }] }", puis "data: [DONE]"
+    async chatStream({ model, messages, onToken, format, signal }) {
+      let content = '';
+      await request('/chat/completions', model, { model, stream: true, messages, ...responseFormat(format) }, signal, (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+
+        const token = JSON.parse(payload)?.choices?.[0]?.delta?.content || '';
+        if (token) {
+          content += token;
+          if (onToken) onToken(token);
+        }
+      });
+      return content.trim();
+    },
+
+    // Reranker (cross-encoder) : { results: [{ index, relevance_score }] }
+    async rerank({ model, query, documents, signal }) {
+      const data = await request('/rerank', model, { model, query, documents, top_n: documents.length }, signal);
+      if (!Array.isArray(data?.results) || data.results.length !== documents.length) {
+        throw new ProviderError('Réponse rerank invalide', { code: 'bad_response' });
+      }
+      // Remettre dans l'ordre des documents (les résultats sont triés par score)
+      const scores = new Array(documents.length);
+      data.results.forEach((r) => { scores[r.index] = r.relevance_score; });
+      return scores;
+    }
+  };
+}
+
+// ============================================
+// PARTIE 4 : FOURNISSEUR FACTICE (TESTS)
+// ============================================
+
+/**
+ * Réponse par défaut du fournisseur factice
+ * - Prompt RAG : renvoie la première ligne du premier passage du contexte, citée [#1] (réponse extractive)
+ * - Sinon : renvoie la dernière ligne utile du message (ex: la question à reformuler)
+ */
+function defaultFakeReply(messages) {
+  const user = messages.filter((m) => m.role === 'user').at(-1)?.content || '';
+
+  const passage = user.match(/\[#1 [^\]]*\]\n([^\n]+)/);
+  if (passage) return `${passage[1]} [#1]`;
+
+  const lines = user.split('\n').map((l) => l.trim()).filter((l) => l && !l.endsWith(':'));
+  return lines.at(-1) || '';
+}
+
+/**
+ * Fournisseur factice : déterministe, sans réseau
+ *
+ * - embed : "sac de mots" haché dans un vecteur de taille fixe, normalisé
+ *   (deux textes qui partagent des mots ont des vecteurs proches)
+ * - chat  : reply(messages), par défaut defaultFakeReply
+ * - rerank : part des termes de la question présents dans le document
+ */
+function fakeProvider({ dimensions = 256, reply = defaultFakeReply } = {}) {
+  const embed = async ({ text }) => {
+    const vector = new Array(dimensions).fill(0);
+    for (const token of tokenize(text)) {
+      // Hachage FNV-1a du terme → une case du vecteur
+      let hash = 2166136261;
+      for (let i = 0; i < token.length; i++) {
+        hash = Math.imul(hash ^ token.charCodeAt(i), 16777619);
+      }
+      vector[(hash >>> 0) % dimensions] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map((v) => v / norm);
+  };
+
+  const chat = async ({ messages }) => String(reply(messages)).trim();
+
+  return {
+    name: 'fake',
+    baseUrl: null,
+    embed,
+    embedBatch: async ({ texts }) => Promise.all(texts.map((text) => embed({ text }))),
+    chat,
+    async chatStream({ messages, onToken }) {
+      const content = await chat({ messages });
+      // Simuler le streaming : un morceau par mot
+      for (const token of content.split(/(?<=\s)/)) {
+        if (onToken) onToken(token);
+      }
+      return content;
+    },
+    async rerank({ query, documents }) {
+      const terms = new Set(tokenize(query));
+      return documents.map((text) => {
+        const words = new Set(tokenize(text));
+        const found = [...terms].filter((t) => words.has(t)).length;
+        return terms.size ? found / terms.size : 0;
+      });
+    }
+  };
+}
+
+// ============================================
+// PARTIE 5 : SÉLECTION DU FOURNISSEUR
+// ============================================
+
+// Fournisseurs disponibles (nom → fabrique)
+const PROVIDERS = {
+  ollama: ollamaProvider,
+  openai: openAIProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Crée un fournisseur à partir de sa configuration
+ * Exemple : createProvider({ type: 'openai', baseUrl: 'http://gpu-box:8000/v1' })
+ */
+function createProvider({ type = 'ollama', ...options } = {}) {
+  const factory = PROVIDERS[type];
+  if (!factory) {
+    throw new Error(`Fournisseur inconnu: ${type} (disponibles: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  // Retirer les options non renseignées pour garder les valeurs par défaut
+  const defined = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+  return factory(defined);
+}
+
+/**
+ * Lit la configuration du fournisseur dans les variables d'environnement
+ */
+function providerFromEnv(env = process.env) {
+  // Lire un entier positif (ou undefined si la variable n'est pas définie)
+  const integer = (name) => {
+    if (!env[name]) return undefined;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} doit être un entier positif (reçu: ${env[name]})`);
+    }
+    return value;
+  };
+
+  return createProvider({
+    type: env.LLM_PROVIDER || 'ollama',
+    baseUrl: env.LLM_BASE_URL || undefined,
+    apiKey: env.LLM_API_KEY || undefined,
+    timeoutMs: integer('LLM_TIMEOUT_MS'),
+    retries: integer('LLM_RETRIES')
+  });
+}
+
+// Fournisseur par défaut (créé au premier usage)
+let defaultProvider = null;
+
+/**
+ * Retourne le fournisseur par défaut (configuré par l'environnement)
+ */
+function getDefaultProvider() {
+  if (!defaultProvider) defaultProvider = providerFromEnv();
+  return defaultProvider;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  ProviderError,        // Erreur d'un fournisseur (avec code + status HTTP)
+  createProvider,       // Créer un fournisseur à partir de sa configuration
+  providerFromEnv,      // Créer le fournisseur décrit par les variables d'environnement
+  getDefaultProvider,   // Fournisseur utilisé par défaut par rag.js
+  ollamaProvider,       // Fabrique Ollama
+  openAIProvider,       // Fabrique compatible OpenAI
+  fakeProvider          // Fabrique factice (tests)
+};
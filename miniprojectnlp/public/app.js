@@ -1,22 +1,333 @@
 ﻿const indexForm = document.getElementById('indexForm');
 const askForm = document.getElementById('askForm');
 const indexStatus = document.getElementById('indexStatus');
-const answer = document.getElementById('answer');
-const sources = document.getElementById('sources');
+const indexProgress = document.getElementById('indexProgress');
+const cancelIndex = document.getElementById('cancelIndex');
+const thread = document.getElementById('thread');
+const newConversationButton = document.getElementById('newConversation');
 const questionInput = document.getElementById('question');
+const documentsList = document.getElementById('documents');
+const cancelAsk = document.getElementById('cancelAsk');
+const retrievalSelect = document.getElementById('retrieval');
+const rerankSelect = document.getElementById('rerank');
+const templateSelect = document.getElementById('template');
+const noCacheCheckbox = document.getElementById('noCache');
+const loginSection = document.getElementById('login');
+const loginForm = document.getElementById('loginForm');
+const loginStatus = document.getElementById('loginStatus');
+const appSection = document.getElementById('app');
+const userName = document.getElementById('userName');
+const logoutButton = document.getElementById('logout');
 
-// Indexer un PDF
+// Afficher le formulaire de connexion (pas de session, ou session expirée)
+function showLogin(message) {
+  appSection.hidden = true;
+  loginSection.hidden = false;
+  loginStatus.hidden = !message;
+  loginStatus.textContent = message || '';
+}
+
+// Afficher l'application pour l'utilisateur connecté
+function showApp(user, auth) {
+  loginSection.hidden = true;
+  appSection.hidden = false;
+  userName.textContent = auth ? `${user.id} (espace ${user.workspace}${user.admin ? ', admin' : ''})` : '';
+  logoutButton.hidden = !auth;
+  loadDocuments();
+  loadPrompts();
+  loadConversation();
+}
+
+// Qui est connecté ? (401 : formulaire de connexion)
+async function checkSession() {
+  const res = await fetch('/api/me');
+  if (!res.ok) return showLogin();
+
+  const data = await res.json();
+  showApp(data.user, data.auth);
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const formData = new FormData(loginForm);
+  const res = await fetch('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ user: formData.get('user'), password: formData.get('password') })
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    return showLogin(data.error || `Erreur ${res.status}`);
+  }
+
+  loginForm.reset();
+  const data = await res.json();
+  showApp(data.user, true);
+});
+
+logoutButton.addEventListener('click', async () => {
+  await fetch('/api/logout', { method: 'POST' });
+  conversationId = null;
+  sessionStorage.removeItem('conversationId');
+  thread.innerHTML = '';
+  showLogin();
+});
+
+// Libellé de la visibilité d'un document
+function accessLabel(access) {
+  if (Array.isArray(access)) return `groupes ${access.join(', ')}`;
+  return access === 'private' ? 'privé' : 'espace';
+}
+
+// Remplir la liste des modèles de prompts (fichiers prompts/*.txt du serveur)
+async function loadPrompts() {
+  try {
+    const res = await fetch('/api/prompts');
+    if (!res.ok) return;
+
+    const data = await res.json();
+    templateSelect.length = 1;  // Garder "Prompt par défaut"
+    for (const template of data.templates) {
+      if (template.error) continue;
+      const option = document.createElement('option');
+      option.value = template.name;
+      option.textContent = template.name === data.default ? `${template.name} (défaut)` : template.name;
+      option.title = template.description;
+      templateSelect.appendChild(option);
+    }
+  } catch {
+    // Liste des modèles indisponible : le modèle par défaut du serveur est utilisé
+  }
+}
+
+// Afficher les documents du corpus
+// La case cochée limite les questions à ce document (aucune case = tout le corpus)
+async function loadDocuments() {
+  try {
+    const res = await fetch('/api/documents');
+    if (res.status === 401) return showLogin('Session expirée, reconnectez-vous');
+    if (!res.ok) return;
+
+    const data = await res.json();
+    documentsList.innerHTML = '';
+
+    if (!data.documents.length) {
+      documentsList.textContent = 'Aucun document indexé';
+      return;
+    }
+
+    for (const doc of data.documents) {
+      const li = document.createElement('li');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = doc.id;
+
+      const label = document.createElement('span');
+      label.textContent = `${doc.name} (${doc.chunks} chunks, ${new Date(doc.createdAt).toLocaleString()})`;
+      if (doc.revision > 1) label.textContent += ` — v${doc.revision}`;
+      if (doc.owner) label.textContent += ` — ${doc.owner}, ${accessLabel(doc.access)}`;
+      if (doc.stale?.length) {
+        label.textContent += ' — à réindexer';
+        label.title = `Réglages modifiés depuis l'indexation : ${doc.stale.join(', ')}`;
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Supprimer';
+      remove.addEventListener('click', async () => {
+        const res = await fetch(`/api/documents/${encodeURIComponent(doc.id)}`, { method: 'DELETE' });
+        if (res.status === 403) alert('Seul le propriétaire du document peut le supprimer');
+        loadDocuments();
+      });
+
+      // Résumé, plan, FAQ : affichés sous le document
+      const panel = document.createElement('div');
+      panel.className = 'document-task';
+      panel.hidden = true;
+      const taskButtons = Object.entries(DOCUMENT_TASKS).map(([task, name]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'task';
+        button.textContent = name;
+        button.addEventListener('click', () => runDocumentTask(doc, task, panel));
+        return button;
+      });
+
+      li.append(checkbox, label, ...taskButtons, remove, panel);
+      documentsList.appendChild(li);
+    }
+  } catch (err) {
+    documentsList.textContent = `Erreur: ${err.message}`;
+  }
+}
+
+// Tâches sur un document entier (tous ses chunks passent par le modèle)
+const DOCUMENT_TASKS = { summary: 'Résumé', outline: 'Plan', faq: 'FAQ' };
+
+// Lancer une tâche sur un document et afficher le résultat sous le document
+// Un résultat déjà calculé s'affiche tout de suite ; sinon la tâche tourne en fond
+async function runDocumentTask(doc, task, panel, refresh = false) {
+  const name = DOCUMENT_TASKS[task];
+  panel.hidden = false;
+  panel.textContent = `${name} : démarrage...`;
+
+  try {
+    const res = await fetch(`/api/documents/${encodeURIComponent(doc.id)}/${task}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh })
+    });
+    if (!res.ok) {
+      panel.textContent = `Erreur: ${res.status} - ${await res.text()}`;
+      return;
+    }
+
+    const data = await res.json();
+    let result = data.result;
+    if (!result) {
+      const job = await watchJob(data.jobId, (job) => {
+        if (job.status === 'queued') panel.textContent = `${name} : en attente d'une autre tâche...`;
+        else if (job.stage === 'map' && job.total) panel.textContent = `${name} : lecture du document, partie ${job.done}/${job.total}`;
+        else panel.textContent = `${name} : synthèse...`;
+      });
+      if (job.status !== 'done') {
+        panel.textContent = job.status === 'cancelled' ? `${name} : annulé` : `Erreur: ${job.error}`;
+        return;
+      }
+      result = job.result;
+    }
+    showDocumentTask(doc, task, panel, result);
+  } catch (err) {
+    panel.textContent = `Erreur: ${err.message}`;
+  }
+}
+
+// Afficher le résultat d'une tâche (FAQ : questions-réponses ; résumé, plan : texte)
+function showDocumentTask(doc, task, panel, result) {
+  panel.innerHTML = '';
+
+  const header = document.createElement('div');
+  const title = document.createElement('strong');
+  title.textContent = `${DOCUMENT_TASKS[task]} — ${result.chatModel}, ${new Date(result.createdAt).toLocaleString()}`;
+
+  const refresh = document.createElement('button');
+  refresh.type = 'button';
+  refresh.className = 'task';
+  refresh.textContent = 'Regénérer';
+  refresh.addEventListener('click', () => runDocumentTask(doc, task, panel, true));
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'task';
+  close.textContent = 'Fermer';
+  close.addEventListener('click', () => {
+    panel.hidden = true;
+  });
+  header.append(title, refresh, close);
+
+  let body;
+  if (result.items?.length) {
+    body = document.createElement('dl');
+    for (const item of result.items) {
+      const question = document.createElement('dt');
+      question.textContent = item.question;
+      const answer = document.createElement('dd');
+      answer.textContent = item.answer;
+      body.append(question, answer);
+    }
+  } else {
+    body = document.createElement('div');
+    body.className = 'text';
+    body.textContent = result.text;
+  }
+
+  panel.append(header, body);
+}
+
+// Documents cochés dans la liste
+function selectedDocuments() {
+  return [...documentsList.querySelectorAll('input[type="checkbox"]:checked')].map((c) => c.value);
+}
+
+// Libellés des étapes d'indexation
+const STAGES = {
+  extraction: 'Extraction du texte',
+  ocr: 'Lecture des pages scannées (OCR)',
+  chunking: 'Découpage en chunks',
+  embedding: 'Calcul des embeddings',
+  saving: 'Sauvegarde'
+};
+
+// Tâche d'indexation en cours (pour pouvoir l'annuler)
+let indexJobId = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Afficher l'avancement d'une tâche
+function showJob(job) {
+  if (job.status === 'queued') {
+    indexStatus.textContent = "En attente d'une autre indexation...";
+    return;
+  }
+
+  const stage = STAGES[job.stage] || 'Démarrage';
+  if (job.total) {
+    indexProgress.max = job.total;
+    indexProgress.value = job.done;
+    indexStatus.textContent = `${stage}: ${job.done}/${job.total} ${job.stage === 'ocr' ? 'pages' : 'chunks'}`;
+  } else {
+    // Total encore inconnu : barre indéterminée
+    indexProgress.removeAttribute('value');
+    indexStatus.textContent = `${stage}...`;
+  }
+}
+
+// Suivre une tâche jusqu'à la fin (onProgress : affichage de l'avancement)
+async function watchJob(jobId, onProgress = showJob) {
+  while (true) {
+    const res = await fetch(`/api/jobs/${jobId}`);
+    if (!res.ok) throw new Error(`Tâche introuvable (${res.status})`);
+
+    const { job } = await res.json();
+    if (['done', 'failed', 'cancelled'].includes(job.status)) return job;
+
+    onProgress(job);
+    await sleep(500);
+  }
+}
+
+cancelIndex.addEventListener('click', async () => {
+  if (indexJobId) await fetch(`/api/jobs/${indexJobId}/cancel`, { method: 'POST' });
+});
+
+// Indexer un document ou une URL (en tâche de fond, avec barre de progression)
 indexForm.addEventListener('submit', async (e) => {
   e.preventDefault();
-  
-  indexStatus.textContent = 'Indexation en cours...';
-  answer.textContent = '';
-  sources.textContent = '';
 
   const formData = new FormData(indexForm);
+  const file = formData.get('file');
+  const url = formData.get('url').trim();
+
+  if (!file?.size && !url) {
+    indexStatus.textContent = 'Choisissez un fichier ou saisissez une URL';
+    return;
+  }
+  
+  indexStatus.textContent = file?.size ? 'Envoi du fichier...' : 'Téléchargement de la page...';
+  indexProgress.hidden = false;
+  indexProgress.removeAttribute('value');
 
   try {
-    const res = await fetch('/api/index', { method: 'POST', body: formData });
+    // Fichier : envoyé en FormData ; URL seule : envoyée en JSON
+    const res = file?.size
+      ? await fetch('/api/index', { method: 'POST', body: formData })
+      : await fetch('/api/index', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url, access: formData.get('access') })
+        });
     
     if (!res.ok) {
       const text = await res.text();
@@ -25,39 +336,313 @@ indexForm.addEventListener('submit', async (e) => {
     }
 
     const data = await res.json();
-    indexStatus.textContent = `✓ ${data.stats.chunks} chunks indexés`;
+    indexJobId = data.jobId;
+    cancelIndex.disabled = false;
+
+    const job = await watchJob(indexJobId);
+    if (job.status === 'done') {
+      const { result } = job;
+      indexStatus.textContent = result.skipped
+        ? `✓ Déjà indexé (${result.chunks} chunks, rien à recalculer)`
+        : `✓ ${result.chunks} chunks indexés (${result.embedded} vectorisés, ${result.reused} réutilisés)`;
+      loadDocuments();
+    } else if (job.status === 'cancelled') {
+      indexStatus.textContent = 'Indexation annulée (relancer le même fichier reprendra où elle s\'est arrêtée)';
+    } else {
+      indexStatus.textContent = `Erreur: ${job.error}`;
+    }
   } catch (err) {
     indexStatus.textContent = `Erreur: ${err.message}`;
+  } finally {
+    indexJobId = null;
+    cancelIndex.disabled = true;
+    indexProgress.hidden = true;
   }
 });
 
-// Poser une question
+// Lire un flux Server-Sent Events envoyé en réponse à un POST
+// (EventSource ne sait faire que des GET, d'où la lecture manuelle)
+async function readEvents(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Les événements sont séparés par une ligne vide
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const raw of events) {
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Conversation en cours (gardée dans l'onglet pour survivre à un rechargement)
+let conversationId = sessionStorage.getItem('conversationId');
+
+// Ajouter un message au fil de discussion
+// Retourne les éléments du message (texte, passage cité, sources, avis) pour pouvoir les remplir
+function addMessage(role, text) {
+  const message = document.createElement('div');
+  message.className = `message ${role}`;
+
+  const content = document.createElement('div');
+  content.className = 'content';
+  content.textContent = text;
+
+  const passageBox = document.createElement('div');
+  passageBox.className = 'passages';
+  passageBox.hidden = true;
+
+  const sourcesBox = document.createElement('pre');
+  sourcesBox.className = 'sources';
+  sourcesBox.hidden = true;
+
+  const feedbackBox = document.createElement('div');
+  feedbackBox.className = 'feedback';
+  feedbackBox.hidden = true;
+
+  message.append(content, passageBox, sourcesBox, feedbackBox);
+  thread.appendChild(message);
+  thread.scrollTop = thread.scrollHeight;
+  return { content, passageBox, sourcesBox, feedbackBox };
+}
+
+// Afficher une réponse avec ses citations [#n] cliquables
+function showAnswer(message, text, citations = []) {
+  // Un marqueur peut citer plusieurs passages ("[#1, #3]") : grouper par position
+  const markers = new Map();
+  for (const c of citations) {
+    if (!markers.has(c.start)) markers.set(c.start, []);
+    markers.get(c.start).push(c);
+  }
+
+  message.content.textContent = '';
+  let pos = 0;
+  for (const [start, list] of [...markers].sort((a, b) => a[0] - b[0])) {
+    const valid = list.every((c) => c.valid);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = valid ? 'citation' : 'citation invalid';
+    button.title = valid ? 'Voir le passage cité' : 'Ce passage ne fait pas partie du contexte';
+    button.textContent = text.slice(start, list[0].end);
+    button.addEventListener('click', () => showPassages(message.passageBox, list));
+
+    message.content.append(text.slice(pos, start), button);
+    pos = list[0].end;
+  }
+  message.content.append(text.slice(pos));
+}
+
+// Afficher les passages exacts d'une citation (phrase qui soutient la réponse surlignée)
+async function showPassages(passageBox, list) {
+  passageBox.innerHTML = '';
+  passageBox.hidden = false;
+
+  for (const c of list) {
+    const block = document.createElement('blockquote');
+    passageBox.appendChild(block);
+
+    if (!c.valid) {
+      block.className = 'invalid';
+      block.textContent = `[#${c.marker}] ne correspond à aucun passage fourni au modèle.`;
+      continue;
+    }
+
+    const res = await fetch(`/api/chunks/${encodeURIComponent(c.chunkId)}`);
+    if (!res.ok) {
+      block.className = 'invalid';
+      block.textContent = `[#${c.marker}] Passage introuvable (document retiré ou réindexé).`;
+      continue;
+    }
+    const { chunk } = await res.json();
+
+    const title = document.createElement('div');
+    title.className = 'passage-title';
+    const pages = chunk.pageStart == null ? ''
+      : chunk.pageStart === chunk.pageEnd ? `, p. ${chunk.pageStart}` : `, p. ${chunk.pageStart}-${chunk.pageEnd}`;
+    title.textContent = `[#${c.marker}] ${chunk.source}${pages}${chunk.heading ? `, ${chunk.heading}` : ''}`;
+    // Texte lu par OCR : il peut contenir des erreurs de lecture
+    if (chunk.ocrConfidence != null) title.textContent += ` — OCR, confiance ${Math.round(chunk.ocrConfidence * 100)} %`;
+
+    // Surligner la phrase citée (si le chunk n'a pas changé depuis la réponse)
+    const text = document.createElement('p');
+    const span = c.span;
+    if (span && chunk.text.slice(span.start, span.end) === span.text) {
+      const mark = document.createElement('mark');
+      mark.textContent = span.text;
+      text.append(chunk.text.slice(0, span.start), mark, chunk.text.slice(span.end));
+    } else {
+      text.textContent = chunk.text;
+    }
+
+    block.append(title, text);
+  }
+}
+
+// Afficher les sources sous une réponse
+function showSources(sourcesBox, list) {
+  sourcesBox.textContent = `Sources:\n${JSON.stringify(list, null, 2)}`;
+  sourcesBox.hidden = false;
+}
+
+// Boutons 👍 / 👎 sous une réponse (l'avis est enregistré avec l'id de la réponse)
+function showFeedback(feedbackBox, answerId, current = null) {
+  feedbackBox.innerHTML = '';
+  feedbackBox.hidden = false;
+
+  const status = document.createElement('span');
+  const buttons = [['up', '👍', 'Réponse utile'], ['down', '👎', 'Réponse incorrecte ou inutile']].map(([rating, label, title]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.classList.toggle('selected', rating === current);
+    button.addEventListener('click', async () => {
+      const res = await fetch(`/api/answers/${encodeURIComponent(answerId)}/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rating })
+      });
+      if (!res.ok) {
+        status.textContent = 'Avis non enregistré';
+        return;
+      }
+      buttons.forEach((b) => b.classList.toggle('selected', b === button));
+      status.textContent = 'Merci pour votre avis';
+    });
+    return button;
+  });
+
+  feedbackBox.append(...buttons, status);
+}
+
+// Mention d'une réponse reprise du cache (une question proche a déjà reçu cette réponse)
+function showCached(feedbackBox, cachedFrom) {
+  const note = document.createElement('span');
+  note.className = 'cached';
+  note.textContent = `⚡ Réponse en cache (question proche : « ${cachedFrom.question} »)`;
+  note.title = `Similarité ${cachedFrom.similarity}, réponse du ${new Date(cachedFrom.createdAt).toLocaleString()}. Cochez « Sans cache » pour en générer une nouvelle.`;
+  feedbackBox.append(note);
+}
+
+// Recharger le fil de la conversation en cours
+async function loadConversation() {
+  thread.innerHTML = '';
+  if (!conversationId) return;
+
+  const res = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+  if (!res.ok) {
+    // Conversation supprimée ou expirée : repartir de zéro
+    conversationId = null;
+    sessionStorage.removeItem('conversationId');
+    return;
+  }
+
+  const data = await res.json();
+  for (const m of data.conversation.messages) {
+    const message = addMessage(m.role, m.content);
+    if (m.citations) showAnswer(message, m.content, m.citations);
+    if (m.sources) showSources(message.sourcesBox, m.sources);
+    if (m.answerId) showFeedback(message.feedbackBox, m.answerId, m.feedback);
+    if (m.cachedFrom) showCached(message.feedbackBox, m.cachedFrom);
+  }
+}
+
+checkSession();
+
+newConversationButton.addEventListener('click', () => {
+  if (askController) askController.abort();
+  conversationId = null;
+  sessionStorage.removeItem('conversationId');
+  thread.innerHTML = '';
+});
+
+// Génération en cours (pour pouvoir l'annuler)
+let askController = null;
+
+cancelAsk.addEventListener('click', () => {
+  if (askController) askController.abort();
+});
+
+// Poser une question (la réponse s'affiche au fil de la génération)
 askForm.addEventListener('submit', async (e) => {
   e.preventDefault();
 
   const question = questionInput.value.trim();
   if (!question) return;
+  questionInput.value = '';
 
-  answer.textContent = 'Réponse en cours...';
-  sources.textContent = '';
+  addMessage('user', question);
+  const answer = addMessage('assistant', 'Réponse en cours...');
+
+  askController = new AbortController();
+  cancelAsk.disabled = false;
 
   try {
-    const res = await fetch('/api/ask', {
+    const res = await fetch('/api/ask/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ question })
+      body: JSON.stringify({
+        question,
+        conversationId,
+        documents: selectedDocuments(),
+        retrieval: retrievalSelect.value,
+        rerank: rerankSelect.value || undefined,  // Vide : réglage du serveur (RERANK)
+        template: templateSelect.value || undefined,  // Vide : modèle du serveur (PROMPT_TEMPLATE)
+        cache: !noCacheCheckbox.checked
+      }),
+      signal: askController.signal
     });
 
     if (!res.ok) {
       const text = await res.text();
-      answer.textContent = `Erreur: ${res.status} - ${text}`;
+      answer.content.textContent = `Erreur: ${res.status} - ${text}`;
       return;
     }
 
-    const data = await res.json();
-    answer.textContent = data.answer;
-    sources.textContent = `Sources:\n${JSON.stringify(data.sources, null, 2)}`;
+    let started = false;
+    await readEvents(res, (event, data) => {
+      if (event === 'conversation') {
+        conversationId = data.conversationId;
+        sessionStorage.setItem('conversationId', conversationId);
+      } else if (event === 'token') {
+        // Premier morceau : remplacer le message d'attente
+        if (!started) {
+          answer.content.textContent = '';
+          started = true;
+        }
+        answer.content.textContent += data.content;
+        thread.scrollTop = thread.scrollHeight;
+      } else if (event === 'done') {
+        showAnswer(answer, data.answer, data.citations);
+        showSources(answer.sourcesBox, data.sources);
+        showFeedback(answer.feedbackBox, data.answerId);
+        if (data.cached) showCached(answer.feedbackBox, data.cachedFrom);
+      } else if (event === 'error') {
+        answer.content.textContent = `Erreur: ${data.error}`;
+      }
+    });
   } catch (err) {
-    answer.textContent = `Erreur: ${err.message}`;
+    if (err.name === 'AbortError') {
+      answer.content.textContent += '\n\n(Réponse annulée)';
+    } else {
+      answer.content.textContent = `Erreur: ${err.message}`;
+    }
+  } finally {
+    askController = null;
+    cancelAsk.disabled = true;
   }
 });
@@ -0,0 +1,123 @@
+// ============================================
+// QUERYLOG.JS - Journal des questions et avis des utilisateurs
+// ============================================
+// Chaque réponse (ou échec) est enregistrée dans le dossier logs/ de l'espace
+// de travail, une ligne JSON par question :
+// - logs/queries.jsonl  : question, modèles, durée de chaque étape du pipeline,
+//                         chunks retrouvés (ids + scores), résultat ou erreur
+// - logs/feedback.jsonl : avis 👍/👎 des utilisateurs, reliés à la réponse par son id
+//
+// Ces fichiers servent à voir quelles questions échouent, où part le temps
+// (embeddings, recherche, génération...) et si les réponses inspirent confiance.
+// Format JSONL : facile à lire avec jq, ou à charger dans un tableur.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Format des identifiants de réponse (évite qu'un id du client serve de motif de recherche arbitraire)
+const ANSWER_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// Avis possibles sur une réponse
+const RATINGS = ['up', 'down'];
+
+// Longueur maximale d'un commentaire (caractères)
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Nouvel identifiant de réponse
+ */
+function newAnswerId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Ajoute une ligne JSON à un fichier du journal (dossier créé au besoin)
+ */
+function appendLine(dir, name, entry) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, name), JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+// ============================================
+// PARTIE 1 : QUESTIONS
+// ============================================
+
+/**
+ * Enregistre une question et son résultat
+ *
+ * entry : { answerId, user, conversationId, mode, question, standaloneQuestion,
+ *           chatModel, embedModel, retrieval, rerank, topK, minScore, template, format, language,
+ *           outcome ('answered' | 'not_found' | 'error' | 'cancelled'), cached, error, code,
+ *           timings: { rewrite, embed, search, rerank, generate, firstToken, total } (ms),
+ *           sources: [{ id, score, rerankScore }], citations, invalidCitations }
+ */
+function logQuery({ dir, entry }) {
+  appendLine(dir, 'queries.jsonl', { createdAt: new Date().toISOString(), ...entry });
+}
+
+/**
+ * Retrouve une question enregistrée par l'id de sa réponse
+ * Retourne null si l'id est invalide ou inconnu
+ * (le fichier est lu depuis la fin : les avis portent surtout sur des réponses récentes)
+ */
+function findQuery({ dir, answerId }) {
+  if (!ANSWER_ID_PATTERN.test(String(answerId))) return null;
+
+  const file = path.join(dir, 'queries.jsonl');
+  if (!fs.existsSync(file)) return null;
+
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i].includes(answerId)) continue;
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (entry.answerId === answerId) return entry;
+    } catch {
+      // Ligne incomplète (arrêt brutal pendant l'écriture) : ignorée
+    }
+  }
+  return null;
+}
+
+// ============================================
+// PARTIE 2 : AVIS
+// ============================================
+
+/**
+ * Lit un avis envoyé par le client : { rating: 'up' | 'down', comment? }
+ * Retourne { rating, comment } ou { error }
+ */
+function parseFeedback(body) {
+  const rating = body?.rating;
+  if (!RATINGS.includes(rating)) return { error: `rating doit valoir: ${RATINGS.join(', ')}` };
+
+  const comment = body?.comment ?? null;
+  if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return { error: `comment doit être un texte de ${MAX_COMMENT_LENGTH} caractères au plus` };
+  }
+  return { rating, comment: comment?.trim() || null };
+}
+
+/**
+ * Enregistre l'avis d'un utilisateur sur une réponse
+ * Un nouvel avis sur la même réponse remplace le précédent (le dernier compte)
+ */
+function logFeedback({ dir, answerId, user, rating, comment = null }) {
+  const feedback = { createdAt: new Date().toISOString(), answerId, user, rating, comment };
+  appendLine(dir, 'feedback.jsonl', feedback);
+  return feedback;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  newAnswerId,        // Nouvel identifiant de réponse
+  logQuery,           // Enregistrer une question et son résultat
+  findQuery,          // Retrouver une question par l'id de sa réponse
+  parseFeedback,      // Lire un avis envoyé par le client
+  logFeedback,        // Enregistrer l'avis d'un utilisateur
+  RATINGS             // Avis possibles ('up', 'down')
+};
@@ -2,349 +2,1364 @@
 // RAG.JS - Logique complète du système RAG
 // ============================================
 // Ce fichier contient toutes les fonctions pour :
-// 1. Communiquer avec l'API Ollama (embeddings + chat)
+// 1. Communiquer avec les modèles (embeddings + chat, via providers.js)
 // 2. Découper du texte en morceaux (chunking)
-// 3. Calculer la similarité entre vecteurs
-// 4. Indexer un PDF (extraction + vectorisation)
-// 5. Répondre aux questions (retrieval + génération)
+// 3. Gérer le corpus (plusieurs documents dans un même index, via store.js)
+// 4. Indexer un document (PDF, DOCX, Markdown, HTML, texte, URL : extraction + vectorisation)
+// 5. Répondre aux questions (reformulation + retrieval + génération)
 
 // Importer les modules Node.js nécessaires
 const fs = require('fs');           // Pour lire/écrire des fichiers
 const path = require('path');       // Pour manipuler les chemins de fichiers
-const { PDFParse } = require('pdf-parse'); // Pour extraire le texte d'un PDF
+const crypto = require('crypto');   // Pour générer des identifiants et des empreintes (sha256)
+const { loadDocument, fetchSource, DEFAULT_MAX_PAGES, DEFAULT_MAX_BYTES } = require('./loaders'); // Lecture des formats (PDF, DOCX, HTML...)
+const { termFrequencies, bm25Search, reciprocalRankFusion } = require('./bm25'); // Recherche lexicale
+const { getDefaultProvider } = require('./providers'); // Fournisseur de modèles (Ollama, OpenAI, factice)
+const { openStore } = require('./store'); // Stockage du corpus (en mémoire, vecteurs binaires)
+const { rerankCandidates, RERANK_MODES, RERANK_DEPTH, DEFAULT_MMR_LAMBDA } = require('./rerank'); // Reclassement + diversité
+const { extractCitations } = require('./citations'); // Vérification des citations [#n]
+const { canRead, canWrite } = require('./auth'); // Permissions des documents
+const { ocrOptionsFromEnv } = require('./ocr'); // OCR des pages scannées
+const { getConfig } = require('./config'); // Réglages par défaut (fichier + variables d'environnement)
+const { cacheDirFor, openEmbeddingCache, openAnswerCache } = require('./cache'); // Cache des embeddings et des réponses
+const { loadTemplate, renderPrompt, detectLanguage, notFoundAnswer, parseJsonAnswer, LANGUAGES, OUTPUT_FORMATS } = require('./prompts'); // Modèles de prompts, langue, format
 
 // ============================================
-// PARTIE 1 : API OLLAMA
+// PARTIE 1 : MODÈLES (embeddings + chat)
 // ============================================
+// Les appels réseau sont délégués au fournisseur (voir providers.js) :
+// Ollama par défaut, ou serveur compatible OpenAI, ou fournisseur factice.
+// Chaque fonction accepte une option "provider" pour en choisir un autre.
 
 /**
- * Transforme du texte en vecteur numérique (embeddings)
- * via l'API Ollama
+ * Construit la liste de messages envoyée au LLM
+ * [système, ...historique de la conversation, question]
  */
-async function ollamaEmbeddings({ model, text }) {
-  // Appeler l'API Ollama (endpoint embeddings)
-  const response = await fetch('http://localhost:11434/api/embeddings', {
-    method: 'POST',  // Méthode HTTP POST
-    headers: { 'content-type': 'application/json' },  // Type de contenu JSON
-    body: JSON.stringify({  // Convertir l'objet en chaîne JSON
-      model: model,         // Nom du modèle (ex: "nomic-embed-text")
-      prompt: text          // Texte à vectoriser
-    })
-  });
+function buildMessages({ system, user, history = [] }) {
+  return [
+    { role: 'system', content: system },  // Prompt système (instructions)
+    ...history,                           // Échanges précédents (questions/réponses)
+    { role: 'user', content: user }       // Prompt utilisateur (question)
+  ];
+}
 
-  // Parser la réponse JSON (convertir en vrai objet JavaScript ({ ... }) au lieu d’une chaîne de texte.)
-  const data = await response.json();
+/**
+ * Embeddings de plusieurs textes, en passant par le cache d'embeddings (voir cache.js)
+ * Seuls les textes absents du cache sont envoyés au fournisseur (en une requête),
+ * puis ajoutés au cache. Sans cache (null), tous les textes sont envoyés.
+ */
+async function embedWithCache({ cache, provider, model, texts, signal }) {
+  const vectors = texts.map((text) => cache?.get(model, text) ?? null);
+  const missing = texts.map((_, i) => i).filter((i) => !vectors[i]);
 
-  // Retourner le vecteur d'embeddings
-  // Exemple: [0.12, 0.89, -0.34, ..., 0.77] (768 dimensions)
-  return data.embedding;
+  if (missing.length) {
+    const computed = await provider.embedBatch({ model, texts: missing.map((i) => texts[i]), signal });
+    missing.forEach((i, k) => {
+      vectors[i] = computed[k];
+    });
+    cache?.add(model, missing.map((i, k) => ({ text: texts[i], vector: computed[k] })));
+  }
+  return vectors;
 }
 
+// ============================================
+// PARTIE 2 : TRAITEMENT DU TEXTE
+// ============================================
+
 /**
- * Génère une réponse via le LLM Ollama (chat)
+ * Nettoie le texte extrait d'une page (en gardant les sauts de ligne)
  */
-async function ollamaChat({ model, system, user }) {
-  // Appeler l'API Ollama (endpoint chat)
-  const response = await fetch('http://localhost:11434/api/chat', {
-    method: 'POST',
-    headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({
-      model: model,          // Nom du modèle (ex: "llama3.2")
-      stream: false,         // Pas de streaming (réponse complète d'un coup)
-      messages: [            // Tableau de messages (conversation)
-        { role: 'system', content: system },  // Prompt système (instructions)
-        { role: 'user', content: user }       // Prompt utilisateur (question)
-      ]
-    })
-  });
+function cleanText(text) {
+  return String(text || '')               // Convertir en string (au cas où)
+    .replace(/\r/g, '')                   // Supprimer les retours chariot Windows
+    .replace(/[ \t]+/g, ' ')              // Remplacer espaces multiples par 1 seul
+    .replace(/\n{3,}/g, '\n\n')           // Remplacer 3+ sauts de ligne par 2
+    .trim();                              // Supprimer espaces début/fin
+}
+
+/**
+ * Estime le nombre de tokens d'un texte
+ * Approximation : ~4 caractères par token (français/anglais)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
 
+/**
+ * Détecte si une ligne ressemble à un titre de section
+ * Exemples : "2.1 Objectifs", "III. Méthodologie", "Chapitre 2", "INTRODUCTION"
+ */
+function isHeading(line) {
+  // Un titre est court et ne finit pas comme une phrase
+  if (line.length > 80 || /[.,;:!?]$/.test(line)) return false;
+  if (line.split(/\s+/).length > 12) return false;
 
-  // Parser la réponse JSON
-  const data = await response.json();
-  
-  // Extraire le contenu de la réponse
-  // Structure: { message: { content: "réponse du LLM" } }
-  const content = data?.message?.content;
+  // Titre numéroté : "1.", "2.1", "III.", "A."
+  if (/^(\d+(\.\d+)*\.?|[IVXLC]+\.|[A-Z]\.)\s+\p{Lu}/u.test(line)) return true;
 
-  // Vérifier que le contenu est une chaîne de caractères valide
-  if (typeof content !== 'string') {
-    throw new Error('Réponse Ollama chat invalide');
-  }
+  // Titre introduit par un mot-clé
+  if (/^(chapitre|section|partie|annexe|article|chapter|part|appendix)\s+\S+/i.test(line)) return true;
 
-  // Retourner la réponse nettoyée (sans espaces superflus)
-  return content.trim();
+  // Titre tout en majuscules (au moins un mot de 3 lettres)
+  return /\p{Lu}{3,}/u.test(line) && line === line.toUpperCase();
 }
 
-// ============================================
-// PARTIE 2 : TRAITEMENT DU TEXTE
-// ============================================
+/**
+ * Découpe un paragraphe en phrases
+ * On coupe après . ! ? … suivi d'une majuscule (évite de couper "3.5" ou "p. ex.")
+ */
+function splitSentences(paragraph) {
+  return paragraph
+    .split(/(?<=[.!?…])\s+(?=[\p{Lu}\d«"(])/u)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Coupe une phrase trop longue (tableaux, listes sans ponctuation...)
+ * en morceaux de maxTokens au plus, sur des frontières de mots
+ */
+function splitLongSentence(sentence, maxTokens) {
+  if (estimateTokens(sentence) <= maxTokens) return [sentence];
+
+  const parts = [];
+  let current = '';
+  for (const word of sentence.split(' ')) {
+    if (current && estimateTokens(current + ' ' + word) > maxTokens) {
+      parts.push(current);
+      current = word;
+    } else {
+      current = current ? current + ' ' + word : word;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
 
 /**
- * Découpe un texte long en morceaux (chunks) avec chevauchement
+ * Découpe un document (paginé ou non) en chunks qui respectent sa structure
  * 
  * Pourquoi le chunking ?
  * - Les LLM ont une limite de tokens (contexte)
  * - On ne peut pas envoyer tout un PDF d'un coup
  * - Le chevauchement (overlap) garde le contexte entre chunks
+ *
+ * Règles de découpage :
+ * - Un titre de section commence toujours un nouveau chunk
+ * - On coupe entre deux phrases, jamais au milieu (sauf phrase géante)
+ * - On évite de couper un paragraphe quand le chunk est encore peu rempli
+ * - Le chevauchement reprend les dernières phrases du chunk précédent
+ *   (jamais d'une section à l'autre)
+ *
+ * Entrée : [{ num: 1, text: "...", headings: [...], ocr: { confidence } }, ...] (une entrée par page)
+ *   num      : numéro de page (null pour les formats sans pages : Markdown, HTML...)
+ *   headings : titres déjà connus du loader (optionnel, en plus de ceux détectés par isHeading)
+ *   ocr      : texte lu par OCR, avec sa confiance (optionnel)
+ * Sortie : [{ text, pageStart, pageEnd, heading, tokens, ocrConfidence }, ...]
+ *   ocrConfidence : confiance de la page OCR la moins sûre du chunk (null : pas d'OCR)
  */
-function chunkText(text, chunkSize = 1200, overlap = 200) {
-  // Nettoyer le texte :
-  const cleaned = String(text || '')      // Convertir en string (au cas où)
-    .replace(/\r/g, '')                   // Supprimer les retours chariot Windows
-    .replace(/[ \t]+/g, ' ')              // Remplacer espaces multiples par 1 seul
-    .replace(/\n{3,}/g, '\n\n')           // Remplacer 3+ sauts de ligne par 2
-    .trim();                              // Supprimer espaces début/fin
+function chunkPages(pages, { chunkTokens = 300, overlapTokens = 50 } = {}) {
+  // 1. TRANSFORMER LES PAGES EN UNITÉS (titres et phrases)
+  // Chaque unité garde sa page et le titre de section en cours
+  const units = [];
+  let heading = null;
+
+  const addParagraph = (lines, page, ocrConfidence) => {
+    if (!lines.length) return;
+    // Les retours à la ligne dans un paragraphe viennent de la mise en page du PDF
+    const sentences = splitSentences(lines.join(' '))
+      .flatMap((s) => splitLongSentence(s, chunkTokens));
+    const paraTokens = estimateTokens(sentences.join(' '));
+    sentences.forEach((text, idx) => {
+      units.push({ text, page, ocrConfidence, heading, tokens: estimateTokens(text), paraStart: idx === 0, paraTokens });
+    });
+  };
 
-  // Tableau qui va contenir tous les chunks
+  for (const page of pages) {
+    const knownHeadings = new Set(page.headings || []);
+    const ocrConfidence = page.ocr?.confidence ?? null;
+    for (const paragraph of cleanText(page.text).split(/\n\s*\n/)) {
+      let body = [];
+      for (const line of paragraph.split('\n').map((l) => l.trim()).filter(Boolean)) {
+        if (knownHeadings.has(line) || isHeading(line)) {
+          addParagraph(body, page.num, ocrConfidence);
+          body = [];
+          heading = line;
+          units.push({ text: line, page: page.num, ocrConfidence, heading, tokens: estimateTokens(line), isHeading: true });
+        } else {
+          body.push(line);
+        }
+      }
+      addParagraph(body, page.num, ocrConfidence);
+    }
+  }
+
+  // 2. REGROUPER LES UNITÉS EN CHUNKS
   const chunks = [];
-  
-  // Position de départ dans le texte
-  let i = 0;
-
-  // Boucle : découper jusqu'à la fin du texte
-  while (i < cleaned.length) {
-    // Calculer la position de fin du chunk
-    // Math.min = prendre le minimum entre (i + chunkSize) et la fin du texte
-    const end = Math.min(i + chunkSize, cleaned.length);
-    
-    // Extraire le chunk
-    const chunk = cleaned.slice(i, end).trim();
-    
-    // Ajouter le chunk seulement s'il n'est pas vide
-    if (chunk) {
-      chunks.push(chunk);
+  let current = [];   // Unités du chunk en cours
+  let size = 0;       // Taille du chunk en cours (tokens)
+  let fresh = 0;      // Unités ajoutées depuis le dernier chunk (hors overlap)
+
+  // Construire le chunk à partir de ses unités
+  const build = (list) => {
+    let text = '';
+    list.forEach((u, idx) => {
+      if (idx > 0) text += (u.isHeading || u.paraStart || list[idx - 1].isHeading) ? '\n\n' : ' ';
+      text += u.text;
+    });
+    const pageNums = list.map((u) => u.page).filter((p) => p != null);
+    const confidences = list.map((u) => u.ocrConfidence).filter((c) => c != null);
+    return {
+      text: text,
+      pageStart: pageNums.length ? Math.min(...pageNums) : null,  // null : document sans pages
+      pageEnd: pageNums.length ? Math.max(...pageNums) : null,
+      heading: list[list.length - 1].heading,  // Titre en vigueur (le plus précis si plusieurs)
+      tokens: size,
+      ocrConfidence: confidences.length ? Math.min(...confidences) : null
+    };
+  };
+
+  // Clore le chunk en cours (avec ou sans overlap pour le suivant)
+  const flush = (withOverlap) => {
+    if (!fresh) return;
+    chunks.push(build(current));
+
+    const kept = [];
+    let keptSize = 0;
+    if (withOverlap) {
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (current[i].isHeading || keptSize + current[i].tokens > overlapTokens) break;
+        kept.unshift(current[i]);
+        keptSize += current[i].tokens;
+      }
+    }
+    current = kept;
+    size = keptSize;
+    fresh = 0;
+  };
+
+  for (const unit of units) {
+    if (unit.isHeading) {
+      // Nouvelle section : nouveau chunk, sans overlap avec la section précédente
+      // (sauf si le chunk en cours ne contient que des titres)
+      if (current.some((u) => !u.isHeading)) flush(false);
+    } else if (unit.paraStart && size + unit.paraTokens > chunkTokens && size >= chunkTokens / 2) {
+      // Le paragraphe ne tient pas : le commencer dans un nouveau chunk
+      flush(true);
+    } else if (size + unit.tokens > chunkTokens) {
+      // Chunk plein : couper entre deux phrases
+      flush(true);
+    }
+
+    // L'overlap ne doit pas faire déborder le chunk suivant
+    if (size + unit.tokens > chunkTokens) {
+      current = [];
+      size = 0;
     }
-    
-    // Si on est à la fin du texte, sortir de la boucle
-    if (end === cleaned.length) break;
-    
-    // Avancer la position en tenant compte de l'overlap
-    // Math.max pour éviter de reculer (si overlap > chunkSize)
-    i = Math.max(0, end - overlap);
+
+    current.push(unit);
+    size += unit.tokens;
+    fresh++;
   }
+  flush(false);
 
-  // Retourner le tableau de chunks
   return chunks;
 }
 
+// ============================================
+// PARTIE 3 : CORPUS (plusieurs documents dans un seul index)
+// ============================================
+
+// Le corpus est stocké par store.js : documents + chunks en mémoire,
+// vecteurs normalisés en binaire (le fichier n'est relu que s'il a changé).
+
+// Version du découpage en chunks : à incrémenter quand chunkPages change
+// (les chunks produits par une ancienne version sont alors signalés comme périmés)
+const CHUNKER_VERSION = 2;
+
 /**
- * Calcule la similarité cosinus entre 2 vecteurs
- * 
- * C'est quoi la similarité cosinus ?
- * - Mesure l'angle entre 2 vecteurs
- * - Valeur entre -1 et 1 (1 = identiques, 0 = orthogonaux, -1 = opposés)
- * - Pour les embeddings, généralement entre 0 et 1
- * 
- * Formule : cos(θ) = (A · B) / (||A|| × ||B||)
- *   A · B = produit scalaire (dot product)
- *   ||A|| = norme (longueur) du vecteur A
- */
-function cosineSimilarity(a, b) {
-  // Variables pour les calculs
-  let dot = 0;   // Produit scalaire (A · B)
-  let na = 0;    // Norme de A au carré (||A||²)
-  let nb = 0;    // Norme de B au carré (||B||²)
-
-  // Prendre la longueur du plus petit vecteur
-  // (au cas où les 2 vecteurs n'ont pas la même taille)
-  const len = Math.min(a.length, b.length);
-  
-  // Parcourir les vecteurs
-  for (let i = 0; i < len; i++) {
-    dot += a[i] * b[i];    // Produit scalaire : somme de (a[i] × b[i])
-    na += a[i] * a[i];     // Norme A² : somme de (a[i]²)
-    nb += b[i] * b[i];     // Norme B² : somme de (b[i]²)
+ * Empreinte SHA-256 (hexadécimale) d'un texte ou d'un buffer
+ * - contenu d'un fichier : reconnaître un document déjà indexé
+ * - texte d'un chunk : réutiliser son embedding s'il n'a pas changé
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Raisons pour lesquelles un document ne correspond plus aux réglages actuels
+ * (modèle d'embeddings, taille/chevauchement des chunks, version du découpage)
+ *
+ * Retourne [] si le document est à jour.
+ */
+function staleReasons(doc, { embedModel, chunkTokens, overlapTokens }) {
+  const reasons = [];
+  if (embedModel && doc.embedModel !== embedModel) reasons.push('embedModel');
+  if (chunkTokens && doc.chunkTokens !== chunkTokens) reasons.push('chunkTokens');
+  if (overlapTokens !== undefined && doc.overlapTokens !== overlapTokens) reasons.push('overlapTokens');
+  if (doc.chunkerVersion !== CHUNKER_VERSION) reasons.push('chunkerVersion');
+  return reasons;
+}
+
+/**
+ * Le corpus n'est pas interrogeable avec le modèle d'embeddings actif
+ * (documents vectorisés par un autre modèle, ou vecteurs d'une autre dimension)
+ * code : 'index_mismatch' ; status : code HTTP à renvoyer (409)
+ */
+class IndexMismatchError extends Error {
+  constructor(message, { documents = [] } = {}) {
+    super(message);
+    this.name = 'IndexMismatchError';
+    this.code = 'index_mismatch';
+    this.status = 409;
+    this.documents = documents;  // Documents à réindexer ({ id, name, embedModel })
   }
+}
 
-  // Calculer le dénominateur : ||A|| × ||B||
-  // Math.sqrt pour obtenir la racine carrée (norme = √(somme des carrés))
-  const denom = Math.sqrt(na) * Math.sqrt(nb);
-  
-  // Si dénominateur = 0, retourner 0 (éviter division par zéro)
-  // Sinon, retourner cos(θ) = dot / denom
-  return denom ? dot / denom : 0;
+/**
+ * Compatibilité du corpus avec le modèle d'embeddings actif
+ *
+ * Retourne :
+ * - documents  : documents vectorisés par un autre modèle ({ id, name, embedModel })
+ * - dimensions : dimension des vecteurs de l'index (null si l'index est vide ou absent)
+ */
+function indexCompatibility({ indexPath, embedModel = getConfig().embedModel }) {
+  if (!fs.existsSync(indexPath)) return { documents: [], dimensions: null };
+  const store = openStore(indexPath);
+  return {
+    documents: store.documents()
+      .filter((doc) => doc.embedModel !== embedModel)
+      .map((doc) => ({ id: doc.id, name: doc.name, embedModel: doc.embedModel })),
+    dimensions: store.dimensions()
+  };
+}
+
+/**
+ * Vérifie que les chunks interrogés ont été vectorisés par le modèle de la question
+ * Sinon, la similarité cosinus comparerait des vecteurs sans rapport : IndexMismatchError
+ */
+function checkEmbeddings(store, items, embedModel, questionEmbedding) {
+  const searched = new Set(items.map((item) => item.docId));
+  const documents = store.documents()
+    .filter((doc) => searched.has(doc.id) && doc.embedModel !== embedModel)
+    .map((doc) => ({ id: doc.id, name: doc.name, embedModel: doc.embedModel }));
+
+  if (documents.length) {
+    const models = [...new Set(documents.map((d) => d.embedModel))].join(', ');
+    const names = documents.slice(0, 5).map((d) => d.name).join(', ') + (documents.length > 5 ? '...' : '');
+    throw new IndexMismatchError(
+      `Documents vectorisés avec ${models}, mais le modèle d'embeddings actif est ${embedModel} : ` +
+      `réindexez-les (${names}) ou revenez à EMBED_MODEL=${documents[0].embedModel}. La recherche lexicale reste possible.`,
+      { documents }
+    );
+  }
+
+  const dimensions = store.dimensions();
+  if (dimensions && questionEmbedding.length !== dimensions) {
+    throw new IndexMismatchError(
+      `Le modèle ${embedModel} produit des vecteurs de dimension ${questionEmbedding.length}, ` +
+      `l'index contient des vecteurs de dimension ${dimensions} : réindexez les documents avec ce modèle.`
+    );
+  }
+}
+
+/**
+ * Liste les documents présents dans le corpus
+ *
+ * Avec "settings" ({ embedModel, chunkTokens, overlapTokens }), chaque document
+ * reçoit un champ "stale" : la liste des réglages qui ont changé depuis son
+ * indexation ([] = à jour ; sinon, le réindexer pour en profiter).
+ *
+ * Avec "viewer" (utilisateur connecté), seuls les documents qu'il peut lire sont listés.
+ */
+function listDocuments({ indexPath, settings, viewer = null }) {
+  const documents = openStore(indexPath).documents().filter((doc) => canRead(doc, viewer));
+  if (!settings) return documents;
+  return documents.map((doc) => ({ ...doc, stale: staleReasons(doc, settings) }));
+}
+
+/**
+ * Retourne un document, ou null s'il n'existe pas (ou si "viewer" ne peut pas le lire)
+ */
+function getDocument({ indexPath, docId, viewer = null }) {
+  const doc = openStore(indexPath).documents().find((d) => d.id === docId);
+  return doc && canRead(doc, viewer) ? doc : null;
+}
+
+/**
+ * Change la visibilité d'un document ('workspace', 'private' ou liste de groupes)
+ * Retourne le document modifié, ou null s'il n'existe pas.
+ */
+function setDocumentAccess({ indexPath, docId, access }) {
+  return openStore(indexPath).updateDocument(docId, { access });
+}
+
+/**
+ * Supprime un document (et tous ses chunks) du corpus
+ * Les autres documents gardent leurs embeddings : rien n'est recalculé.
+ *
+ * Retourne le document supprimé, ou null s'il n'existe pas.
+ */
+function deleteDocument({ indexPath, docId }) {
+  return openStore(indexPath).removeDocument(docId);
+}
+
+/**
+ * Retourne un chunk (texte + emplacement), ou null s'il n'existe pas
+ * (ou si "viewer" ne peut pas lire son document)
+ * Sert à afficher le passage exact d'une citation.
+ */
+function getChunk({ indexPath, chunkId, viewer = null }) {
+  const item = openStore(indexPath).items().find((i) => i.id === chunkId);
+  if (!item || !getDocument({ indexPath, docId: item.docId, viewer })) return null;
+
+  return {
+    id: item.id,
+    docId: item.docId,
+    source: item.source,
+    pageStart: item.pageStart ?? null,
+    pageEnd: item.pageEnd ?? null,
+    heading: item.heading ?? null,
+    ocrConfidence: item.ocrConfidence ?? null,
+    text: item.text
+  };
+}
+
+/**
+ * Exporte le corpus au format JSON complet (documents + chunks + embeddings)
+ * Pour sauvegarder l'index ou le copier sur une autre machine.
+ */
+function exportCorpus({ indexPath }) {
+  return openStore(indexPath).toJson();
+}
+
+/**
+ * Importe un corpus JSON (export, ou ancien index.json)
+ * Les documents déjà présents (même id) sont remplacés, les autres sont conservés.
+ * Retourne { documents, chunks } : nombre de documents et de chunks importés
+ */
+function importCorpus({ indexPath, corpus }) {
+  return openStore(indexPath).importJson(corpus);
 }
 
 // ============================================
-// PARTIE 3 : INDEXATION (PDF → Vector Store)
+// PARTIE 4 : INDEXATION (Document → Vector Store)
 // ============================================
 
 /**
- * Indexe un PDF : extraction → chunking → embeddings → sauvegarde JSON
+ * Exécute des tâches asynchrones avec au plus "concurrency" tâches en parallèle
+ * Dès qu'une tâche échoue, plus aucune nouvelle tâche n'est lancée.
+ */
+async function runWithConcurrency(tasks, concurrency) {
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < tasks.length) {
+      const task = tasks[next++];
+      try {
+        await task();
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, worker);
+  const results = await Promise.allSettled(workers);
+
+  // Attendre que toutes les tâches en cours soient finies (et sauvegardées)
+  // avant de remonter la première erreur
+  const rejected = results.find((r) => r.status === 'rejected');
+  if (rejected) throw rejected.reason;
+}
+
+/**
+ * Lit le point de reprise d'une indexation interrompue
+ *
+ * Format (NDJSON, une ligne ajoutée par lot terminé) :
+ *   { "docId": "...", "chunks": 120 }          ← en-tête
+ *   { "i": 0, "embedding": [...] }             ← un chunk déjà vectorisé
+ *
+ * Une ligne incomplète (arrêt brutal pendant l'écriture) est ignorée.
+ * Retourne null si le point de reprise n'existe pas ou ne correspond plus.
+ */
+function readCheckpoint(checkpointPath, chunkCount) {
+  if (!fs.existsSync(checkpointPath)) return null;
+
+  const lines = fs.readFileSync(checkpointPath, 'utf-8').split('\n').filter(Boolean);
+  const records = [];
+  for (const line of lines) {
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Ligne tronquée : ignorer
+    }
+  }
+
+  const header = records.shift();
+  if (!header?.docId || header.chunks !== chunkCount) return null;
+
+  const embeddings = new Map();
+  for (const r of records) {
+    if (Number.isInteger(r.i) && Array.isArray(r.embedding)) embeddings.set(r.i, r.embedding);
+  }
+  return { docId: header.docId, embeddings };
+}
+
+/**
+ * Embeddings réutilisables du corpus, par empreinte du texte du chunk
+ * (seulement ceux calculés avec le modèle demandé : les vecteurs de deux
+ * modèles différents ne sont pas comparables)
+ */
+function reusableEmbeddings(store, embedModel) {
+  const modelByDoc = new Map(store.documents().map((d) => [d.id, d.embedModel]));
+  const byHash = new Map();
+  store.items().forEach((item, i) => {
+    // Les anciens chunks n'ont ni modèle ni empreinte : prendre ceux du document
+    const model = item.embedModel || modelByDoc.get(item.docId);
+    if (model !== embedModel) return;
+    byHash.set(item.textHash || sha256(item.text), store.vectorAt(i));
+  });
+  return byHash;
+}
+
+/**
+ * Indexe un document : extraction → chunking → embeddings → ajout au corpus
  * 
  * Pipeline complet :
- * 1. Lire le PDF
- * 2. Extraire le texte
- * 3. Découper en chunks
- * 4. Calculer l'embedding de chaque chunk
- * 5. Sauvegarder dans un fichier JSON
- */
-async function indexPdfToJson({
-  pdfPath,                              // Chemin du PDF à indexer
-  outPath,                              // Chemin de sortie (index.json)
-  sourceName = 'C:\\Users\\ImenBOUSSETTA\\Desktop\\miniprojectnlp\\Sujet_Imen Boussetta.pdf',          // Nom du document (pour les métadonnées)
-  chunkSize = 1200,                     // Taille d'un chunk (caractères)
-  chunkOverlap = 200,                   // Chevauchement entre chunks
-  embedModel = 'nomic-embed-text'       // Modèle d'embeddings Ollama
+ * 1. Lire le fichier (ou télécharger l'URL) et calculer son empreinte (SHA-256 du contenu)
+ * 2. Extraire le texte avec le loader du format (PDF page par page, DOCX, Markdown, HTML, texte) ;
+ *    les pages scannées d'un PDF sont lues par OCR (voir ocr.js)
+ * 3. Découper en chunks (en suivant pages, paragraphes et titres)
+ * 4. Calculer les embeddings par lots (plusieurs lots en parallèle),
+ *    avec un point de reprise sur disque après chaque lot ;
+ *    un texte déjà vectorisé par le même modèle est repris du cache d'embeddings
+ * 5. Ajouter le document au corpus (les documents déjà indexés sont conservés)
+ *
+ * Déduplication et mise à jour incrémentale :
+ * - même contenu + mêmes réglages : rien à faire, le document existant est renvoyé
+ * - nouvelle version d'un document (même nom, ou même contenu avec d'autres réglages) :
+ *   elle remplace l'ancienne (même id), et seuls les chunks dont le texte a changé
+ *   sont revectorisés (les autres reprennent l'embedding déjà calculé)
+ *
+ * Reprise : si une indexation du même fichier (même contenu, mêmes réglages)
+ * a été interrompue, les chunks déjà vectorisés ne sont pas recalculés.
+ */
+async function indexDocument({
+  filePath,                             // Chemin du fichier à indexer
+  url,                                  // ... ou URL à télécharger (à la place de filePath)
+  mimeType,                             // Type MIME (optionnel : sinon d'après l'extension)
+  outPath,                              // Chemin du corpus (index.json)
+  sourceName = url || path.basename(filePath), // Nom du document (pour les métadonnées)
+  chunkTokens = getConfig().chunkTokens,     // Taille max d'un chunk (tokens approximatifs)
+  overlapTokens = getConfig().overlapTokens, // Chevauchement entre chunks (tokens approximatifs)
+  embedModel = getConfig().embedModel,  // Modèle d'embeddings
+  batchSize = 16,                       // Nombre de chunks par requête d'embeddings
+  concurrency = 2,                      // Nombre de requêtes d'embeddings en parallèle
+  maxPages = DEFAULT_MAX_PAGES,         // Nombre maximal de pages (PDF)
+  maxBytes = DEFAULT_MAX_BYTES,         // Taille maximale d'un document téléchargé (URL)
+  ocr = ocrOptionsFromEnv(),            // OCR des pages scannées ({ enabled, langs, langPath })
+  embedCache = true,                    // Réutiliser les embeddings déjà calculés (cache/ à côté du corpus)
+  onProgress,                           // Callback ({ stage, done, total }) à chaque étape et après chaque lot (optionnel)
+  signal,                               // Signal d'annulation (optionnel)
+  viewer = null,                        // Utilisateur qui indexe ({ id, groups, admin }) : propriétaire du document
+  access,                               // Visibilité : 'workspace', 'private' ou liste de groupes
+                                        // (par défaut : celle de la version précédente, sinon 'workspace')
+  provider = getDefaultProvider()       // Fournisseur de modèles
 }) {
+  // Signaler l'avancement (étapes : extraction, ocr, chunking, embedding, saving)
+  const report = (progress) => {
+    if (onProgress) onProgress(progress);
+  };
   
-  // 1. LIRE LE PDF
-  // Lire le fichier PDF en tant que buffer (données binaires)
-  const buffer = fs.readFileSync(pdfPath);
-  
-  // Parser le PDF avec la classe PDFParse
-  const parser = new PDFParse({ data: buffer });
-  const parsed = await parser.getText();
+  // 1. LIRE LE FICHIER
+  report({ stage: 'extraction' });
+  // Lire le fichier en tant que buffer (données binaires), ou le télécharger
+  let buffer = null;
+  if (url) {
+    const downloaded = await fetchSource(url, { signal, maxBytes });
+    buffer = downloaded.buffer;
+    mimeType = mimeType || downloaded.mimeType;
+  } else {
+    buffer = fs.readFileSync(filePath);
+  }
+  const contentHash = sha256(buffer);
+  const settings = { embedModel, chunkTokens, overlapTokens };
+
+  // Documents que le propriétaire peut remplacer (les autres ne sont jamais touchés :
+  // un fichier identique indexé en privé par un collègue donne un document séparé)
+  const store = openStore(outPath);
+  const owner = viewer?.id ?? null;
+  const writable = store.documents().filter((d) => canWrite(d, viewer));
+
+  // Fichier identique (au octet près) déjà indexé avec les mêmes réglages : terminé
+  const sameContent = writable.filter((d) => d.contentHash === contentHash);
+  const unchanged = sameContent.find((d) => staleReasons(d, settings).length === 0);
+  if (unchanged) {
+    return {
+      documentId: unchanged.id,       // Document déjà présent dans le corpus
+      chunks: unchanged.chunks,
+      embedModel: unchanged.embedModel,
+      source: unchanged.name,
+      contentHash: contentHash,
+      skipped: true,                  // Rien n'a été recalculé
+      replaced: false,
+      embedded: 0,
+      reused: 0
+    };
+  }
+
+  // Version précédente du document : même contenu (réglages différents),
+  // sinon la plus récente portant le même nom
+  const previous = sameContent[0]
+    || writable.filter((d) => d.name === sourceName).at(-1)
+    || null;
   
-  // Extraire le texte brut du PDF
-  const texte = parsed.text;
-
-  // 2. DÉCOUPER EN CHUNKS
-  const chunks = chunkText(texte, chunkSize, chunkOverlap);
-
-  // 3. CALCULER LES EMBEDDINGS
-  // Tableau qui va contenir tous les chunks + leurs embeddings
-  const items = [];
-
-  // Boucle sur chaque chunk
-  for (let i = 0; i < chunks.length; i++) {
-    const text = chunks[i];  // Texte du chunk actuel
-    
-    // Calculer l'embedding via Ollama (appel API)
-    const embedding = await ollamaEmbeddings({ 
-      model: embedModel, 
-      text: text 
-    });
+  // Extraire le texte avec le loader du format (choisi par extension ou type MIME)
+  // PDF : une entrée par page (pour garder les numéros de page)
+  // Document refusé (contenu qui ne correspond pas au format, PDF chiffré, scanné, vide...) : LoaderError
+  // Pages scannées d'un PDF : lues par OCR (étape "ocr", page par page)
+  const { format, pages, metadata } = await loadDocument({
+    buffer,
+    filename: sourceName,
+    mimeType,
+    maxPages,
+    ocr: { ...ocr, signal, onProgress: report }
+  });
 
-    // Ajouter le chunk + son embedding dans le tableau
-    items.push({
-      id: `${sourceName}::chunk_${i + 1}`,  // Identifiant unique
-      source: sourceName,                    // Nom du document source
-      chunk: i + 1,                          // Numéro du chunk
-      text: text,                            // Texte du chunk
-      embedding: embedding                   // Vecteur d'embeddings
-    });
+  // 2. DÉCOUPER EN CHUNKS (paragraphes, phrases, titres de section)
+  signal?.throwIfAborted();
+  report({ stage: 'chunking' });
+  const chunks = chunkPages(pages, { chunkTokens, overlapTokens });
+  const textHashes = chunks.map((chunk) => sha256(chunk.text));
+
+  // 3. POINT DE REPRISE
+  // Même contenu + mêmes réglages + même propriétaire = même fichier de reprise
+  const checkpointKey = crypto
+    .createHash('sha256')
+    .update(buffer)
+    .update(JSON.stringify({ ...settings, owner }))
+    .digest('hex')
+    .slice(0, 16);
+  const checkpointPath = path.join(path.dirname(outPath), 'checkpoints', `${checkpointKey}.ndjson`);
+  const checkpoint = readCheckpoint(checkpointPath, chunks.length);
+
+  // Identifiant unique du document dans le corpus
+  // (deux documents peuvent avoir le même nom de fichier ; on garde celui d'une reprise,
+  // ou celui de la version précédente qu'on remplace)
+  const docId = checkpoint?.docId || previous?.id || crypto.randomBytes(6).toString('hex');
+  const embeddings = checkpoint?.embeddings || new Map();
+
+  if (!checkpoint) {
+    fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+    fs.writeFileSync(checkpointPath, JSON.stringify({ docId, chunks: chunks.length }) + '\n', 'utf-8');
   }
 
-  // 4. CRÉER L'OBJET JSON FINAL
-  const payload = {
-    createdAt: new Date().toISOString(),  // Date de création (format ISO)
-    source: sourceName,                    // Nom du document
+  // Chunks dont le texte est déjà vectorisé dans le corpus (même modèle) : pas d'appel API
+  const reusable = reusableEmbeddings(store, embedModel);
+  let reused = 0;
+  textHashes.forEach((hash, i) => {
+    if (!embeddings.has(i) && reusable.has(hash)) {
+      embeddings.set(i, reusable.get(hash));
+      reused++;
+    }
+  });
+
+  // ... ou vectorisé lors d'une indexation précédente, même retirée du corpus depuis
+  // (cache des embeddings : même modèle + même texte)
+  const cache = embedCache ? openEmbeddingCache(cacheDirFor(outPath)) : null;
+  chunks.forEach((chunk, i) => {
+    const vector = embeddings.has(i) ? null : cache?.get(embedModel, chunk.text);
+    if (vector) {
+      embeddings.set(i, vector);
+      reused++;
+    }
+  });
+
+  // 4. CALCULER LES EMBEDDINGS PAR LOTS
+  // Chunks restant à vectoriser (tous, sauf ceux du point de reprise et ceux réutilisés)
+  const pending = chunks.map((_, i) => i).filter((i) => !embeddings.has(i));
+
+  const batches = [];
+  for (let b = 0; b < pending.length; b += batchSize) {
+    batches.push(pending.slice(b, b + batchSize));
+  }
+
+  report({ stage: 'embedding', done: embeddings.size, total: chunks.length });
+
+  try {
+    await runWithConcurrency(batches.map((batch) => async () => {
+      // Annulation : ne pas lancer de nouveau lot
+      signal?.throwIfAborted();
+
+      // Un seul appel API pour tout le lot
+      const vectors = await provider.embedBatch({
+        model: embedModel,
+        texts: batch.map((i) => chunks[i].text),
+        signal: signal
+      });
+      cache?.add(embedModel, batch.map((i, k) => ({ text: chunks[i].text, vector: vectors[k] })));
+
+      // Sauvegarder le lot dans le point de reprise (ajout en fin de fichier)
+      const lines = batch.map((i, k) => JSON.stringify({ i, embedding: vectors[k] }) + '\n').join('');
+      fs.appendFileSync(checkpointPath, lines, 'utf-8');
+      batch.forEach((i, k) => embeddings.set(i, vectors[k]));
+
+      report({ stage: 'embedding', done: embeddings.size, total: chunks.length });
+    }), concurrency);
+  } catch (e) {
+    if (signal?.aborted) throw e;  // Annulation demandée : pas une panne
+    e.message = `Indexation interrompue (${embeddings.size}/${chunks.length} chunks sauvegardés, relancez pour reprendre): ${e.message}`;
+    throw e;
+  }
+
+  // Assembler les chunks + leurs embeddings (dans l'ordre du document)
+  const items = chunks.map((chunk, i) => ({
+    id: `${docId}::chunk_${i + 1}`,        // Identifiant unique dans le corpus
+    docId: docId,                          // Document d'origine
+    source: sourceName,                    // Nom du document source
+    chunk: i + 1,                          // Numéro du chunk
+    pageStart: chunk.pageStart,            // Première page couverte
+    pageEnd: chunk.pageEnd,                // Dernière page couverte
+    heading: chunk.heading,                // Titre de section le plus proche (ou null)
+    ocr: chunk.ocrConfidence != null,      // Texte lu par OCR (page scannée)
+    ocrConfidence: chunk.ocrConfidence,    // Confiance de l'OCR, de 0 à 1 (null : texte du fichier)
+    text: chunk.text,                      // Texte du chunk
+    textHash: textHashes[i],               // Empreinte du texte (réutilisation de l'embedding)
+    ...termFrequencies(chunk.text),        // Index lexical BM25 : { terms, termCount }
+    embedModel: embedModel,                // Modèle qui a produit l'embedding
+    embedding: embeddings.get(i)           // Vecteur d'embeddings
+  }));
+
+  // 5. CRÉER L'ENREGISTREMENT DU DOCUMENT
+  const document = {
+    id: docId,                             // Identifiant du document
+    name: sourceName,                      // Nom du document
+    chunks: items.length,                  // Nombre de chunks
+    createdAt: new Date().toISOString(),   // Date d'indexation (format ISO)
     embedModel: embedModel,                // Modèle d'embeddings utilisé
-    chunkSize: chunkSize,                  // Taille des chunks
-    chunkOverlap: chunkOverlap,            // Chevauchement
-    count: items.length,                   // Nombre de chunks
-    items: items                           // Tableau de tous les chunks + embeddings
+    format: format,                        // Format d'origine (pdf, docx, markdown, html, text)
+    title: metadata.title || null,         // Titre trouvé dans le document (ou null)
+    url: url || null,                      // URL d'origine (ou null pour un fichier uploadé)
+    pages: pages.every((p) => p.num != null) ? pages.length : null, // Nombre de pages (null : format sans pages)
+    ocrPages: pages.filter((p) => p.ocr).length, // Nombre de pages lues par OCR
+    chunkTokens: chunkTokens,              // Taille max des chunks (tokens)
+    overlapTokens: overlapTokens,          // Chevauchement (tokens)
+    chunkerVersion: CHUNKER_VERSION,       // Version du découpage
+    contentHash: contentHash,              // Empreinte du fichier (SHA-256)
+    revision: previous ? (previous.revision || 1) + 1 : 1, // Numéro de version du document
+    owner: previous ? previous.owner ?? null : owner,      // Propriétaire (celui de la première version)
+    access: access ?? previous?.access ?? 'workspace'     // Visibilité du document
   };
 
-  // 5. SAUVEGARDER DANS UN FICHIER JSON
-  // Créer le dossier parent s'il n'existe pas
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  
-  // Écrire le fichier JSON (avec indentation pour lisibilité)
-  fs.writeFileSync(outPath, JSON.stringify(payload, null, 2), 'utf-8');
+  // 6. AJOUTER AU CORPUS ET SAUVEGARDER
+  signal?.throwIfAborted();
+  report({ stage: 'saving', done: chunks.length, total: chunks.length });
+  // Le store relit le fichier s'il a changé pendant le calcul des embeddings
+  // (pour ne pas écraser un document indexé entre-temps par un autre processus).
+  // Nouvelle version : l'ancienne (et ses chunks) disparaît
+  const replaced = store.replaceDocument(document, items);
+
+  // Indexation terminée : le point de reprise ne sert plus
+  fs.rmSync(checkpointPath, { force: true });
 
   // Retourner les statistiques d'indexation
   return { 
-    chunks: items.length,   // Nombre de chunks créés
-    embedModel: embedModel, // Modèle utilisé
-    source: sourceName      // Nom du document
+    documentId: docId,                     // Identifiant du document dans le corpus
+    chunks: items.length,                  // Nombre de chunks créés
+    embedModel: embedModel,                // Modèle utilisé
+    source: sourceName,                    // Nom du document
+    contentHash: contentHash,              // Empreinte du fichier
+    skipped: false,                        // Le document a été (ré)indexé
+    replaced: replaced,                    // Une version précédente a été remplacée
+    embedded: chunks.length - reused,      // Chunks vectorisés (maintenant ou avant une interruption)
+    reused: reused                         // Chunks dont l'embedding a été réutilisé
   };
 }
 
+/**
+ * Indexe un PDF (ancienne signature, conservée pour compatibilité)
+ */
+function indexPdfToJson({ pdfPath, ...options }) {
+  return indexDocument({ filePath: pdfPath, ...options });
+}
+
 // ============================================
-// PARTIE 4 : QUESTION/RÉPONSE (Retrieval + Generation)
+// PARTIE 5 : QUESTION/RÉPONSE (Retrieval + Generation)
 // ============================================
 
+// Modes de recherche disponibles
+// - vector  : similarité sémantique des embeddings
+// - lexical : mots-clés (BM25)
+// - hybrid  : fusion des deux classements (Reciprocal Rank Fusion)
+const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+
+// Nombre de candidats de chaque classement pris en compte dans la fusion
+const FUSION_DEPTH = 50;
+
 /**
- * Répond à une question en utilisant le RAG
+ * Lit des plages de pages : "1-3,7" → [{ from: 1, to: 3 }, { from: 7, to: 7 }]
+ * Retourne null si le format est invalide.
+ */
+function parsePageRanges(text) {
+  if (!/^\s*\d+\s*(-\s*\d+\s*)?(,\s*\d+\s*(-\s*\d+\s*)?)*$/.test(String(text))) return null;
+
+  const ranges = String(text).split(',').map((part) => {
+    const [from, to = from] = part.split('-').map((n) => Number(n.trim()));
+    return { from, to };
+  });
+  return ranges.every((r) => r.from >= 1 && r.from <= r.to) ? ranges : null;
+}
+
+/**
+ * Transforme un motif de nom de source en expression régulière
+ * "*" remplace n'importe quelle suite de caractères ; la casse est ignorée.
+ * Exemples : "rapport.pdf", "*.md", "https://wiki.exemple.fr/*"
+ */
+function sourcePattern(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Construit le filtre des chunks à interroger (null = tout le corpus)
+ * - documents : IDs ou noms exacts des documents
+ * - sources   : motifs de noms de sources ("*.md")
+ * - pages     : plages de pages ([{ from, to }]) ; les documents sans pages sont exclus
+ * - viewer    : utilisateur connecté ; les documents qu'il ne peut pas lire sont exclus
+ * Les critères se cumulent : un chunk doit satisfaire chacun d'eux.
+ */
+function buildFilter(store, { documents = [], sources = [], pages = [], viewer = null }) {
+  const checks = [];
+
+  if (viewer) {
+    const readable = new Set(store.documents().filter((d) => canRead(d, viewer)).map((d) => d.id));
+    checks.push((item) => readable.has(item.docId));
+  }
+
+  if (documents.length) {
+    const wanted = new Set(documents);
+    const docIds = new Set(
+      store.documents()
+        .filter((d) => wanted.has(d.id) || wanted.has(d.name))
+        .map((d) => d.id)
+    );
+    checks.push((item) => docIds.has(item.docId));
+  }
+
+  if (sources.length) {
+    const patterns = sources.map(sourcePattern);
+    checks.push((item) => patterns.some((re) => re.test(item.source)));
+  }
+
+  if (pages.length) {
+    // Le chunk couvre au moins une page de l'une des plages
+    checks.push((item) => item.pageStart != null
+      && pages.some((r) => item.pageStart <= r.to && item.pageEnd >= r.from));
+  }
+
+  return checks.length ? (item) => checks.every((check) => check(item)) : null;
+}
+
+/**
+ * Réglages dont dépend une réponse (clé du cache des réponses) :
+ * deux questions proches ne partagent une réponse que si ces réglages sont identiques.
+ * Les documents lisibles par l'utilisateur en font partie : une réponse tirée
+ * d'un document privé n'est jamais servie à quelqu'un qui ne peut pas le lire.
+ */
+function answerScope(store, { viewer, ...settings }) {
+  const readable = store.documents().filter((d) => canRead(d, viewer)).map((d) => d.id).sort();
+  return sha256(JSON.stringify({ ...settings, readable }));
+}
+
+/**
+ * Cache des réponses d'un index (null si désactivé : ANSWER_CACHE_SIZE=0)
+ */
+function answerCacheFor(indexPath) {
+  const { answerCacheSize, answerCacheThreshold } = getConfig();
+  if (!answerCacheSize) return null;
+  return openAnswerCache(indexPath, { maxEntries: answerCacheSize, threshold: answerCacheThreshold });
+}
+
+/**
+ * Réponse tirée du cache : celle de la question proche, marquée comme telle
+ * (cachedFrom : question d'origine, similarité avec la nouvelle question, date)
+ */
+function cachedAnswer(cached, standaloneQuestion, timings) {
+  return {
+    ...cached.result,
+    standaloneQuestion: standaloneQuestion,
+    cached: true,
+    cachedFrom: {
+      question: cached.question,
+      similarity: Number(cached.similarity.toFixed(4)),
+      createdAt: cached.createdAt
+    },
+    timings: timings
+  };
+}
+
+/**
+ * Réponse quand aucun passage n'est assez pertinent (le LLM n'est pas appelé),
+ * dans la langue de la question
+ */
+function notFoundResult({ standaloneQuestion, language, template, format, timings }) {
+  return {
+    answer: notFoundAnswer(language), standaloneQuestion, found: false, sources: [], citations: [], uncitedClaims: [],
+    language, template, format, data: null, formatErrors: [], cached: false, timings
+  };
+}
+
+/**
+ * Sortie structurée d'une réponse : en JSON, l'objet lu et ses écarts au schéma
+ * Retourne { data, formatErrors } (texte et Markdown : { data: null, formatErrors: [] })
+ */
+function readOutput(answer, format, schema) {
+  if (format !== 'json') return { data: null, formatErrors: [] };
+  const { data, errors } = parseJsonAnswer(answer, schema);
+  return { data, formatErrors: errors };
+}
+
+/**
+ * Prépare la génération : retrieval + construction des prompts
+ * (partagé par la réponse complète et la réponse en streaming)
  * 
  * Pipeline :
- * 1. Charger l'index (chunks + embeddings)
- * 2. Transformer la question en embedding
- * 3. Trouver les chunks les plus similaires (retrieval)
- * 4. Construire un prompt avec le contexte
- * 5. Générer la réponse via le LLM
+ * 1. Charger le corpus (gardé en mémoire par le store ; tout, ou seulement les chunks filtrés)
+ * 2. Recherche vectorielle (embedding de la question + similarité cosinus, exacte ou HNSW)
+ * 3. Recherche lexicale (BM25 sur les termes de la question)
+ * 4. Classement final selon le mode : vector, lexical ou hybrid (fusion RRF)
+ * 5. Écarter les chunks sous le seuil de similarité (minScore)
+ * 6. Reclasser les meilleurs candidats (optionnel : reranker, LLM, diversité MMR)
+ * 7. Construire les messages avec le contexte (modèle de prompt, voir prompts.js)
+ *
+ * Si aucun chunk ne reste, "scored" est vide et "messages" vaut null :
+ * il n'y a rien à demander au LLM.
+ *
+ * Avec "answerCache", une question proche d'une question déjà traitée renvoie
+ * { cached } (réponse enregistrée) dès l'étape 2, sans recherche. Sinon, "cacheKey"
+ * sert à enregistrer la réponse une fois générée.
  */
-async function answerQuestion({
+async function prepareQuestion({
   indexPath,                          // Chemin du fichier index.json
   question,                           // Question de l'utilisateur
-  topK = 5,                           // Nombre de chunks à récupérer
-  chatModel = 'llama3.2',             // Modèle LLM pour la génération
-  embedModel = 'nomic-embed-text'     // Modèle pour vectoriser la question
+  documents = [],                     // IDs ou noms des documents à interroger (vide = tout le corpus)
+  sources = [],                       // Motifs de noms de sources ("*.md") (vide = toutes)
+  pages = [],                         // Plages de pages [{ from, to }] (vide = toutes)
+  viewer = null,                      // Utilisateur connecté : seuls ses documents lisibles sont interrogés
+  topK = getConfig().topK,            // Nombre de chunks à récupérer
+  minScore = null,                    // Similarité cosinus minimale d'un chunk (null = pas de seuil)
+  retrieval = 'hybrid',               // Mode de recherche : 'vector', 'lexical' ou 'hybrid'
+  rerank = getConfig().rerank,        // Reclassement : 'none', 'mmr', 'llm' ou 'model'
+  rerankDepth = RERANK_DEPTH,         // Nombre de candidats soumis au reclassement
+  rerankModel = getConfig().rerankModel, // Modèle de reranking (mode 'model')
+  mmrLambda = DEFAULT_MMR_LAMBDA,     // Poids de la pertinence face à la diversité (1 = pas de diversité)
+  embedModel = getConfig().embedModel, // Modèle pour vectoriser la question (celui de l'index)
+  chatModel = getConfig().chatModel,  // Modèle LLM (reclassement en mode 'llm')
+  provider = getDefaultProvider(),    // Fournisseur de modèles
+  template = getConfig().prompts.template, // Modèle de prompt (fichier prompts/<nom>.txt)
+  language = 'fr',                    // Langue de la réponse (code : fr, en, es, de, it)
+  format = 'text',                    // Format de sortie : 'text', 'markdown' ou 'json'
+  schema = null,                      // Schéma JSON de la sortie (format 'json', optionnel)
+  history = [],                       // Échanges précédents ({{history}} ou messages de la conversation)
+  signal,                             // Signal d'annulation (optionnel)
+  embedCache = true,                  // Embedding de la question : cache d'embeddings (voir cache.js)
+  answerCache = null,                 // Cache des réponses à consulter (null = pas de cache)
+  timings = {}                        // Durées des étapes (ms), remplies au fil de l'eau : embed, search, rerank
 }) {
-  
-  // 1. CHARGER L'INDEX
-  // Vérifier que le fichier existe
-  if (!fs.existsSync(indexPath)) {
-    throw new Error("Index introuvable. Fais d'abord l'indexation du PDF.");
+  if (!RETRIEVAL_MODES.includes(retrieval)) {
+    throw new Error(`Mode de recherche inconnu: ${retrieval}`);
+  }
+  if (!RERANK_MODES.includes(rerank)) {
+    throw new Error(`Mode de reclassement inconnu: ${rerank}`);
+  }
+  if (!Object.hasOwn(LANGUAGES, language)) {
+    throw new Error(`Langue inconnue: ${language}`);
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Format de sortie inconnu: ${format}`);
   }
 
-  // Lire le fichier JSON
-  const raw = fs.readFileSync(indexPath, 'utf-8');
-  
-  // Parser le JSON
-  const db = JSON.parse(raw);
+  // Modèle de prompt (lu avant la recherche : un modèle inconnu ou invalide échoue tout de suite)
+  const promptTemplate = loadTemplate(template, getConfig().prompts.dir);
   
-  // Extraire le tableau des chunks
-  const items = db?.items || [];
-  
-  // Vérifier que l'index n'est pas vide
-  if (!items.length) {
-    throw new Error('Index vide.');
+  // 1. CHARGER LE CORPUS
+  // Rien à chercher (pas encore d'index, aucun document lisible par cet utilisateur,
+  // ou aucun chunk qui passe les filtres) : même réponse « Je ne trouve pas... »
+  // qu'une recherche sans passage pertinent, sans appeler le LLM
+  const nothingToSearch = { scored: [], messages: null, cacheKey: null };
+  if (!fs.existsSync(indexPath)) return nothingToSearch;
+
+  // Corpus en mémoire (relu seulement s'il a changé sur le disque)
+  const store = openStore(indexPath);
+
+  // Restreindre la recherche aux chunks demandés (documents, sources, pages)
+  // et autorisés (permissions des documents)
+  let items = store.items();
+  const filter = buildFilter(store, { documents, sources, pages, viewer });
+  if (filter) items = items.filter(filter);
+  if (!items.length) return nothingToSearch;
+
+  // 2. RECHERCHE VECTORIELLE (sens de la question)
+  // L'embedding de la question sert aussi au seuil de similarité (même en mode lexical)
+  let questionEmbedding = null;
+  let cacheKey = null;
+  if (retrieval !== 'lexical' || minScore != null) {
+    // Transformer la question en embedding (même modèle que l'indexation ; question déjà posée : cache)
+    const embedStarted = Date.now();
+    [questionEmbedding] = await embedWithCache({
+      cache: embedCache ? openEmbeddingCache(cacheDirFor(indexPath)) : null,
+      provider: provider,
+      model: embedModel,
+      texts: [question],
+      signal: signal
+    });
+    timings.embed = Date.now() - embedStarted;
+
+    // Refuser de comparer des vecteurs de modèles différents
+    checkEmbeddings(store, items, embedModel, questionEmbedding);
+
+    // Question proche d'une question déjà traitée (mêmes réglages, index inchangé) : réponse en cache
+    // (en mode lexical sans seuil, la question n'est pas vectorisée : pas de cache des réponses)
+    if (answerCache) {
+      cacheKey = {
+        version: store.version(),
+        scope: answerScope(store, {
+          viewer, documents, sources, pages, topK, minScore, retrieval,
+          rerank, rerankDepth, rerankModel, mmrLambda, embedModel, chatModel,
+          prompt: promptTemplate, language, format, schema
+        }),
+        embedding: questionEmbedding
+      };
+      const cached = answerCache.find(cacheKey);
+      if (cached) return { cached, cacheKey };
+    }
+  }
+
+  const searchStarted = Date.now();
+  let vectorRanking = [];
+  if (retrieval !== 'lexical') {
+
+    // Les chunks les plus proches de la question (similarité cosinus, meilleurs en premier)
+    // Assez de candidats pour le top-K, la fusion hybride et le reclassement
+    vectorRanking = store.search(questionEmbedding, {
+      k: Math.max(topK, FUSION_DEPTH, rerankDepth),
+      filter: filter
+    });
+  }
+
+  // 3. RECHERCHE LEXICALE (termes exacts : sigles, numéros, noms propres)
+  let lexicalRanking = [];
+  if (retrieval !== 'vector') {
+    lexicalRanking = bm25Search(items, question);
+  }
+
+  // 4. CLASSEMENT FINAL
+  let ranked;
+  if (retrieval === 'vector') {
+    ranked = vectorRanking;
+  } else if (retrieval === 'lexical') {
+    ranked = lexicalRanking;
+  } else {
+    // Hybride : fusionner les meilleurs candidats des deux classements par leurs rangs
+    ranked = reciprocalRankFusion([
+      vectorRanking.slice(0, FUSION_DEPTH),
+      lexicalRanking.slice(0, FUSION_DEPTH)
+    ]);
+  }
+
+  // Candidats : assez pour remplacer ceux que le seuil va écarter
+  let candidates = ranked.slice(0, Math.max(topK, FUSION_DEPTH, rerankDepth));
+  const vectorScores = new Map(vectorRanking.map((s) => [s.item.id, s.score]));
+  const lexicalScores = new Map(lexicalRanking.map((s) => [s.item.id, s.score]));
+
+  // 5. SEUIL DE SIMILARITÉ (écarter les passages trop éloignés de la question)
+  if (minScore != null) {
+    // Similarité des candidats trouvés seulement par BM25 (pas encore calculée)
+    const missing = new Set(candidates.filter((s) => !vectorScores.has(s.item.id)).map((s) => s.item.id));
+    if (missing.size) {
+      store
+        .search(questionEmbedding, { k: missing.size, filter: (item) => missing.has(item.id) })
+        .forEach((s) => vectorScores.set(s.item.id, s.score));
+    }
+    candidates = candidates.filter((s) => (vectorScores.get(s.item.id) ?? -Infinity) >= minScore);
   }
+  timings.search = Date.now() - searchStarted;
 
-  // 2. VECTORISER LA QUESTION
-  // Transformer la question en embedding (même modèle que l'indexation)
-  const questionEmbedding = await ollamaEmbeddings({ 
-    model: embedModel, 
-    text: question 
+  // 6. RECLASSEMENT (optionnel) : un ensemble plus large de candidats, noté plus finement
+  // Sans reclassement, on garde simplement les top-K de la recherche
+  const rerankStarted = Date.now();
+  const reranked = await rerankCandidates({
+    question,
+    candidates: candidates.slice(0, Math.max(topK, rerankDepth)),
+    mode: rerank,
+    topK,
+    mmrLambda,
+    store,
+    chatModel,
+    rerankModel,
+    provider,
+    signal
   });
+  timings.rerank = Date.now() - rerankStarted;
+
+  // Garder les top-K, avec le score de chaque méthode (pour les sources)
+  const scored = reranked.map((s) => ({
+    ...s,
+    vectorScore: vectorScores.get(s.item.id) ?? null,
+    lexicalScore: lexicalScores.get(s.item.id) ?? null
+  }));
+
+  // Aucun passage pertinent : pas de prompt (la réponse sera notFoundAnswer)
+  if (!scored.length) {
+    return { scored, messages: null, cacheKey };
+  }
 
-  // 3. RETRIEVAL (trouver les chunks les plus pertinents)
-  // Calculer la similarité entre la question et TOUS les chunks
-  const scored = items
-    .map((item) => ({
-      item: item,  // Le chunk complet (text + embedding + métadonnées)
-      score: cosineSimilarity(questionEmbedding, item.embedding)  // Score de similarité
-    }))
-    .sort((a, b) => b.score - a.score)  // Trier par score décroissant (meilleurs en premier)
-    .slice(0, topK);                    // Garder seulement les top-K
-
-  // 4. CONSTRUIRE LE CONTEXTE
+  // 7. CONSTRUIRE LE CONTEXTE
   // Concaténer les textes des top-K chunks
   const context = scored
-    .map((s, idx) => `[#${idx + 1} | ${s.item.id}]\n${s.item.text}`)  // Format: [#1 | chunk_5] texte...
+    .map((s, idx) => `[#${idx + 1} | ${s.item.id} | ${formatLocation(s.item)}]\n${s.item.text}`)  // Format: [#1 | id | doc.pdf, p. 3, 2.1 Objectifs] texte...
     .join('\n\n');  // Séparer par 2 sauts de ligne
 
-  // 5. CONSTRUIRE LE PROMPT SYSTÈME
-  // Instructions pour le LLM
-  const systemPrompt = [
-    'Tu es un assistant NLP.',
-    'Tu réponds UNIQUEMENT à partir du CONTEXTE fourni ci-dessous.',
-    "Si l'information n'est pas dans le contexte, dis clairement : 'Je ne trouve pas cette information dans le document.'",
-    "À la fin de ta réponse, ajoute une section 'Sources' qui liste les IDs des chunks utilisés."
-  ].join(' ');  // Joindre en une seule phrase
-
-  // 6. CONSTRUIRE LE PROMPT UTILISATEUR
-  const userPrompt = `CONTEXTE:\n${context}\n\nQUESTION:\n${question}\n\nRéponse:`;
-
-  // 7. GÉNÉRER LA RÉPONSE
-  // Appeler le LLM avec le contexte + la question
-  const answer = await ollamaChat({ 
-    model: chatModel, 
-    system: systemPrompt, 
-    user: userPrompt 
+  // 8. CONSTRUIRE LES PROMPTS (modèle : instructions, langue, format de sortie)
+  const prompt = renderPrompt(promptTemplate, { context, question, history, language, format, schema });
+  const messages = buildMessages(prompt);
+
+  return { scored, messages, cacheKey };
+}
+
+/**
+ * Reformule une question de suivi en question autonome
+ *
+ * Exemple : après "Quels sont les objectifs du projet ?",
+ * "et pour le deuxième objectif ?" devient
+ * "Quel est le deuxième objectif du projet ?"
+ *
+ * Sans cette étape, l'embedding de la question de suivi ne contient pas
+ * le sujet de la conversation et la recherche renvoie des chunks hors sujet.
+ */
+async function rewriteQuestion({ question, history = [], chatModel = getConfig().chatModel, provider = getDefaultProvider() }) {
+  // Première question de la conversation : rien à reformuler
+  if (!history.length) return question;
+
+  const transcript = history
+    .map((m) => `${m.role === 'user' ? 'Utilisateur' : 'Assistant'}: ${m.content}`)
+    .join('\n');
+
+  const rewritten = await provider.chat({
+    model: chatModel,
+    messages: buildMessages({
+      system: [
+        'Tu reformules des questions.',
+        "À partir de l'historique de conversation et de la question de suivi,",
+        'écris une question autonome, compréhensible sans l\'historique, dans la langue de la question.',
+        'Réponds UNIQUEMENT par la question reformulée, sans explication.'
+      ].join(' '),
+      user: `HISTORIQUE:\n${transcript}\n\nQUESTION DE SUIVI:\n${question}\n\nQuestion autonome:`
+    })
   });
 
-  // 8. RETOURNER LA RÉPONSE + LES SOURCES
-  return {
-    answer: answer,  // Réponse générée par le LLM
-    sources: scored.map((s) => ({  // Liste des chunks utilisés
-      id: s.item.id,              // ID du chunk (ex: "document.pdf::chunk_5")
-      score: Number(s.score.toFixed(4))  // Score de similarité (arrondi à 4 décimales)
-    }))
+  // Garder la question d'origine si le modèle ne renvoie rien d'exploitable
+  return rewritten.split('\n')[0].trim() || question;
+}
+
+/**
+ * Décrit l'emplacement d'un chunk dans son document
+ * Exemple : "document.pdf, p. 3-4, 2.1 Objectifs"
+ */
+function formatLocation(item) {
+  const parts = [item.source];
+  if (item.pageStart != null) {
+    parts.push(item.pageStart === item.pageEnd ? `p. ${item.pageStart}` : `p. ${item.pageStart}-${item.pageEnd}`);
+  }
+  if (item.heading) parts.push(item.heading);
+  return parts.join(', ');
+}
+
+/**
+ * Formate les chunks retenus pour la réponse de l'API
+ */
+function formatSources(scored) {
+  return scored.map((s) => ({  // Liste des chunks utilisés
+    id: s.item.id,              // ID du chunk (ex: "3f2a9c1b7e4d::chunk_5")
+    source: s.item.source,      // Nom du document d'origine
+    pageStart: s.item.pageStart ?? null,  // Première page du chunk
+    pageEnd: s.item.pageEnd ?? null,      // Dernière page du chunk
+    heading: s.item.heading ?? null,      // Titre de section le plus proche
+    ocrConfidence: s.item.ocrConfidence ?? null,  // Confiance de l'OCR (null : texte du fichier)
+    score: Number(s.score.toFixed(4)),  // Score de la recherche (cosinus, BM25 ou fusion RRF selon le mode)
+    rerankScore: s.rerankScore == null ? null : Number(s.rerankScore.toFixed(4)),  // Score du reclassement
+    retrievalRank: s.retrievalRank,     // Rang dans la recherche, avant reclassement (1 = premier)
+    vectorScore: s.vectorScore == null ? null : Number(s.vectorScore.toFixed(4)),    // Similarité cosinus
+    lexicalScore: s.lexicalScore == null ? null : Number(s.lexicalScore.toFixed(4))  // Score BM25
+  }));
+}
+
+/**
+ * Répond à une question en utilisant le RAG
+ * 
+ * Pipeline :
+ * 1. Reformuler la question de suivi en question autonome (voir rewriteQuestion)
+ * 2. Retrieval + prompts (voir prepareQuestion ; modèle de prompt, langue et format : voir prompts.js)
+ * 3. Générer la réponse via le LLM (avec l'historique de la conversation)
+ *    — sauf si une question proche a déjà reçu une réponse (cache des réponses, voir cache.js)
+ * 4. Relier les citations [#n] de la réponse aux chunks du contexte (voir citations.js)
+ *    et, en format 'json', lire l'objet de la réponse et le vérifier contre le schéma
+ *
+ * La réponse est écrite dans la langue de la question (language = 'auto'),
+ * y compris "introuvable" quand aucun passage n'est pertinent.
+ */
+async function answerQuestion({
+  question,                           // Question de l'utilisateur
+  history = [],                       // Échanges précédents de la conversation
+  chatModel = getConfig().chatModel,  // Modèle LLM pour la génération
+  provider = getDefaultProvider(),    // Fournisseur de modèles
+  template = getConfig().prompts.template, // Modèle de prompt (fichier prompts/<nom>.txt)
+  language = getConfig().prompts.language, // Langue de la réponse : 'auto' (celle de la question) ou fr, en...
+  format = 'text',                    // Format de sortie : 'text', 'markdown' ou 'json'
+  schema = null,                      // Schéma JSON de la sortie (format 'json', optionnel)
+  cache = true,                       // Réutiliser la réponse d'une question proche (false : toujours générer)
+  timings = {},                       // Durées des étapes (ms) : rewrite, embed, search, rerank, generate
+  ...options                          // indexPath, documents, sources, pages, topK, minScore, retrieval, rerank, embedModel...
+}) {
+  // Langue de la réponse : celle de la question posée (avant reformulation)
+  if (language === 'auto') language = detectLanguage(question);
+
+  // 1. REFORMULER LA QUESTION (si elle dépend de la conversation)
+  const rewriteStarted = Date.now();
+  const standaloneQuestion = await rewriteQuestion({ question, history, chatModel, provider });
+  timings.rewrite = Date.now() - rewriteStarted;
+
+  // 2. RETRIEVAL + PROMPTS (ou réponse en cache)
+  // (pas de cache des réponses au milieu d'une conversation : la réponse dépend des échanges précédents)
+  const answerCache = cache && !history.length ? answerCacheFor(options.indexPath) : null;
+  const { scored, messages, cached, cacheKey } = await prepareQuestion({
+    ...options, chatModel, provider, template, language, format, schema, history, answerCache, timings, question: standaloneQuestion
+  });
+  if (cached) return cachedAnswer(cached, standaloneQuestion, timings);
+
+  // Aucun passage assez pertinent : répondre sans appeler le LLM
+  if (!scored.length) {
+    return notFoundResult({ standaloneQuestion, language, template, format, timings });
+  }
+
+  // 3. GÉNÉRER LA RÉPONSE
+  // Appeler le LLM avec l'historique + le contexte + la question (JSON : sortie structurée)
+  const generateStarted = Date.now();
+  const answer = await provider.chat({
+    model: chatModel,
+    messages: messages,
+    format: format === 'json' ? schema || 'json' : undefined
+  });
+  timings.generate = Date.now() - generateStarted;
+
+  // 4. VÉRIFIER LES CITATIONS ([#n] → chunk du contexte) ET LA SORTIE JSON
+  const { citations, uncitedClaims } = extractCitations(answer, scored);
+  const { data, formatErrors } = readOutput(answer, format, schema);
+
+  // 5. RETOURNER LA RÉPONSE + LES SOURCES (et l'enregistrer dans le cache)
+  const result = {
+    answer: answer,                          // Réponse générée par le LLM
+    standaloneQuestion: standaloneQuestion,  // Question utilisée pour la recherche
+    found: true,                             // Des passages pertinents ont été trouvés
+    sources: formatSources(scored),          // Liste des chunks utilisés
+    citations: citations,                    // Citations [#n] de la réponse, reliées aux chunks
+    uncitedClaims: uncitedClaims,            // Phrases de la réponse sans citation
+    language: language,                      // Langue de la réponse (fr, en...)
+    template: template,                      // Modèle de prompt utilisé
+    format: format,                          // Format de sortie : text, markdown ou json
+    data: data,                              // Format json : objet lu dans la réponse (null si invalide)
+    formatErrors: formatErrors,              // Format json : JSON invalide ou écarts au schéma
+    cached: false,                           // Réponse générée (true : tirée du cache, voir cachedFrom)
+    timings: timings                         // Durée de chaque étape (ms)
+  };
+  if (cacheKey) answerCache.set(cacheKey, standaloneQuestion, result);
+  return result;
+}
+
+/**
+ * Répond à une question en streaming
+ * Chaque morceau de texte généré est transmis à onToken dès son arrivée.
+ * Le signal (AbortController) permet d'interrompre la génération.
+ */
+async function answerQuestionStream({
+  question,                           // Question de l'utilisateur
+  history = [],                       // Échanges précédents de la conversation
+  chatModel = getConfig().chatModel,  // Modèle LLM pour la génération
+  provider = getDefaultProvider(),    // Fournisseur de modèles
+  onToken,                            // Callback appelé pour chaque morceau de texte
+  signal,                             // Signal d'annulation (optionnel)
+  template = getConfig().prompts.template, // Modèle de prompt (fichier prompts/<nom>.txt)
+  language = getConfig().prompts.language, // Langue de la réponse : 'auto' (celle de la question) ou fr, en...
+  format = 'text',                    // Format de sortie : 'text', 'markdown' ou 'json'
+  schema = null,                      // Schéma JSON de la sortie (format 'json', optionnel)
+  cache = true,                       // Réutiliser la réponse d'une question proche (false : toujours générer)
+  timings = {},                       // Durées des étapes (ms) : ..., generate et firstToken (premier morceau)
+  ...options                          // indexPath, documents, sources, pages, topK, minScore, retrieval, rerank, embedModel...
+}) {
+  // Langue de la réponse : celle de la question posée (avant reformulation)
+  if (language === 'auto') language = detectLanguage(question);
+
+  // 1. REFORMULER LA QUESTION (si elle dépend de la conversation)
+  const rewriteStarted = Date.now();
+  const standaloneQuestion = await rewriteQuestion({ question, history, chatModel, provider });
+  timings.rewrite = Date.now() - rewriteStarted;
+
+  // 2. RETRIEVAL + PROMPTS (ou réponse en cache, envoyée en un seul morceau)
+  // (pas de cache des réponses au milieu d'une conversation : la réponse dépend des échanges précédents)
+  const answerCache = cache && !history.length ? answerCacheFor(options.indexPath) : null;
+  const { scored, messages, cached, cacheKey } = await prepareQuestion({
+    ...options, chatModel, provider, signal, template, language, format, schema, history, answerCache, timings, question: standaloneQuestion
+  });
+  if (cached) {
+    if (onToken) onToken(cached.result.answer);
+    return cachedAnswer(cached, standaloneQuestion, timings);
+  }
+
+  // Aucun passage assez pertinent : répondre sans appeler le LLM (en un seul morceau)
+  if (!scored.length) {
+    const result = notFoundResult({ standaloneQuestion, language, template, format, timings });
+    if (onToken) onToken(result.answer);
+    return result;
+  }
+
+  // 3. GÉNÉRER LA RÉPONSE EN STREAMING
+  // (délai avant le premier morceau : ce que l'utilisateur attend avant de voir la réponse s'écrire)
+  const generateStarted = Date.now();
+  const answer = await provider.chatStream({
+    model: chatModel,
+    messages: messages,
+    format: format === 'json' ? schema || 'json' : undefined,
+    onToken: (token) => {
+      if (timings.firstToken === undefined) timings.firstToken = Date.now() - generateStarted;
+      if (onToken) onToken(token);
+    },
+    signal: signal
+  });
+  timings.generate = Date.now() - generateStarted;
+
+  // 4. VÉRIFIER LES CITATIONS ET LA SORTIE JSON + RETOURNER LA RÉPONSE COMPLÈTE (et l'enregistrer dans le cache)
+  const { citations, uncitedClaims } = extractCitations(answer, scored);
+  const { data, formatErrors } = readOutput(answer, format, schema);
+  const result = {
+    answer: answer,
+    standaloneQuestion: standaloneQuestion,
+    found: true,
+    sources: formatSources(scored),
+    citations: citations,
+    uncitedClaims: uncitedClaims,
+    language: language,
+    template: template,
+    format: format,
+    data: data,
+    formatErrors: formatErrors,
+    cached: false,
+    timings: timings
   };
+  if (cacheKey) answerCache.set(cacheKey, standaloneQuestion, result);
+  return result;
 }
 
 // ============================================
@@ -352,6 +1367,23 @@ async function answerQuestion({
 // ============================================
 
 module.exports = {
-  indexPdfToJson,     // Fonction pour indexer un PDF
-  answerQuestion      // Fonction pour répondre aux questions
+  indexDocument,      // Fonction pour indexer un document (fichier ou URL)
+  indexPdfToJson,     // Fonction pour indexer un PDF (compatibilité)
+  answerQuestion,     // Fonction pour répondre aux questions
+  answerQuestionStream, // Fonction pour répondre aux questions en streaming
+  listDocuments,      // Fonction pour lister les documents du corpus
+  deleteDocument,     // Fonction pour retirer un document du corpus
+  getDocument,        // Fonction pour lire un document (si l'utilisateur y a accès)
+  setDocumentAccess,  // Fonction pour changer la visibilité d'un document
+  indexCompatibility, // Fonction pour comparer le corpus au modèle d'embeddings actif
+  getChunk,           // Fonction pour lire un chunk (passage d'une citation)
+  exportCorpus,       // Fonction pour exporter le corpus en JSON (embeddings compris)
+  importCorpus,       // Fonction pour importer un corpus JSON
+  parsePageRanges,    // Fonction pour lire des plages de pages ("1-3,7")
+  buildMessages,      // Fonction pour construire les messages envoyés au LLM
+  estimateTokens,     // Fonction pour estimer le nombre de tokens d'un texte
+  formatLocation,     // Fonction pour décrire l'emplacement d'un chunk ("doc.pdf, p. 3, Titre")
+  RETRIEVAL_MODES,    // Modes de recherche acceptés par answerQuestion
+  RERANK_MODES,       // Modes de reclassement acceptés par answerQuestion
+  IndexMismatchError  // Erreur : corpus vectorisé par un autre modèle d'embeddings
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+// ============================================
+// RERANK.JS - Reclassement des chunks retrouvés
+// ============================================
+// La recherche (vecteurs, BM25, fusion) est rapide mais grossière :
+// elle compare la question à chaque chunk sans vraiment "lire" le chunk.
+// Le reclassement reprend un nombre plus large de candidats (RERANK_DEPTH)
+// et les note avec un modèle plus précis, avant de garder les top-K.
+//
+// Modes :
+// - none  : pas de reclassement (ordre de la recherche)
+// - mmr   : diversité seule (scores de la recherche + MMR)
+// - llm   : le LLM de chat note la pertinence de chaque passage (0 à 10)
+// - model : un reranker local (cross-encoder, ex: bge-reranker) via provider.rerank
+//
+// Diversité (MMR, Maximal Marginal Relevance) : les chunks qui se chevauchent
+// (recouvrement entre chunks voisins, paragraphes répétés) prennent la place
+// d'informations différentes dans le contexte. MMR choisit les chunks un par un :
+//   score MMR = λ × pertinence − (1 − λ) × similarité avec les chunks déjà choisis
+// Les quasi-doublons (similarité ≥ DUPLICATE_SIMILARITY) sont écartés.
+// Référence : Carbonell & Goldstein, "The Use of MMR, Diversity-Based Reranking
+// for Reordering Documents and Producing Summaries" (1998)
+
+const { dot } = require('./hnsw');
+const { ProviderError } = require('./providers');
+
+// Modes de reclassement disponibles
+const RERANK_MODES = ['none', 'mmr', 'llm', 'model'];
+
+// Nombre de candidats de la recherche soumis au reclassement
+const RERANK_DEPTH = 20;
+
+// Poids de la pertinence dans MMR (1 = pas de diversité, 0 = diversité seule)
+const DEFAULT_MMR_LAMBDA = 0.7;
+
+// Au-delà de cette similarité cosinus, deux chunks sont considérés comme des doublons
+const DUPLICATE_SIMILARITY = 0.95;
+
+// Longueur max d'un passage dans le prompt de notation (en caractères)
+const LLM_PASSAGE_CHARS = 1000;
+
+// ============================================
+// PARTIE 1 : SCORES DE PERTINENCE
+// ============================================
+
+/**
+ * Lit les notes renvoyées par le LLM
+ * Format attendu : {"1": 8, "2": 3, ...} ; accepte aussi une note par ligne ("1: 8")
+ * Retourne une note entre 0 et 10 par passage (null si le passage n'est pas noté)
+ */
+function parseRelevance(text, count) {
+  const notes = new Map();
+
+  // JSON (éventuellement entouré de texte ou de ```json)
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      Object.entries(JSON.parse(json[0])).forEach(([key, value]) => notes.set(Number(key), Number(value)));
+    } catch {
+      // JSON invalide : essayer le format ligne par ligne
+    }
+  }
+  if (!notes.size) {
+    for (const match of text.matchAll(/^\s*\[?#?(\d+)\]?\s*[:=-]\s*(\d+(?:[.,]\d+)?)/gm)) {
+      notes.set(Number(match[1]), Number(match[2].replace(',', '.')));
+    }
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const note = notes.get(i + 1);
+    return Number.isFinite(note) ? Math.min(Math.max(note, 0), 10) : null;
+  });
+}
+
+/**
+ * Note la pertinence des passages avec le LLM de chat (une seule requête)
+ * Retourne un score entre 0 et 1 par candidat (0 si le LLM ne l'a pas noté)
+ */
+async function llmRelevance({ question, candidates, chatModel, provider, signal }) {
+  const passages = candidates
+    .map((s, idx) => `[#${idx + 1}]\n${s.item.text.slice(0, LLM_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  const reply = await provider.chat({
+    model: chatModel,
+    signal: signal,
+    messages: [
+      {
+        role: 'system',
+        content: [
+          'Tu évalues la pertinence de passages pour répondre à une question.',
+          'Donne à chaque passage une note de 0 (hors sujet) à 10 (répond directement à la question).',
+          'Réponds UNIQUEMENT par un objet JSON { "numéro du passage": note }, sans explication.'
+        ].join(' ')
+      },
+      { role: 'user', content: `QUESTION:\n${question}\n\nPASSAGES:\n${passages}\n\nNotes (JSON):` }
+    ]
+  });
+
+  return parseRelevance(reply, candidates.length).map((note) => (note ?? 0) / 10);
+}
+
+/**
+ * Note la pertinence des passages avec un reranker (cross-encoder)
+ * Retourne le score du modèle pour chaque candidat (échelle propre au modèle)
+ */
+async function modelRelevance({ question, candidates, rerankModel, provider, signal }) {
+  if (typeof provider.rerank !== 'function') {
+    throw new ProviderError(
+      `Le fournisseur ${provider.name} ne propose pas de reranker : utilisez le mode "llm", ` +
+      'ou un serveur compatible OpenAI qui expose /rerank (llama.cpp, vLLM)',
+      { code: 'unsupported', status: 501 }
+    );
+  }
+
+  return provider.rerank({
+    model: rerankModel,
+    query: question,
+    documents: candidates.map((s) => s.item.text),
+    signal: signal
+  });
+}
+
+// ============================================
+// PARTIE 2 : DIVERSITÉ (MMR)
+// ============================================
+
+/**
+ * Ramène des scores entre 0 et 1 (min → 0, max → 1)
+ * Les scores RRF, BM25 ou d'un reranker n'ont pas la même échelle
+ * que la similarité cosinus : MMR a besoin de grandeurs comparables.
+ */
+function minMaxNormalize(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map((v) => (max > min ? (v - min) / (max - min) : 1));
+}
+
+/**
+ * Sélectionne k candidats par MMR
+ *
+ * - relevance[i] : pertinence du candidat i (entre 0 et 1)
+ * - vectors[i]   : vecteur normalisé du candidat i (ou undefined)
+ *
+ * À pertinence égale, l'ordre d'origine est conservé.
+ * Retourne les indices des candidats choisis, dans l'ordre de sélection.
+ */
+function mmrSelect({ relevance, vectors, k, lambda = DEFAULT_MMR_LAMBDA }) {
+  const similarity = (a, b) => (vectors[a] && vectors[b] ? dot(vectors[a], vectors[b]) : 0);
+
+  const selected = [];
+  let remaining = relevance.map((_, i) => i);
+
+  while (selected.length < k && remaining.length) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const i of remaining) {
+      const redundancy = selected.length ? Math.max(...selected.map((j) => similarity(i, j))) : 0;
+      const score = lambda * relevance[i] - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+
+    selected.push(best);
+    // Retirer le candidat choisi et ses quasi-doublons
+    remaining = remaining.filter((i) => i !== best && similarity(i, best) < DUPLICATE_SIMILARITY);
+  }
+
+  return selected;
+}
+
+// ============================================
+// PARTIE 3 : RECLASSEMENT
+// ============================================
+
+/**
+ * Reclasse les candidats de la recherche et garde les top-K
+ *
+ * candidates : [{ item, score, ... }] dans l'ordre de la recherche
+ * Retourne les top-K avec :
+ * - rerankScore   : score du reranker (null en mode "mmr")
+ * - retrievalRank : rang dans la recherche (1 = premier)
+ */
+async function rerankCandidates({
+  question,                           // Question (autonome) de l'utilisateur
+  candidates,                         // Candidats de la recherche, meilleurs en premier
+  mode = 'none',                      // Mode de reclassement (voir RERANK_MODES)
+  topK = 5,                           // Nombre de chunks à garder
+  mmrLambda = DEFAULT_MMR_LAMBDA,     // Poids de la pertinence dans MMR
+  store,                              // Store du corpus (vecteurs des chunks, pour MMR)
+  chatModel,                          // Modèle de chat (mode "llm")
+  rerankModel,                        // Modèle de reranking (mode "model")
+  provider,                           // Fournisseur de modèles
+  signal                              // Signal d'annulation (optionnel)
+}) {
+  if (!RERANK_MODES.includes(mode)) {
+    throw new Error(`Mode de reclassement inconnu: ${mode}`);
+  }
+
+  const ranked = candidates.map((s, idx) => ({ ...s, rerankScore: null, retrievalRank: idx + 1 }));
+  if (mode === 'none' || !ranked.length) return ranked.slice(0, topK);
+
+  // 1. NOTER LA PERTINENCE
+  if (mode === 'llm') {
+    const scores = await llmRelevance({ question, candidates: ranked, chatModel, provider, signal });
+    ranked.forEach((s, i) => { s.rerankScore = scores[i]; });
+  } else if (mode === 'model') {
+    const scores = await modelRelevance({ question, candidates: ranked, rerankModel, provider, signal });
+    ranked.forEach((s, i) => { s.rerankScore = scores[i]; });
+  }
+
+  // 2. DIVERSITÉ : pertinence = score du reranker, ou score de la recherche en mode "mmr"
+  const relevance = minMaxNormalize(ranked.map((s) => s.rerankScore ?? s.score));
+  const vectors = store.vectorsOf(ranked.map((s) => s.item.id));
+
+  return mmrSelect({
+    relevance: relevance,
+    vectors: ranked.map((s) => vectors.get(s.item.id)),
+    k: topK,
+    lambda: mmrLambda
+  }).map((i) => ranked[i]);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  rerankCandidates,     // Reclasser les candidats de la recherche (+ diversité MMR)
+  mmrSelect,            // Sélection MMR (pertinence − redondance)
+  parseRelevance,       // Lire les notes de pertinence renvoyées par le LLM
+  RERANK_MODES,         // Modes de reclassement acceptés
+  RERANK_DEPTH,         // Nombre de candidats soumis au reclassement
+  DEFAULT_MMR_LAMBDA    // Poids de la pertinence dans MMR (par défaut)
+};
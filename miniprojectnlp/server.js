@@ -2,9 +2,16 @@
 // SERVER.JS - Serveur Express pour l'API RAG
 // ============================================
 // Ce fichier crée un serveur web qui :
-// 1. Permet d'uploader et indexer un PDF
-// 2. Permet de poser des questions sur le PDF
-// 3. Sert l'interface web (HTML/CSS/JS)
+// 1. Permet d'uploader et indexer des documents (PDF, DOCX, Markdown, HTML, texte)
+//    ou des URL (ajoutés au corpus, en tâche de fond)
+// 2. Permet de lister et supprimer les documents indexés
+// 3. Permet de poser des questions sur les PDF (réponse complète ou en streaming)
+//    dans une conversation (les questions de suivi tiennent compte de l'historique)
+// 4. Sert l'interface web (HTML/CSS/JS)
+// 5. Contrôle l'accès : chaque appel est authentifié (clé d'API ou session),
+//    chaque espace de travail a son propre corpus, et chaque document ses permissions
+// 6. Suit l'usage : journal des questions (durée de chaque étape, chunks retrouvés),
+//    avis 👍/👎 sur les réponses, métriques au format Prometheus
 
 // ============================================
 // IMPORTS
@@ -17,52 +24,171 @@ const express = require('express');
 const multer = require('multer');
 
 // Modules Node.js natifs
-const path = require('path');  // Manipulation de chemins de fichiers
-const fs = require('fs');      // Lecture/écriture de fichiers
+const path = require('path');      // Manipulation de chemins de fichiers
+const fs = require('fs');          // Lecture/écriture de fichiers
+const crypto = require('crypto');  // Noms temporaires des fichiers uploadés
 
 // Nos fonctions RAG (depuis rag.js)
-const { indexPdfToJson, answerQuestion } = require('./rag');
+const {
+	indexDocument,
+	answerQuestion,
+	answerQuestionStream,
+	listDocuments,
+	getDocument,
+	setDocumentAccess,
+	deleteDocument,
+	getChunk,
+	exportCorpus,
+	importCorpus,
+	parsePageRanges,
+	indexCompatibility,
+	RETRIEVAL_MODES,
+	RERANK_MODES
+} = require('./rag');
+
+// Résumé, plan et FAQ d'un document entier (depuis doctasks.js)
+const { runDocumentTask, cachedDocumentTask, forgetDocumentTasks, DOCUMENT_TASKS } = require('./doctasks');
+
+// Modèles de prompts, langue et format des réponses (depuis prompts.js)
+const { loadTemplate, listTemplates, LANGUAGES, OUTPUT_FORMATS } = require('./prompts');
+
+// Configuration centralisée : fichier rag.config.json + variables d'environnement (depuis config.js)
+const { getConfig, MAX_TOP_K } = require('./config');
+
+// Journal des questions et avis des utilisateurs (depuis querylog.js)
+const { newAnswerId, logQuery, findQuery, parseFeedback, logFeedback } = require('./querylog');
+
+// Compteurs et histogrammes au format Prometheus (depuis metrics.js)
+const { createMetrics } = require('./metrics');
+
+// Historique des conversations (depuis conversations.js)
+const {
+	newConversation,
+	loadConversation,
+	saveConversation,
+	deleteConversation,
+	chatHistory
+} = require('./conversations');
+
+// Formats de documents acceptés et contrôle des fichiers (depuis loaders.js)
+const { findLoader, supportedExtensions, inspectDocument, checkSourceUrl, LoaderError } = require('./loaders');
+
+// OCR des PDF scannés (depuis ocr.js)
+const { ocrAvailable } = require('./ocr');
+
+// Limites, noms, rangement et nettoyage des fichiers uploadés (depuis uploads.js)
+const { sanitizeFilename, storeUpload, cleanupUploads, discardUpload } = require('./uploads');
+
+// Tâches de fond (depuis jobs.js)
+const { submitJob, getJob, listJobs, cancelJob } = require('./jobs');
+
+// Fournisseur de modèles configuré (depuis providers.js)
+const { getDefaultProvider } = require('./providers');
+
+// Authentification et permissions (depuis auth.js)
+const {
+	authenticate,
+	loadUsers,
+	publicUser,
+	checkPassword,
+	loginRetryAfter,
+	recordLogin,
+	createSession,
+	destroySession,
+	readCookie,
+	sessionCookie,
+	parseAccess,
+	canWrite,
+	SESSION_COOKIE
+} = require('./auth');
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-// Port du serveur (3000 par défaut, ou variable d'environnement)
-const PORT = process.env.PORT || 3000;
+// Réglages vérifiés au démarrage : une valeur invalide arrête le serveur (voir config.js)
+const CONFIG = getConfig();
+
+// Port du serveur (3000 par défaut, ou variable PORT)
+const PORT = CONFIG.port;
 
 // Dossier pour stocker les données
 const DATA_DIR = path.join(__dirname, 'data');
 
-// Dossier pour stocker les PDFs uploadés
-const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+// Authentification (variable AUTH : "on" par défaut, "off" pour un usage local sans comptes)
+const AUTH_ENABLED = CONFIG.auth;
+
+/**
+ * Dossiers d'un espace de travail :
+ * - indexPath        : fichier index.json (corpus : tous les documents indexés de l'espace)
+ * - uploadsDir       : documents uploadés
+ * - conversationsDir : conversations (un fichier JSON par conversation)
+ * - logsDir          : journal des questions et des avis (voir querylog.js)
+ * L'espace "default" garde l'emplacement d'origine (data/index.json, data/uploads...) ;
+ * les autres espaces sont rangés dans data/workspaces/<espace>/
+ */
+function workspacePaths(workspace) {
+	const dir = workspace === 'default' ? DATA_DIR : path.join(DATA_DIR, 'workspaces', workspace);
+	return {
+		indexPath: path.join(dir, 'index.json'),
+		uploadsDir: path.join(dir, 'uploads'),
+		conversationsDir: path.join(dir, 'conversations'),
+		logsDir: path.join(dir, 'logs')
+	};
+}
+
+// Limites des uploads : taille des fichiers, pages des PDF, durée de conservation
+const UPLOAD_LIMITS = CONFIG.uploads;
 
-// Chemin du fichier index.json (base vectorielle)
-const INDEX_PATH = path.join(DATA_DIR, 'index.json');
+// Fréquence du nettoyage des fichiers uploadés
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
 
-// Créer le dossier uploads s'il n'existe pas
-// { recursive: true } = créer tous les dossiers parents si nécessaire
-fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+// Réglages d'indexation (les documents indexés avec d'autres réglages sont signalés périmés)
+const INDEX_SETTINGS = {
+	chunkTokens: CONFIG.chunkTokens,                       // Taille max des chunks (tokens)
+	overlapTokens: CONFIG.overlapTokens,                   // Chevauchement (tokens)
+	embedModel: CONFIG.embedModel                          // Modèle d'embeddings
+};
 
 // ============================================
 // CONFIGURATION MULTER (upload de fichiers)
 // ============================================
 
-// Configurer Multer pour sauvegarder les fichiers uploadés dans UPLOADS_DIR
-// Avec diskStorage pour garder l'extension du fichier
+// Configurer Multer pour sauvegarder les fichiers uploadés dans le dossier uploads
+// de l'espace de travail de l'utilisateur.
+// Le fichier reçoit d'abord un nom temporaire : son empreinte n'est connue
+// qu'une fois entièrement reçu (voir storeUpload)
 const storage = multer.diskStorage({
-	// Définir le dossier de destination
+	// Définir le dossier de destination (créé s'il n'existe pas)
 	destination: (req, file, cb) => {
-		cb(null, UPLOADS_DIR);
+		const { uploadsDir } = workspacePaths(req.user.workspace);
+		fs.mkdirSync(uploadsDir, { recursive: true });
+		cb(null, uploadsDir);
 	},
-	// Définir le nom du fichier (garder l'extension)
+	// Nom temporaire unique (timestamp + aléatoire)
 	filename: (req, file, cb) => {
-		// Générer un nom unique : timestamp + nom original
-		const uniqueName = Date.now() + '-' + file.originalname;
-		cb(null, uniqueName);
+		cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.part`);
+	}
+});
+
+const upload = multer({
+	storage: storage,
+	// Noms de fichiers envoyés en UTF-8 par les navigateurs (sinon "rÃ©sumÃ©.pdf")
+	defParamCharset: 'utf8',
+	// Un seul fichier, de taille limitée (au-delà : 413, voir le gestionnaire d'erreurs)
+	limits: { fileSize: UPLOAD_LIMITS.maxFileBytes, files: 1 },
+	// Format non pris en charge : refusé avant d'être reçu
+	fileFilter: (req, file, cb) => {
+		if (findLoader({ filename: file.originalname, mimeType: file.mimetype })) return cb(null, true);
+		cb(new LoaderError(
+			`Format non pris en charge: ${sanitizeFilename(file.originalname)} (formats acceptés : ${supportedExtensions().join(', ')})`,
+			{ code: 'unsupported_format', status: 415 }
+		));
 	}
 });
 
-const upload = multer({ storage: storage });
+// Import d'un corpus JSON : gardé en mémoire le temps de le lire (pas besoin de le stocker)
+const importUpload = multer({ storage: multer.memoryStorage() });
 
 // ============================================
 // CRÉATION DE L'APPLICATION EXPRESS
@@ -70,6 +196,30 @@ const upload = multer({ storage: storage });
 
 const app = express();
 
+// ============================================
+// MÉTRIQUES (GET /api/metrics)
+// ============================================
+
+const metrics = createMetrics();
+
+// Requêtes de l'API : nombre (par route et code HTTP) et durée
+const httpRequests = metrics.counter('rag_http_requests_total', "Requêtes de l'API", ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('rag_http_request_duration_seconds', "Durée des requêtes de l'API", ['method', 'route']);
+
+// Questions : résultat, erreurs (par code) et durée de chaque étape du pipeline
+const questionsTotal = metrics.counter('rag_questions_total', 'Questions posées', ['mode', 'outcome']);
+const questionErrors = metrics.counter('rag_question_errors_total', 'Questions en erreur', ['code']);
+const stageDuration = metrics.histogram('rag_question_stage_seconds', 'Durée des étapes du pipeline (rewrite, embed, search, rerank, generate, firstToken, total)', ['mode', 'stage']);
+
+// Cache des réponses : questions servies depuis le cache (hit) ou non (miss)
+const answerCacheTotal = metrics.counter('rag_answer_cache_total', 'Consultations du cache des réponses', ['result']);
+
+// Avis des utilisateurs sur les réponses
+const feedbackTotal = metrics.counter('rag_feedback_total', 'Avis sur les réponses', ['rating']);
+
+// Indexations terminées (done, skipped, failed, cancelled)
+const indexingJobs = metrics.counter('rag_indexing_jobs_total', 'Indexations terminées', ['outcome']);
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -78,10 +228,359 @@ const app = express();
 // Limite de 2 Mo pour éviter les requêtes trop volumineuses
 app.use(express.json({ limit: '2mb' }));
 
+// Middleware de mesure des requêtes de l'API (compteur + durée, à la fin de la réponse)
+// La route est celle déclarée ("/api/documents/:id") : une série par route, pas par id
+app.use((req, res, next) => {
+	if (!req.path.startsWith('/api/')) return next();
+	const started = Date.now();
+	res.on('finish', () => {
+		const route = req.route?.path ?? 'other';
+		httpRequests.inc({ method: req.method, route, status: res.statusCode });
+		httpDuration.observe({ method: req.method, route }, (Date.now() - started) / 1000);
+	});
+	next();
+});
+
 // Middleware pour servir les fichiers statiques (HTML, CSS, JS)
 // Tout ce qui est dans le dossier 'public/' sera accessible via le navigateur
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ============================================
+// FONCTIONS UTILITAIRES
+// ============================================
+
+// Noms de modèles acceptés ("llama3.2", "mistral:7b-instruct", "org/modele")
+const MODEL_PATTERN = /^[\w.:\/-]{1,100}$/;
+
+// Taille maximale d'un schéma JSON de sortie (caractères) : il est recopié dans le prompt
+const MAX_SCHEMA_LENGTH = 10000;
+
+/**
+ * Vérifie qu'une valeur est un tableau de chaînes (optionnel : absent = [])
+ */
+function isStringArray(value) {
+	return Array.isArray(value) && value.every((v) => typeof v === 'string');
+}
+
+/**
+ * Lit et valide le body d'une question (/api/ask et /api/ask/stream)
+ * Retourne { error } si le body est invalide, sinon
+ * { question, documents, sources, pages, topK, minScore, chatModel, retrieval, rerank, mmrLambda,
+ *   template, language, format, schema, cache, conversationId }
+ */
+function parseAskBody(body) {
+	// Récupérer la question depuis le body
+	const question = String(body?.question || '').trim();
+
+	// Vérifier que la question n'est pas vide
+	if (!question) return { error: 'Question vide' };
+
+	// Documents à interroger (optionnel) : un tableau de chaînes
+	const documents = body?.documents ?? [];
+	if (!isStringArray(documents)) {
+		return { error: 'documents doit être un tableau de chaînes' };
+	}
+
+	// Sources à interroger (optionnel) : motifs de noms, "*" = n'importe quoi ("*.md")
+	const sources = body?.sources ?? [];
+	if (!isStringArray(sources) || sources.some((p) => !p.trim())) {
+		return { error: 'sources doit être un tableau de motifs non vides (ex: ["*.md"])' };
+	}
+
+	// Plages de pages (optionnel) : "1-3,7"
+	let pages = [];
+	if (body?.pages != null) {
+		pages = parsePageRanges(body.pages);
+		if (!pages) return { error: 'pages doit être une liste de pages ou de plages (ex: "1-3,7")' };
+	}
+
+	// Nombre de chunks à récupérer (optionnel)
+	const topK = body?.topK ?? CONFIG.topK;
+	if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+		return { error: `topK doit être un entier entre 1 et ${MAX_TOP_K}` };
+	}
+
+	// Similarité cosinus minimale (optionnel) : les chunks en dessous sont écartés
+	const minScore = body?.minScore ?? null;
+	if (minScore !== null && (typeof minScore !== 'number' || !(minScore >= -1 && minScore <= 1))) {
+		return { error: 'minScore doit être un nombre entre -1 et 1' };
+	}
+
+	// Modèle de génération (optionnel) : remplace CHAT_MODEL pour cette question
+	const chatModel = body?.model ?? CONFIG.chatModel;
+	if (typeof chatModel !== 'string' || !MODEL_PATTERN.test(chatModel)) {
+		return { error: 'model doit être un nom de modèle (lettres, chiffres, . : / - _)' };
+	}
+
+	// Mode de recherche (optionnel) : vector, lexical ou hybrid (par défaut)
+	const retrieval = body?.retrieval ?? 'hybrid';
+	if (!RETRIEVAL_MODES.includes(retrieval)) {
+		return { error: `retrieval doit valoir: ${RETRIEVAL_MODES.join(', ')}` };
+	}
+
+	// Reclassement (optionnel) : none, mmr, llm ou model (par défaut : variable RERANK, sinon none)
+	const rerank = body?.rerank ?? CONFIG.rerank;
+	if (!RERANK_MODES.includes(rerank)) {
+		return { error: `rerank doit valoir: ${RERANK_MODES.join(', ')}` };
+	}
+
+	// Poids de la pertinence face à la diversité (optionnel) : 1 = pas de diversité
+	const mmrLambda = body?.mmrLambda ?? undefined;
+	if (mmrLambda !== undefined && (typeof mmrLambda !== 'number' || !(mmrLambda >= 0 && mmrLambda <= 1))) {
+		return { error: 'mmrLambda doit être un nombre entre 0 et 1' };
+	}
+
+	// Modèle de prompt (optionnel) : fichier prompts/<nom>.txt (par défaut : PROMPT_TEMPLATE)
+	const template = body?.template ?? CONFIG.prompts.template;
+	try {
+		loadTemplate(template, CONFIG.prompts.dir);
+	} catch (e) {
+		return { error: e.message };
+	}
+
+	// Langue de la réponse (optionnel) : auto = celle de la question (par défaut : ANSWER_LANGUAGE)
+	const language = body?.language ?? CONFIG.prompts.language;
+	if (language !== 'auto' && !Object.hasOwn(LANGUAGES, language)) {
+		return { error: `language doit valoir: auto, ${Object.keys(LANGUAGES).join(', ')}` };
+	}
+
+	// Format de sortie (optionnel) : text (par défaut), markdown ou json
+	const format = body?.format ?? 'text';
+	if (!OUTPUT_FORMATS.includes(format)) {
+		return { error: `format doit valoir: ${OUTPUT_FORMATS.join(', ')}` };
+	}
+
+	// Schéma JSON de la sortie (optionnel, format json seulement)
+	const schema = body?.schema ?? null;
+	if (schema !== null) {
+		if (format !== 'json') return { error: 'schema demande "format": "json"' };
+		if (typeof schema !== 'object' || Array.isArray(schema)) return { error: 'schema doit être un objet (schéma JSON)' };
+		if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) return { error: `schema trop long (${MAX_SCHEMA_LENGTH} caractères au plus)` };
+	}
+
+	// Cache des réponses (optionnel) : false = toujours générer une nouvelle réponse
+	const cache = body?.cache ?? true;
+	if (typeof cache !== 'boolean') {
+		return { error: 'cache doit être un booléen' };
+	}
+
+	// Conversation à poursuivre (optionnel) : sans id, une nouvelle conversation est créée
+	const conversationId = body?.conversationId ?? null;
+	if (conversationId !== null && typeof conversationId !== 'string') {
+		return { error: 'conversationId doit être une chaîne' };
+	}
+
+	return {
+		question, documents, sources, pages, topK, minScore, chatModel, retrieval, rerank, mmrLambda,
+		template, language, format, schema, cache, conversationId
+	};
+}
+
+/**
+ * Documents demandés (IDs ou noms) que l'utilisateur ne peut pas interroger :
+ * inconnus dans son espace, ou qu'il n'a pas le droit de lire
+ * Retourne la liste (vide si tous existent)
+ */
+function unknownDocuments(user, documents) {
+	if (!documents.length) return [];
+	const readable = listDocuments({ indexPath: workspacePaths(user.workspace).indexPath, viewer: user });
+	return documents.filter((wanted) => !readable.some((d) => d.id === wanted || d.name === wanted));
+}
+
+/**
+ * Middleware : route réservée aux administrateurs de l'espace
+ */
+function requireAdmin(req, res, next) {
+	if (!req.user.admin) return res.status(403).json({ error: 'Réservé aux administrateurs de l\'espace' });
+	next();
+}
+
+/**
+ * La tâche est-elle visible par l'utilisateur ?
+ * Ses propres tâches, ou toutes celles de son espace pour un administrateur
+ */
+function canSeeJob(job, user) {
+	return job.meta.workspace === user.workspace && (user.admin || job.meta.user === user.id);
+}
+
+/**
+ * Espaces de travail présents sur le disque ("default" compris)
+ */
+function listWorkspaces() {
+	const workspacesDir = path.join(DATA_DIR, 'workspaces');
+	return ['default', ...(fs.existsSync(workspacesDir) ? fs.readdirSync(workspacesDir) : [])];
+}
+
+/**
+ * Fichiers uploadés des indexations en attente ou en cours (jamais supprimés)
+ */
+function uploadsInUse() {
+	return new Set(listJobs()
+		.filter((job) => !['done', 'failed', 'cancelled'].includes(job.status))
+		.map((job) => job.meta.upload)
+		.filter(Boolean));
+}
+
+/**
+ * Nettoie les dossiers uploads de tous les espaces de travail (voir uploads.js)
+ * Les fichiers des indexations en attente ou en cours ne sont jamais supprimés.
+ */
+function sweepUploads() {
+	const workspaces = listWorkspaces();
+	const inUse = uploadsInUse();
+
+	for (const workspace of workspaces) {
+		try {
+			const { indexPath, uploadsDir } = workspacePaths(workspace);
+			const referenced = new Set(listDocuments({ indexPath }).map((doc) => doc.contentHash));
+			const removed = cleanupUploads({ dir: uploadsDir, referenced, inUse, retentionDays: UPLOAD_LIMITS.retentionDays });
+			if (removed.length) console.log(`🧹 Uploads supprimés (${workspace}): ${removed.length}`);
+		} catch (e) {
+			console.error(`❌ Erreur nettoyage des uploads (${workspace}):`, e.message);
+		}
+	}
+}
+
+/**
+ * Vérifie au démarrage que les index sont interrogeables avec le modèle d'embeddings configuré
+ * (sinon les questions seront refusées : 409 index_mismatch)
+ * - documents vectorisés par un autre modèle (EMBED_MODEL changé après l'indexation)
+ * - dimension des vecteurs : un embedding de test est demandé au fournisseur
+ * Ne fait qu'avertir : le serveur démarre quand même (réindexation possible depuis l'interface).
+ */
+async function checkIndexes() {
+	const dimensions = new Map();
+	for (const workspace of listWorkspaces()) {
+		try {
+			const compat = indexCompatibility({ indexPath: workspacePaths(workspace).indexPath, embedModel: CONFIG.embedModel });
+			if (compat.documents.length) {
+				const models = [...new Set(compat.documents.map((d) => d.embedModel))].join(', ');
+				console.warn(`⚠️  Espace ${workspace} : ${compat.documents.length} document(s) vectorisé(s) avec ${models}, modèle actif ${CONFIG.embedModel} (à réindexer)`);
+			}
+			if (compat.dimensions) dimensions.set(workspace, compat.dimensions);
+		} catch (e) {
+			console.error(`❌ Erreur lecture de l'index (${workspace}):`, e.message);
+		}
+	}
+	if (!dimensions.size) return;
+
+	try {
+		const probe = await getDefaultProvider().embed({ model: CONFIG.embedModel, text: 'test' });
+		for (const [workspace, size] of dimensions) {
+			if (size !== probe.length) {
+				console.warn(`⚠️  Espace ${workspace} : vecteurs de dimension ${size}, ${CONFIG.embedModel} produit ${probe.length} (à réindexer)`);
+			}
+		}
+	} catch (e) {
+		console.warn(`⚠️  Dimension des embeddings non vérifiée (${e.message})`);
+	}
+}
+
+/**
+ * Charge une conversation de l'utilisateur
+ * Retourne null si elle n'existe pas ou appartient à quelqu'un d'autre
+ * (les conversations créées avant l'authentification n'ont pas de propriétaire)
+ */
+function findConversation(req, id) {
+	const conversation = loadConversation({ dir: workspacePaths(req.user.workspace).conversationsDir, id });
+	if (conversation?.user && conversation.user !== req.user.id) return null;
+	return conversation;
+}
+
+/**
+ * Charge la conversation demandée, ou en crée une nouvelle si aucun id n'est fourni
+ * Retourne null si l'id ne correspond à aucune conversation de l'utilisateur
+ */
+function openConversation(req, conversationId) {
+	if (!conversationId) return { ...newConversation(), user: req.user.id };
+	return findConversation(req, conversationId);
+}
+
+/**
+ * Ajoute un échange question/réponse à la conversation et la sauvegarde
+ */
+function recordExchange(req, conversation, question, result, answerId) {
+	const now = new Date().toISOString();
+	conversation.messages.push(
+		{ role: 'user', content: question, standaloneQuestion: result.standaloneQuestion, createdAt: now },
+		{ role: 'assistant', content: result.answer, answerId, sources: result.sources, citations: result.citations, cachedFrom: result.cachedFrom, createdAt: now }
+	);
+	saveConversation({ dir: workspacePaths(req.user.workspace).conversationsDir, conversation });
+}
+
+/**
+ * Suivi d'une question : durées des étapes, journal (logs/queries.jsonl) et métriques
+ * Retourne { answerId, timings, finish } :
+ * - timings est rempli par answerQuestion / answerQuestionStream (ms par étape)
+ * - finish({ result }) ou finish({ error, cancelled }) à la fin, réussie ou non
+ */
+function trackQuestion(req, { mode, conversation, params }) {
+	const answerId = newAnswerId();
+	const timings = {};
+	const started = Date.now();
+
+	const finish = ({ result = null, error = null, cancelled = false }) => {
+		timings.total = Date.now() - started;
+		const outcome = cancelled ? 'cancelled' : error ? 'error' : result.found ? 'answered' : 'not_found';
+
+		questionsTotal.inc({ mode, outcome });
+		if (outcome === 'error') questionErrors.inc({ code: error.code || 'internal' });
+		for (const [stage, ms] of Object.entries(timings)) stageDuration.observe({ mode, stage }, ms / 1000);
+		if (result && params.cache) answerCacheTotal.inc({ result: result.cached ? 'hit' : 'miss' });
+
+		try {
+			logQuery({
+				dir: workspacePaths(req.user.workspace).logsDir,
+				entry: {
+					answerId,
+					user: req.user.id,
+					conversationId: conversation.id,
+					mode,
+					question: params.question,
+					standaloneQuestion: result?.standaloneQuestion ?? null,
+					chatModel: params.chatModel,
+					embedModel: CONFIG.embedModel,
+					retrieval: params.retrieval,
+					rerank: params.rerank,
+					topK: params.topK,
+					minScore: params.minScore,
+					template: params.template,
+					format: params.format,
+					language: result?.language ?? null,
+					outcome,
+					cached: result?.cached ?? false,
+					error: outcome === 'error' ? String(error?.message || error) : null,
+					code: outcome === 'error' ? error.code || null : null,
+					timings,
+					sources: (result?.sources || []).map((s) => ({ id: s.id, score: s.score, rerankScore: s.rerankScore })),
+					citations: result ? result.citations.length : 0,
+					invalidCitations: result ? result.citations.filter((c) => !c.valid).length : 0
+				}
+			});
+		} catch (e) {
+			console.error('❌ Erreur journal des questions:', e.message);
+		}
+	};
+
+	return { answerId, timings, finish };
+}
+
+/**
+ * Résumé d'une réponse pour les logs : "3 sources, 4 citations (1 invalide)", "..., en cache"
+ */
+function describeAnswer(result) {
+	const invalid = result.citations.filter((c) => !c.valid).length;
+	return `${result.sources.length} sources, ${result.citations.length} citations${invalid ? ` (${invalid} invalide${invalid > 1 ? 's' : ''})` : ''}${result.cached ? ', en cache' : ''}`;
+}
+
+/**
+ * Envoie un événement Server-Sent Events (SSE)
+ * Format : "event: <nom>\ndata: <json>\n\n"
+ */
+function sendEvent(res, event, data) {
+	res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // ============================================
 // ROUTES API
 // ============================================
@@ -96,80 +595,744 @@ app.get('/api/health', (req, res) => {
 });
 
 /**
- * Route d'indexation d'un PDF
+ * Route de connexion (interface web)
+ * POST /api/login
+ * Body: { "user": "alice", "password": "..." }
+ * Ouvre une session (cookie HttpOnly) ; les clients API utilisent plutôt leur clé
+ * Retourne: { "user": { id, workspace, groups, admin } }
+ * Trop d'échecs récents pour cette adresse IP ou ce compte : 429 (en-tête Retry-After)
+ */
+app.post('/api/login', (req, res) => {
+	if (!AUTH_ENABLED) return res.status(400).json({ error: 'Authentification désactivée (AUTH=off)' });
+
+	const id = String(req.body?.user || '');
+	const password = String(req.body?.password || '');
+
+	// Limite des tentatives (fenêtre glissante, par adresse IP et par compte)
+	const retryAfter = loginRetryAfter({ ip: req.ip, id });
+	if (retryAfter) {
+		console.warn(`⛔ Connexion bloquée (trop d'échecs): ${id || '?'} depuis ${req.ip}`);
+		res.setHeader('Retry-After', String(retryAfter));
+		return res.status(429).json({ error: `Trop de tentatives de connexion : réessayez dans ${retryAfter} s`, code: 'too_many_attempts' });
+	}
+
+	const user = id && password ? checkPassword(id, password) : null;
+	recordLogin({ ip: req.ip, id, ok: Boolean(user) });
+	if (!user) return res.status(401).json({ error: 'Identifiant ou mot de passe incorrect' });
+
+	console.log(`🔓 Connexion: ${user.id}`);
+
+	res.setHeader('Set-Cookie', sessionCookie(req, createSession(user.id)));
+	res.json({ ok: true, user: publicUser(user) });
+});
+
+/**
+ * Route de déconnexion
+ * POST /api/logout
+ */
+app.post('/api/logout', (req, res) => {
+	const token = readCookie(req, SESSION_COOKIE);
+	if (token) destroySession(token);
+	res.setHeader('Set-Cookie', sessionCookie(req, null));
+	res.json({ ok: true });
+});
+
+// Toutes les routes suivantes demandent une clé d'API ou une session (req.user)
+app.use('/api', authenticate({ enabled: AUTH_ENABLED }));
+
+/**
+ * Route des modèles de prompts
+ * GET /api/prompts
+ * Retourne: { "templates": [{ "name", "description" }], "default": "default",
+ *            "languages": ["fr", "en", ...], "formats": ["text", "markdown", "json"] }
+ * (un fichier de modèle invalide est listé avec "error")
+ */
+app.get('/api/prompts', (req, res) => {
+	res.json({
+		ok: true,
+		templates: listTemplates(CONFIG.prompts.dir),
+		default: CONFIG.prompts.template,
+		languages: Object.keys(LANGUAGES),
+		formats: OUTPUT_FORMATS
+	});
+});
+
+/**
+ * Route de l'utilisateur connecté
+ * GET /api/me
+ * Retourne: { "user": { id, workspace, groups, admin }, "auth": true }
+ * (401 sans identifiant : l'interface affiche alors le formulaire de connexion)
+ */
+app.get('/api/me', (req, res) => {
+	res.json({ ok: true, user: req.user, auth: AUTH_ENABLED });
+});
+
+/**
+ * Route d'indexation d'un document
  * POST /api/index
- * Body: FormData avec un fichier PDF (clé: 'pdf')
- * Retourne: statistiques d'indexation (nombre de chunks, modèle, etc.)
+ * Body: FormData avec un fichier (clé: 'file', ou 'pdf' pour les anciens clients)
+ *       ou JSON { "url": "https://..." } pour indexer une page web / un fichier en ligne
+ *       Champ optionnel "access" : visibilité du document dans l'espace
+ *       ('workspace' par défaut, 'private', ou 'groups:rh,direction')
+ * Formats : PDF, DOCX, Markdown, HTML, texte (choisis par extension, sinon par type MIME)
+ * Le fichier est contrôlé avant d'être accepté ; refusé, il est supprimé et la route répond
+ * { "error", "code" } : 413 (trop gros, trop de pages), 415 (format non pris en charge,
+ * contenu qui ne correspond pas à l'extension), 423 (PDF chiffré), 400 (PDF corrompu),
+ * 422 (PDF sans texte : vide, ou scanné alors que l'OCR est désactivé ou absent).
+ * L'indexation tourne en tâche de fond : la route répond tout de suite (202)
+ * Retourne: { "jobId": "...", "job": { status, stage, done, total, ... } }
+ * Suivre l'avancement avec GET /api/jobs/:id (un scan que l'OCR n'a pas pu lire ou un document
+ * vide d'un autre format y échoue, avec errorCode = no_text_layer / empty_document et errorStatus = 422)
+ * Un document identique déjà indexé n'est pas retraité (résultat : skipped = true) ;
+ * un document du même nom remplace la version précédente (seuls les chunks modifiés sont revectorisés),
+ * si l'utilisateur a le droit de la modifier (sinon un nouveau document est créé)
  */
-app.post('/api/index', upload.single('pdf'), async (req, res) => {
+app.post('/api/index', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'pdf', maxCount: 1 }]), async (req, res) => {
+	// req.files est ajouté par Multer quand un fichier est uploadé
+	const file = req.files?.file?.[0] || req.files?.pdf?.[0];
+
 	try {
-		// Vérifier qu'un fichier a bien été uploadé
-		// req.file est ajouté par Multer quand un fichier est uploadé
-		if (!req.file) return res.status(400).json({ error: 'Aucun fichier PDF uploadé' });
+		const url = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
 
-		console.log(`📄 Indexation de: ${req.file.originalname}`);
+		// Vérifier qu'un fichier (ou une URL) a bien été envoyé
+		if (!file && !url) return res.status(400).json({ error: 'Aucun fichier uploadé ni URL fournie' });
 
-		// Appeler la fonction d'indexation du rag.js
-		const stats = await indexPdfToJson({
-			pdfPath: req.file.path,                                // Chemin du PDF uploadé
-			outPath: INDEX_PATH,                                   // Où sauvegarder l'index
-			sourceName: req.file.originalname || 'document.pdf',   // Nom du document
-			chunkSize: 1200,                                       // Taille des chunks
-			chunkOverlap: 200,                                     // Chevauchement
-			embedModel: process.env.EMBED_MODEL || 'nomic-embed-text' // Modèle d'embeddings
-		});
+		// Visibilité du document (optionnel)
+		const access = parseAccess(req.body?.access);
+		if (!access) {
+			if (file) fs.rmSync(file.path, { force: true });
+			return res.status(400).json({ error: 'access doit valoir workspace, private ou groups:<groupe>,<groupe>' });
+		}
+
+		// Nom du document : nom d'origine nettoyé (chemins, caractères invisibles...)
+		const sourceName = file ? sanitizeFilename(file.originalname) : url;
+
+		// Contrôler le fichier tout de suite : contenu conforme à l'extension, PDF lisible,
+		// non chiffré, pas trop long (pour une URL, le contenu n'est connu qu'après
+		// le téléchargement : l'erreur apparaîtra dans la tâche)
+		let filePath;
+		if (file) {
+			const buffer = fs.readFileSync(file.path);
+			try {
+				await inspectDocument({ buffer, filename: sourceName, mimeType: file.mimetype, maxPages: UPLOAD_LIMITS.maxPages, ocr: CONFIG.ocr });
+			} catch (e) {
+				fs.rmSync(file.path, { force: true });
+				if (!(e instanceof LoaderError)) throw e;
+				console.error(`❌ Fichier refusé (${e.code}): ${sourceName}`);
+				return res.status(e.status).json({ error: e.message, code: e.code });
+			}
+			filePath = storeUpload(file, buffer);
+		} else {
+			// URL : refusée tout de suite si elle désigne une adresse interne (localhost, réseau privé...) ;
+			// le téléchargement refait ce contrôle à chaque connexion et à chaque redirection
+			try {
+				await checkSourceUrl(url);
+			} catch (e) {
+				if (!(e instanceof LoaderError)) throw e;
+				console.error(`❌ URL refusée (${e.code}): ${url}`);
+				return res.status(e.status).json({ error: e.message, code: e.code });
+			}
+		}
+		const { indexPath } = workspacePaths(req.user.workspace);
+		const viewer = req.user;
+
+		// Créer la tâche d'indexation
+		const job = submitJob({
+			type: 'index',
+			queue: `${viewer.workspace}/index`, // Une indexation à la fois par espace
+			owner: viewer.id,                 // Limite de tâches par utilisateur
+			meta: { source: sourceName, workspace: viewer.workspace, user: viewer.id, upload: filePath && path.basename(filePath) },
+			run: async ({ signal, report }) => {
+				console.log(`📄 Indexation de: ${sourceName}`);
 
-		console.log(`✅ Indexation terminée: ${stats.chunks} chunks créés`);
+				// Appeler la fonction d'indexation du rag.js
+				const stats = await indexDocument({
+					filePath: filePath,                                    // Chemin du fichier uploadé
+					url: file ? undefined : url,                           // ... ou URL à télécharger
+					mimeType: file?.mimetype,                              // Type MIME envoyé par le navigateur
+					outPath: indexPath,                                    // Corpus de l'espace, auquel ajouter le document
+					sourceName: sourceName,                                // Nom du document
+					viewer: viewer,                                        // Propriétaire du document
+					access: access,                                        // Visibilité du document
+					...INDEX_SETTINGS,                                     // Taille des chunks, modèle d'embeddings
+					maxPages: UPLOAD_LIMITS.maxPages,                      // Nombre maximal de pages (PDF)
+					maxBytes: UPLOAD_LIMITS.maxFileBytes,                  // Taille maximale (document téléchargé)
+					onProgress: report,                                    // Avancement de la tâche
+					signal: signal                                         // Annulation de la tâche
+				}).catch((e) => {
+					console.error(signal.aborted ? `⏹️  Indexation annulée: ${sourceName}` : `❌ Erreur indexation: ${e.message}`);
+					indexingJobs.inc({ outcome: signal.aborted ? 'cancelled' : 'failed' });
+					throw e;
+				});
 
-		// Retourner les statistiques
-		res.json({ ok: true, indexPath: 'data/index.json', stats });
+				indexingJobs.inc({ outcome: stats.skipped ? 'skipped' : 'done' });
+				if (stats.skipped) {
+					console.log(`♻️  Document déjà indexé: ${stats.source}`);
+				} else {
+					console.log(`✅ Indexation terminée: ${stats.chunks} chunks (${stats.embedded} vectorisés, ${stats.reused} réutilisés)`);
+				}
+				return stats;
+			},
+			// Tâche annulée : le fichier uploadé est supprimé tout de suite (sauf s'il sert encore :
+			// même contenu déjà indexé, ou envoyé pour une autre indexation en attente)
+			onCancel: () => {
+				if (!filePath) return;
+				const referenced = new Set(listDocuments({ indexPath }).map((doc) => doc.contentHash));
+				if (discardUpload({ file: filePath, referenced, inUse: uploadsInUse() })) {
+					console.log(`🧹 Upload supprimé (indexation annulée): ${sourceName}`);
+				}
+			}
+		});
+
+		res.status(202).json({ ok: true, jobId: job.id, job });
 	} catch (e) {
-		// En cas d'erreur, logger et retourner une erreur 500
+		// Erreur inattendue (disque, lecture du fichier...) : ne pas garder le fichier reçu
+		// (un fichier déjà rangé sous son empreinte est laissé au nettoyage des uploads)
+		// (ou trop de tâches en attente pour cet utilisateur : 429 too_many_jobs)
+		if (file) fs.rmSync(file.path, { force: true });
 		console.error('❌ Erreur indexation:', e.message);
+		res.status(e.status || 500).json({ error: String(e?.message || e), code: e.code });
+	}
+});
+
+/**
+ * Route de suivi d'une tâche
+ * GET /api/jobs/:id
+ * Retourne: { "job": { id, status, stage, done, total, error, result, ... } }
+ * status : queued → running → done | failed | cancelled
+ * stage  : extraction → ocr (pages scannées) → chunking → embedding → saving (indexation),
+ *          map → reduce (résumé, plan, FAQ d'un document)
+ * Seules les tâches de l'utilisateur sont visibles (toutes celles de l'espace pour un administrateur)
+ */
+app.get('/api/jobs/:id', (req, res) => {
+	const job = getJob(req.params.id);
+	if (!job || !canSeeJob(job, req.user)) return res.status(404).json({ error: 'Tâche introuvable' });
+	res.json({ ok: true, job });
+});
+
+/**
+ * Route de liste des tâches
+ * GET /api/jobs
+ */
+app.get('/api/jobs', (req, res) => {
+	res.json({ ok: true, jobs: listJobs().filter((job) => canSeeJob(job, req.user)) });
+});
+
+/**
+ * Route d'annulation d'une tâche
+ * POST /api/jobs/:id/cancel
+ * Le fichier uploadé d'une indexation annulée est supprimé (onCancel de la tâche).
+ * Les embeddings déjà calculés restent dans le point de reprise :
+ * renvoyer le même fichier reprendra là où la tâche s'est arrêtée.
+ */
+app.post('/api/jobs/:id/cancel', (req, res) => {
+	const job = getJob(req.params.id);
+	if (!job || !canSeeJob(job, req.user)) return res.status(404).json({ error: 'Tâche introuvable' });
+	res.json({ ok: true, job: cancelJob(job.id) });
+});
+
+/**
+ * Route de liste des documents indexés
+ * GET /api/documents
+ * Retourne: { "documents": [{ id, name, chunks, createdAt, embedModel, contentHash, revision, owner, access, stale }, ...] }
+ * stale : réglages qui ont changé depuis l'indexation du document ([] = à jour)
+ * Seuls les documents que l'utilisateur peut lire sont listés
+ */
+app.get('/api/documents', (req, res) => {
+	try {
+		res.json({ ok: true, documents: listDocuments({
+			indexPath: workspacePaths(req.user.workspace).indexPath,
+			settings: INDEX_SETTINGS,
+			viewer: req.user
+		}) });
+	} catch (e) {
+		console.error('❌ Erreur liste documents:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route de suppression d'un document
+ * DELETE /api/documents/:id
+ * Retire les chunks du document sans recalculer ceux des autres documents
+ * Réservé au propriétaire du document et aux administrateurs de l'espace
+ */
+app.delete('/api/documents/:id', (req, res) => {
+	try {
+		const { indexPath } = workspacePaths(req.user.workspace);
+
+		// Document inconnu (ou invisible pour l'utilisateur)
+		const doc = getDocument({ indexPath, docId: req.params.id, viewer: req.user });
+		if (!doc) return res.status(404).json({ error: 'Document introuvable' });
+		if (!canWrite(doc, req.user)) return res.status(403).json({ error: 'Seul le propriétaire du document peut le supprimer' });
+
+		const removed = deleteDocument({ indexPath, docId: doc.id });
+		if (!removed) return res.status(404).json({ error: 'Document introuvable' });
+		forgetDocumentTasks({ indexPath, docId: doc.id });
+
+		console.log(`🗑️  Document supprimé: ${removed.name} (${removed.chunks} chunks)`);
+
+		res.json({ ok: true, document: removed });
+	} catch (e) {
+		console.error('❌ Erreur suppression:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route de modification de la visibilité d'un document
+ * PATCH /api/documents/:id
+ * Body: { "access": "private" }  ('workspace', 'private', 'groups:rh,direction' ou ["rh", "direction"])
+ * Réservé au propriétaire du document et aux administrateurs de l'espace
+ */
+app.patch('/api/documents/:id', (req, res) => {
+	try {
+		const access = req.body?.access === undefined ? null : parseAccess(req.body.access);
+		if (!access) return res.status(400).json({ error: 'access doit valoir workspace, private ou groups:<groupe>,<groupe>' });
+
+		const { indexPath } = workspacePaths(req.user.workspace);
+		const doc = getDocument({ indexPath, docId: req.params.id, viewer: req.user });
+		if (!doc) return res.status(404).json({ error: 'Document introuvable' });
+		if (!canWrite(doc, req.user)) return res.status(403).json({ error: 'Seul le propriétaire du document peut changer sa visibilité' });
+
+		const updated = setDocumentAccess({ indexPath, docId: doc.id, access });
+		console.log(`🔒 Visibilité de ${updated.name}: ${Array.isArray(access) ? `groupes ${access.join(', ')}` : access}`);
+
+		res.json({ ok: true, document: updated });
+	} catch (e) {
+		console.error('❌ Erreur visibilité:', e.message);
 		res.status(500).json({ error: String(e?.message || e) });
 	}
 });
 
+/**
+ * Route des tâches sur un document entier : résumé, plan, FAQ
+ * POST /api/documents/:id/summary | /api/documents/:id/outline | /api/documents/:id/faq
+ * Body (optionnel): { "model": "mistral", "refresh": true }
+ * Tous les chunks du document passent par le modèle (map-reduce, voir doctasks.js) :
+ * - résultat déjà calculé pour cette version du document et ce modèle :
+ *   { "cached": true, "result": { text, items, ... } }
+ * - sinon la tâche tourne en tâche de fond (202) : { "jobId": "...", "job": {...} } ;
+ *   suivre l'avancement avec GET /api/jobs/:id (stage : map, puis reduce), le résultat est dans job.result
+ * "refresh": true recalcule même si un résultat existe.
+ * Ouvert à tous ceux qui peuvent lire le document.
+ */
+app.post('/api/documents/:id/:task', (req, res) => {
+	const { task } = req.params;
+	if (!DOCUMENT_TASKS.includes(task)) {
+		return res.status(404).json({ error: `Tâche inconnue (tâches possibles : ${DOCUMENT_TASKS.join(', ')})` });
+	}
+
+	// Modèle de génération (optionnel) : remplace CHAT_MODEL pour cette tâche
+	const chatModel = req.body?.model ?? CONFIG.chatModel;
+	if (typeof chatModel !== 'string' || !MODEL_PATTERN.test(chatModel)) {
+		return res.status(400).json({ error: 'model doit être un nom de modèle (lettres, chiffres, . : / - _)' });
+	}
+
+	// Recalculer même si un résultat existe (optionnel)
+	const refresh = req.body?.refresh ?? false;
+	if (typeof refresh !== 'boolean') return res.status(400).json({ error: 'refresh doit être un booléen' });
+
+	try {
+		const { indexPath } = workspacePaths(req.user.workspace);
+		const doc = getDocument({ indexPath, docId: req.params.id, viewer: req.user });
+		if (!doc) return res.status(404).json({ error: 'Document introuvable' });
+
+		// Résultat déjà calculé : renvoyé tout de suite
+		const cached = refresh ? null : cachedDocumentTask({ indexPath, document: doc, task, chatModel });
+		if (cached) return res.json({ ok: true, cached: true, result: cached });
+
+		const viewer = req.user;
+		const job = submitJob({
+			type: task,
+			queue: `${viewer.workspace}/documents`,  // File séparée : ne bloque pas l'indexation
+			owner: viewer.id,                        // Limite de tâches par utilisateur
+			meta: { source: doc.name, document: doc.id, workspace: viewer.workspace, user: viewer.id },
+			run: async ({ signal, report }) => {
+				console.log(`📝 ${task} de: ${doc.name} (${doc.chunks} chunks)`);
+
+				const result = await runDocumentTask({
+					indexPath: indexPath,  // Corpus de l'espace
+					docId: doc.id,         // Document à traiter
+					task: task,            // summary, outline ou faq
+					chatModel: chatModel,  // Modèle de génération
+					onProgress: report,    // Avancement de la tâche (map, reduce)
+					signal: signal         // Annulation de la tâche
+				}).catch((e) => {
+					console.error(signal.aborted ? `⏹️  ${task} annulé: ${doc.name}` : `❌ Erreur ${task}: ${e.message}`);
+					throw e;
+				});
+
+				console.log(`✅ ${task} terminé: ${doc.name} (${result.parts} parties, ${result.calls} appels au modèle)`);
+				return result;
+			}
+		});
+
+		res.status(202).json({ ok: true, jobId: job.id, job });
+	} catch (e) {
+		// (trop de tâches en attente pour cet utilisateur : 429 too_many_jobs)
+		console.error(`❌ Erreur ${task}:`, e.message);
+		res.status(e.status || 500).json({ error: String(e?.message || e), code: e.code });
+	}
+});
+
+/**
+ * Route de lecture d'un chunk (passage exact d'une citation)
+ * GET /api/chunks/:id
+ * Retourne: { "chunk": { "id", "docId", "source", "pageStart", "pageEnd", "heading", "text" } }
+ */
+app.get('/api/chunks/:id', (req, res) => {
+	try {
+		const chunk = getChunk({
+			indexPath: workspacePaths(req.user.workspace).indexPath,
+			chunkId: req.params.id,
+			viewer: req.user
+		});
+		if (!chunk) return res.status(404).json({ error: 'Passage introuvable' });
+		res.json({ ok: true, chunk });
+	} catch (e) {
+		console.error('❌ Erreur lecture passage:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route d'export du corpus
+ * GET /api/index/export
+ * Retourne le corpus au format JSON complet (documents + chunks + embeddings),
+ * en fichier à télécharger : sauvegarde, copie vers une autre machine...
+ * Réservé aux administrateurs (l'export contient tous les documents de l'espace, même privés)
+ */
+app.get('/api/index/export', requireAdmin, (req, res) => {
+	try {
+		res.attachment('index-export.json');
+		res.json(exportCorpus({ indexPath: workspacePaths(req.user.workspace).indexPath }));
+	} catch (e) {
+		console.error('❌ Erreur export:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route d'import d'un corpus
+ * POST /api/index/import
+ * Body: FormData avec un fichier JSON exporté (clé: 'file') ; un ancien index.json est aussi accepté
+ * Les documents déjà présents (même id) sont remplacés, les autres sont conservés
+ * Réservé aux administrateurs ; le corpus est importé dans l'espace de l'administrateur
+ * Retourne: { "imported": { "documents": 2, "chunks": 84 } }
+ */
+app.post('/api/index/import', requireAdmin, importUpload.single('file'), (req, res) => {
+	if (!req.file) return res.status(400).json({ error: 'Aucun fichier JSON uploadé' });
+
+	let corpus;
+	try {
+		corpus = JSON.parse(req.file.buffer.toString('utf-8'));
+	} catch {
+		return res.status(400).json({ error: 'Fichier JSON invalide' });
+	}
+
+	try {
+		const imported = importCorpus({ indexPath: workspacePaths(req.user.workspace).indexPath, corpus });
+		console.log(`📥 Import: ${imported.documents} documents, ${imported.chunks} chunks`);
+		res.json({ ok: true, imported });
+	} catch (e) {
+		console.error('❌ Erreur import:', e.message);
+		res.status(400).json({ error: String(e?.message || e) });
+	}
+});
+
 /**
  * Route de question/réponse
  * POST /api/ask
- * Body: { "question": "Quels sont les objectifs ?" }
- * Retourne: { "answer": "...", "sources": [...] }
+ * Body: { "question": "Quels sont les objectifs ?", "documents": ["<id ou nom>", ...], "retrieval": "hybrid" }
+ * Champs optionnels :
+ * - "documents" : IDs ou noms des documents (sans lui, la recherche porte sur tout le corpus ;
+ *   un document inconnu ou illisible : 404 document_not_found)
+ * - "sources" : motifs de noms de sources, ex: ["*.md", "https://wiki.exemple.fr/*"]
+ * - "pages" : plages de pages, ex: "1-3,7" (les documents sans pages sont alors exclus)
+ *   Aucun chunk ne passe les filtres : réponse "Je ne trouve pas..." sans appeler le LLM (found = false)
+ * - "topK" : nombre de chunks envoyés au LLM (1 à 50, 5 par défaut)
+ * - "minScore" : similarité cosinus minimale ; si aucun chunk ne l'atteint, la réponse
+ *   "Je ne trouve pas..." (dans la langue de la question) est renvoyée sans appeler le LLM (found = false)
+ * - "model" : modèle de génération pour cette question (remplace CHAT_MODEL)
+ * - "retrieval" : 'vector', 'lexical' ou 'hybrid' (par défaut)
+ * - "rerank" : reclassement des 20 meilleurs candidats avant de garder les top-K :
+ *   'none' (par défaut, ou variable RERANK), 'mmr' (diversité seule), 'llm' (notes du LLM)
+ *   ou 'model' (reranker RERANK_MODEL, fournisseur openai) ; les chunks qui se chevauchent sont écartés
+ * - "mmrLambda" : poids de la pertinence face à la diversité (0 à 1, 0.7 par défaut)
+ * - "template" : modèle de prompt (fichier prompts/<nom>.txt, voir GET /api/prompts ; PROMPT_TEMPLATE par défaut)
+ * - "language" : langue de la réponse, 'auto' (celle de la question, par défaut) ou fr, en, es, de, it
+ * - "format" : 'text' (par défaut), 'markdown' ou 'json'
+ * - "schema" : schéma JSON que la réponse doit respecter (format 'json' seulement)
+ * - "cache" : false pour ne pas réutiliser la réponse d'une question proche (true par défaut)
+ * - "conversationId" : id renvoyé par la réponse précédente, pour poser une question de suivi
+ * Retourne: { "conversationId": "...", "answer": "...", "standaloneQuestion": "...", "found": true, "sources": [...],
+ *            "citations": [...], "uncitedClaims": [...], "language": "fr", "template": "default", "format": "text",
+ *            "data": null, "formatErrors": [], "cached": false }
+ * En format 'json', "data" est l'objet lu dans la réponse (null si ce n'est pas du JSON) et
+ * "formatErrors" liste les erreurs de lecture et les écarts au schéma.
+ * "cached": true signale une réponse reprise du cache (cachedFrom : question d'origine, similarité, date).
+ * Chaque citation [#n] de la réponse est reliée à son chunk (chunkId + phrase qui la soutient) ;
+ * "valid": false signale un numéro qui ne correspond à aucun passage du contexte.
+ * La recherche ne porte que sur les documents de l'espace que l'utilisateur peut lire.
  */
 app.post('/api/ask', async (req, res) => {
 	try {
-		// Récupérer la question depuis le body
-		const question = String(req.body?.question || '').trim();
-		
-		// Vérifier que la question n'est pas vide
-		if (!question) return res.status(400).json({ error: 'Question vide' });
+		// Récupérer et valider la question + les paramètres de recherche
+		const { error, conversationId, ...params } = parseAskBody(req.body);
+		if (error) return res.status(400).json({ error });
+		const { question } = params;
+
+		// Documents demandés : ils doivent exister (et être lisibles)
+		const unknown = unknownDocuments(req.user, params.documents);
+		if (unknown.length) return res.status(404).json({ error: `Document introuvable: ${unknown.join(', ')}`, code: 'document_not_found' });
+
+		// Charger (ou créer) la conversation
+		const conversation = openConversation(req, conversationId);
+		if (!conversation) return res.status(404).json({ error: 'Conversation introuvable' });
 
 		console.log(`❓ Question: ${question}`);
+		const track = trackQuestion(req, { mode: 'ask', conversation, params });
 
 		// Appeler la fonction de réponse du rag.js
 		const result = await answerQuestion({
-			indexPath: INDEX_PATH,                                 // Chemin de l'index
-			question: question,                                    // Question de l'utilisateur
-			topK: 5,                                               // Nombre de chunks à récupérer
-			chatModel: process.env.CHAT_MODEL || 'llama3.2',      // Modèle LLM
-			embedModel: process.env.EMBED_MODEL || 'nomic-embed-text' // Modèle embeddings
+			indexPath: workspacePaths(req.user.workspace).indexPath, // Index de l'espace de l'utilisateur
+			...params,                                             // Question, filtres, topK, seuil, modèle LLM, recherche, reclassement
+			viewer: req.user,                                      // Seuls ses documents lisibles sont interrogés
+			history: chatHistory(conversation),                    // Échanges précédents
+			embedModel: CONFIG.embedModel,                         // Modèle embeddings (celui de l'index)
+			rerankModel: CONFIG.rerankModel,                       // Modèle de reranking (mode 'model')
+			timings: track.timings                                 // Durée de chaque étape (journal, métriques)
+		}).catch((e) => {
+			track.finish({ error: e });
+			throw e;
 		});
 
-		console.log(`✅ Réponse générée (${result.sources.length} sources)`);
+		console.log(`✅ Réponse générée (${describeAnswer(result)}, ${result.timings.total} ms)`);
+
+		// Mémoriser l'échange pour les questions de suivi
+		// (avant le journal : une conversation qui n'a pas pu être enregistrée est une erreur)
+		try {
+			recordExchange(req, conversation, question, result, track.answerId);
+		} catch (e) {
+			track.finish({ error: e });
+			throw e;
+		}
+		track.finish({ result });
 
-		// Retourner la réponse + les sources
-		res.json({ ok: true, ...result });
+		// Retourner la réponse + les sources (answerId : pour donner un avis sur la réponse)
+		res.json({ ok: true, conversationId: conversation.id, answerId: track.answerId, ...result });
 	} catch (e) {
-		// En cas d'erreur (index manquant, Ollama down, etc.)
+		// En cas d'erreur (index manquant, modèle absent, serveur de modèles injoignable,
+		// corpus vectorisé par un autre modèle d'embeddings : 409 index_mismatch, etc.)
 		console.error('❌ Erreur réponse:', e.message);
+		res.status(e.status || 500).json({ error: String(e?.message || e), code: e.code });
+	}
+});
+
+/**
+ * Route de question/réponse en streaming (Server-Sent Events)
+ * POST /api/ask/stream
+ * Body: identique à /api/ask
+ * Événements envoyés :
+ * - conversation : { "conversationId": "..." }   (dès le début, pour les questions de suivi)
+ * - token : { "content": "..." }                 (un morceau de la réponse)
+ * - done  : { "answer": "...", "sources": [...], "citations": [...] } (réponse complète + sources + citations)
+ * - error : { "error": "..." }
+ * Si le client ferme la connexion, la génération du LLM est interrompue.
+ */
+app.post('/api/ask/stream', async (req, res) => {
+	// Récupérer et valider la question + les paramètres de recherche,
+	// puis charger (ou créer) la conversation : avant les en-têtes SSE, une erreur est une réponse JSON
+	let params, conversation;
+	try {
+		const { error, conversationId, ...rest } = parseAskBody(req.body);
+		if (error) return res.status(400).json({ error });
+		params = rest;
+
+		const unknown = unknownDocuments(req.user, params.documents);
+		if (unknown.length) return res.status(404).json({ error: `Document introuvable: ${unknown.join(', ')}`, code: 'document_not_found' });
+
+		conversation = openConversation(req, conversationId);
+		if (!conversation) return res.status(404).json({ error: 'Conversation introuvable' });
+	} catch (e) {
+		console.error('❌ Erreur réponse (stream):', e.message);
+		return res.status(e.status || 500).json({ error: String(e?.message || e), code: e.code });
+	}
+	const { question } = params;
+
+	console.log(`❓ Question (stream): ${question}`);
+
+	// En-têtes SSE : la connexion reste ouverte et les événements arrivent au fil de l'eau
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream; charset=utf-8',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive'
+	});
+
+	// Annuler la génération si le client se déconnecte (bouton "Annuler")
+	const controller = new AbortController();
+	res.on('close', () => {
+		if (!res.writableEnded) controller.abort();
+	});
+
+	sendEvent(res, 'conversation', { conversationId: conversation.id });
+	const track = trackQuestion(req, { mode: 'stream', conversation, params });
+
+	try {
+		const result = await answerQuestionStream({
+			indexPath: workspacePaths(req.user.workspace).indexPath,
+			...params,
+			viewer: req.user,
+			history: chatHistory(conversation),
+			embedModel: CONFIG.embedModel,
+			rerankModel: CONFIG.rerankModel,
+			signal: controller.signal,
+			timings: track.timings,
+			onToken: (token) => sendEvent(res, 'token', { content: token })
+		});
+
+		console.log(`✅ Réponse streamée (${describeAnswer(result)})`);
+
+		// Mémoriser l'échange (une réponse annulée n'est pas gardée)
+		recordExchange(req, conversation, question, result, track.answerId);
+		track.finish({ result });
+
+		sendEvent(res, 'done', { answerId: track.answerId, ...result });
+	} catch (e) {
+		track.finish({ error: e, cancelled: controller.signal.aborted });
+
+		// Annulation par le client : rien à lui renvoyer
+		if (controller.signal.aborted) {
+			console.log('⏹️  Génération annulée par le client');
+			return;
+		}
+		console.error('❌ Erreur réponse (stream):', e.message);
+		sendEvent(res, 'error', { error: String(e?.message || e), code: e.code });
+	}
+	res.end();
+});
+
+/**
+ * Route de lecture d'une conversation
+ * GET /api/conversations/:id
+ * Chaque utilisateur ne voit que ses propres conversations
+ * Retourne: { "conversation": { id, createdAt, updatedAt, messages: [...] } }
+ */
+app.get('/api/conversations/:id', (req, res) => {
+	try {
+		const conversation = findConversation(req, req.params.id);
+		if (!conversation) return res.status(404).json({ error: 'Conversation introuvable' });
+
+		res.json({ ok: true, conversation });
+	} catch (e) {
+		console.error('❌ Erreur conversation:', e.message);
 		res.status(500).json({ error: String(e?.message || e) });
 	}
 });
 
+/**
+ * Route de suppression d'une conversation
+ * DELETE /api/conversations/:id
+ */
+app.delete('/api/conversations/:id', (req, res) => {
+	try {
+		const conversation = findConversation(req, req.params.id);
+		if (!conversation || !deleteConversation({ dir: workspacePaths(req.user.workspace).conversationsDir, id: conversation.id })) {
+			return res.status(404).json({ error: 'Conversation introuvable' });
+		}
+		res.json({ ok: true });
+	} catch (e) {
+		console.error('❌ Erreur suppression conversation:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route d'avis sur une réponse
+ * POST /api/answers/:id/feedback
+ * Body: { "rating": "up", "comment": "..." }  (rating : 'up' ou 'down' ; comment optionnel)
+ * L'id est l'answerId renvoyé avec la réponse ; seul l'auteur de la question peut la noter.
+ * Un nouvel avis sur la même réponse remplace le précédent.
+ * Retourne: { "ok": true, "feedback": { createdAt, answerId, user, rating, comment } }
+ */
+app.post('/api/answers/:id/feedback', (req, res) => {
+	const { error, rating, comment } = parseFeedback(req.body);
+	if (error) return res.status(400).json({ error });
+
+	try {
+		const { logsDir, conversationsDir } = workspacePaths(req.user.workspace);
+
+		// Réponse inconnue, d'un autre utilisateur, ou jamais donnée (erreur, annulation)
+		const query = findQuery({ dir: logsDir, answerId: req.params.id });
+		if (!query || query.user !== req.user.id || !['answered', 'not_found'].includes(query.outcome)) {
+			return res.status(404).json({ error: 'Réponse introuvable' });
+		}
+
+		const feedback = logFeedback({ dir: logsDir, answerId: query.answerId, user: req.user.id, rating, comment });
+		feedbackTotal.inc({ rating });
+
+		// Garder l'avis dans la conversation (affiché quand elle est rechargée)
+		const conversation = findConversation(req, query.conversationId);
+		const message = conversation?.messages.find((m) => m.answerId === query.answerId);
+		if (message) {
+			message.feedback = rating;
+			saveConversation({ dir: conversationsDir, conversation });
+		}
+
+		console.log(`${rating === 'up' ? '👍' : '👎'} Avis sur la réponse ${query.answerId}`);
+		res.json({ ok: true, feedback });
+	} catch (e) {
+		console.error('❌ Erreur avis:', e.message);
+		res.status(500).json({ error: String(e?.message || e) });
+	}
+});
+
+/**
+ * Route des métriques (format texte de Prometheus)
+ * GET /api/metrics
+ * Requêtes par route et code HTTP, durées, questions par résultat, erreurs par code,
+ * durée de chaque étape du pipeline, avis, indexations
+ * Compteurs de tout le serveur (tous espaces confondus, sans contenu des questions) ;
+ * réservé aux administrateurs : Prometheus s'authentifie avec une clé d'API
+ */
+app.get('/api/metrics', requireAdmin, (req, res) => {
+	res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// ============================================
+// GESTION DES ERREURS
+// ============================================
+
+/**
+ * Erreurs levées avant les routes (upload trop gros, format refusé, JSON invalide...)
+ * Réponse : { "error": "...", "code": "..." } avec le code HTTP adapté
+ */
+app.use((err, req, res, next) => {
+	if (err instanceof multer.MulterError) {
+		if (err.code === 'LIMIT_FILE_SIZE') {
+			return res.status(413).json({
+				error: `Fichier trop volumineux (maximum ${UPLOAD_LIMITS.maxFileBytes / 1024 / 1024} Mo)`,
+				code: 'file_too_large'
+			});
+		}
+		return res.status(400).json({ error: err.message, code: err.code });
+	}
+
+	const status = err.status || err.statusCode || 500;
+	if (status >= 500) console.error('❌ Erreur:', err.message);
+	res.status(status).json({ error: String(err?.message || err), code: err.code });
+});
+
 // ============================================
 // DÉMARRAGE DU SERVEUR
 // ============================================
 
+// Nettoyer les uploads au démarrage, puis toutes les heures
+// (unref : ce minuteur n'empêche pas le processus de s'arrêter)
+sweepUploads();
+setInterval(sweepUploads, CLEANUP_INTERVAL_MS).unref();
+
 app.listen(PORT, () => {
 	console.log('');
 	console.log('🚀 ========================================');
@@ -178,16 +1341,35 @@ app.listen(PORT, () => {
 	console.log('');
 	console.log(`   📍 Serveur web:    http://localhost:${PORT}`);
 	console.log(`   📍 API Health:     http://localhost:${PORT}/api/health`);
-	console.log(`   📍 Ollama API:     http://localhost:11434`);
-	console.log('');
-	console.log('   📦 Modèles requis:');
-	console.log('      - ollama pull llama3.2');
-	console.log('      - ollama pull nomic-embed-text');
+	const provider = getDefaultProvider();
+	console.log(`   📍 Modèles:        ${provider.name}${provider.baseUrl ? ` (${provider.baseUrl})` : ''}`);
+	console.log(`   📍 Embeddings:     ${CONFIG.embedModel} (chunks de ${CONFIG.chunkTokens} tokens, chevauchement ${CONFIG.overlapTokens})`);
+	console.log(`   📍 Recherche:      ${CONFIG.vectorIndex === 'hnsw' ? 'HNSW (approximative)' : 'exacte'}, top-${CONFIG.topK}`);
+	console.log(`   📍 Reclassement:   ${CONFIG.rerank}`);
+	console.log(`   📍 Authentification: ${AUTH_ENABLED ? 'activée' : 'désactivée (AUTH=off)'}`);
+	const ocr = CONFIG.ocr;
+	console.log(`   📍 OCR:            ${!ocr.enabled ? 'désactivé (OCR=off)' : ocrAvailable() ? `${ocr.langs} (modèles : ${ocr.langPath})` : 'indisponible (npm install tesseract.js)'}`);
+	console.log(`   📍 Uploads:        ${UPLOAD_LIMITS.maxFileBytes / 1024 / 1024} Mo max, ${UPLOAD_LIMITS.maxPages} pages max, conservés ${UPLOAD_LIMITS.retentionDays ? `${UPLOAD_LIMITS.retentionDays} jours` : 'sans limite'}`);
 	console.log('');
+	if (AUTH_ENABLED && !loadUsers().length) {
+		console.log('   🔑 Aucun compte : créez-en un (la clé d\'API s\'affiche une fois)');
+		console.log('      - node auth.js add-user admin --workspace default --admin');
+		console.log('      - echo "mot de passe" | node auth.js set-password admin');
+		console.log('');
+	}
+	if (provider.name === 'ollama') {
+		console.log('   📦 Modèles requis:');
+		console.log(`      - ollama pull ${CONFIG.chatModel}`);
+		console.log(`      - ollama pull ${CONFIG.embedModel}`);
+		console.log('');
+	}
 	console.log('   📂 Dossiers:');
-	console.log(`      - Uploads: ${UPLOADS_DIR}`);
-	console.log(`      - Index:   ${INDEX_PATH}`);
+	console.log(`      - Données: ${DATA_DIR}`);
+	console.log(`      - Configuration: ${CONFIG.file || 'variables d\'environnement (pas de rag.config.json)'}`);
+	console.log(`      - Espaces: ${path.join(DATA_DIR, 'workspaces')} (l'espace "default" reste dans ${DATA_DIR})`);
 	console.log('');
 	console.log('🚀 ========================================');
 	console.log('');
+
+	checkIndexes();
 });
@@ -0,0 +1,478 @@
+// ============================================
+// STORE.JS - Stockage du corpus (documents + chunks + vecteurs)
+// ============================================
+// Avant, chaque question relisait et reparsait tout index.json (embeddings
+// compris, en texte indenté), puis comparait la question à chaque chunk.
+// Le "store" garde maintenant le corpus en mémoire entre deux requêtes :
+//
+// - index.json            : documents + chunks (texte, métadonnées, termes BM25), sans les vecteurs
+// - index.vectors.<x>.bin : tous les vecteurs, en Float32 binaire, normalisés (norme 1)
+//                           → similarité cosinus = simple produit scalaire
+//
+// - Le fichier est relu seulement s'il a changé sur le disque (autre processus, CLI...)
+// - Recherche exacte par défaut ; index HNSW (approximatif, voir hnsw.js)
+//   pour les gros corpus avec VECTOR_INDEX=hnsw
+// - Le format JSON complet (embeddings compris) reste disponible en import/export ;
+//   un ancien index.json est converti au premier chargement (copie gardée en index.json.bak)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createHnsw, dot } = require('./hnsw');
+
+// Version du format de index.json (1 = un seul document, 2 = JSON avec embeddings, 3 = vecteurs binaires)
+const FORMAT_VERSION = 3;
+
+// Taille minimale du corpus pour utiliser HNSW : en dessous, la recherche exacte est assez rapide
+const ANN_MIN_ITEMS = 2000;
+
+// ============================================
+// PARTIE 1 : FORMAT JSON (import/export, anciens index)
+// ============================================
+
+/**
+ * Crée un corpus vide (format JSON)
+ *
+ * Format du corpus :
+ * - documents : un enregistrement par document indexé (nom, nombre de chunks, date, modèle)
+ * - items : les chunks de TOUS les documents (chacun référence son docId)
+ */
+function emptyCorpus() {
+  return {
+    version: 2,          // Version du format JSON (1 = ancien index à un seul document)
+    updatedAt: null,     // Date de la dernière modification
+    documents: [],       // Liste des documents indexés
+    items: []            // Tous les chunks + embeddings
+  };
+}
+
+/**
+ * Lit un corpus au format JSON (export, ou ancien index.json)
+ *
+ * Les anciens index (un seul document, sans tableau "documents")
+ * sont convertis à la volée pour ne pas perdre ce qui a déjà été vectorisé.
+ */
+function corpusFromJson(db) {
+  // Format actuel : rien à faire
+  if (Array.isArray(db?.documents)) {
+    return db;
+  }
+
+  // Ancien format : tout l'index correspond à un seul document
+  const corpus = emptyCorpus();
+  const items = db?.items || [];
+  if (!items.length) return corpus;
+
+  const docId = 'legacy';
+  corpus.updatedAt = db.createdAt || null;
+  corpus.documents.push({
+    id: docId,
+    name: db.source,
+    chunks: items.length,
+    createdAt: db.createdAt || null,
+    embedModel: db.embedModel,
+    chunkSize: db.chunkSize,
+    chunkOverlap: db.chunkOverlap
+  });
+  corpus.items = items.map((item) => ({ ...item, docId: docId }));
+  return corpus;
+}
+
+// ============================================
+// PARTIE 2 : VECTEURS
+// ============================================
+
+/**
+ * Normalise un vecteur (norme 1), en Float32
+ * Après normalisation : cos(A, B) = A · B (plus besoin de diviser par les normes)
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+/**
+ * Erreur de dimension : les vecteurs d'un même index doivent avoir la même taille
+ * (un changement de modèle d'embeddings change souvent la dimension)
+ */
+function checkDimensions(expected, vector, what) {
+  if (expected && vector.length !== expected) {
+    throw new Error(`Dimension ${what} (${vector.length}) différente de celle de l'index (${expected}) : le modèle d'embeddings a changé ? Réindexez les documents avec le même modèle.`);
+  }
+}
+
+/**
+ * Écrit un fichier de façon atomique (fichier temporaire puis renommage) :
+ * un arrêt brutal pendant l'écriture ne laisse pas un fichier à moitié écrit
+ */
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+// ============================================
+// PARTIE 3 : STORE
+// ============================================
+
+// Stores ouverts (un par fichier d'index) : gardés en mémoire entre les requêtes
+const stores = new Map();
+
+/**
+ * Options du store d'après les variables d'environnement
+ *   VECTOR_INDEX  exact | hnsw   (défaut : exact)
+ */
+function storeOptionsFromEnv(env = process.env) {
+  const index = env.VECTOR_INDEX || 'exact';
+  if (!['exact', 'hnsw'].includes(index)) {
+    throw new Error(`VECTOR_INDEX inconnu: ${index} (valeurs possibles : exact, hnsw)`);
+  }
+  return { ann: index === 'hnsw' };
+}
+
+/**
+ * Ouvre le store d'un index (le même objet est renvoyé à chaque appel)
+ *
+ * Options (prises en compte à la première ouverture) :
+ * - ann         : utiliser un index HNSW pour la recherche vectorielle
+ * - annMinItems : taille minimale du corpus pour utiliser HNSW
+ */
+function openStore(indexPath, options = storeOptionsFromEnv()) {
+  const key = path.resolve(indexPath);
+  if (!stores.has(key)) stores.set(key, createStore(key, options));
+  return stores.get(key);
+}
+
+/**
+ * Crée un store pour un fichier d'index
+ */
+function createStore(indexPath, { ann = false, annMinItems = ANN_MIN_ITEMS } = {}) {
+  // État en mémoire
+  let meta = null;        // { version, updatedAt, dimensions, vectorsFile, documents, items }
+  let vectors = [];       // vectors[i] = vecteur normalisé de meta.items[i] (Float32Array)
+  let stat = null;        // Taille + date du fichier lu (pour savoir s'il a changé)
+  let graph = null;       // Index HNSW (construit à la première recherche)
+
+  // Index vide (pas encore de fichier, ou avant une conversion)
+  const emptyMeta = () => ({ version: FORMAT_VERSION, updatedAt: null, dimensions: null, vectorsFile: null, documents: [], items: [] });
+
+  /**
+   * Fichier d'index actuellement sur le disque (null s'il n'existe pas)
+   */
+  function diskStat() {
+    try {
+      const s = fs.statSync(indexPath);
+      return { mtimeMs: s.mtimeMs, size: s.size };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Charge l'index s'il n'est pas en mémoire ou s'il a changé sur le disque
+   */
+  function refresh() {
+    const current = diskStat();
+    if (meta && current?.mtimeMs === stat?.mtimeMs && current?.size === stat?.size) return;
+
+    graph = null;
+    if (!current) {
+      meta = emptyMeta();
+      vectors = [];
+      stat = null;
+      return;
+    }
+
+    const db = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+
+    // Ancien index JSON (embeddings dans le fichier) : convertir une fois pour toutes
+    if (db?.version !== FORMAT_VERSION) {
+      fs.copyFileSync(indexPath, `${indexPath}.bak`);
+      meta = emptyMeta();
+      vectors = [];
+      importCorpus(corpusFromJson(db));
+      console.log(`📦 Index converti au format binaire (copie de l'ancien fichier : ${path.basename(indexPath)}.bak)`);
+      return;
+    }
+
+    meta = db;
+    vectors = readVectors(db);
+    stat = current;
+  }
+
+  /**
+   * Lit le fichier binaire des vecteurs : items.length × dimensions Float32
+   */
+  function readVectors(db) {
+    if (!db.items.length) return [];
+
+    const buffer = fs.readFileSync(path.join(path.dirname(indexPath), db.vectorsFile));
+    const expected = db.items.length * db.dimensions * 4;
+    if (buffer.length !== expected) {
+      throw new Error(`Index corrompu : ${db.vectorsFile} contient ${buffer.length} octets au lieu de ${expected}`);
+    }
+
+    // Float32Array exige un décalage multiple de 4 : copier si le buffer n'est pas aligné
+    const all = buffer.byteOffset % 4 === 0
+      ? new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4)
+      : new Float32Array(Uint8Array.from(buffer).buffer);
+
+    return db.items.map((_, i) => all.subarray(i * db.dimensions, (i + 1) * db.dimensions));
+  }
+
+  /**
+   * Sauvegarde l'index : d'abord un nouveau fichier de vecteurs,
+   * puis index.json qui le référence, enfin suppression de l'ancien fichier de vecteurs
+   * (un arrêt brutal laisse toujours un index cohérent)
+   */
+  function persist() {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+
+    const previousVectors = meta.vectorsFile;
+    const all = new Float32Array(vectors.length * (meta.dimensions || 0));
+    vectors.forEach((v, i) => all.set(v, i * meta.dimensions));
+
+    meta.updatedAt = new Date().toISOString();
+    meta.vectorsFile = `${path.basename(indexPath, '.json')}.vectors.${crypto.randomBytes(4).toString('hex')}.bin`;
+    writeAtomic(path.join(path.dirname(indexPath), meta.vectorsFile), Buffer.from(all.buffer));
+    writeAtomic(indexPath, JSON.stringify(meta));
+
+    if (previousVectors) fs.rmSync(path.join(path.dirname(indexPath), previousVectors), { force: true });
+    stat = diskStat();
+  }
+
+  /**
+   * Sauvegarde index.json seul (les vecteurs n'ont pas changé)
+   */
+  function persistMeta() {
+    meta.updatedAt = new Date().toISOString();
+    writeAtomic(indexPath, JSON.stringify(meta));
+    stat = diskStat();
+  }
+
+  /**
+   * Index HNSW à jour (null si désactivé ou si le corpus est trop petit)
+   */
+  function annIndex() {
+    if (!ann || meta.items.length < annMinItems) return null;
+    if (!graph || graph.needsRebuild) {
+      graph = createHnsw();
+      meta.items.forEach((item, i) => graph.add(item.id, vectors[i]));
+    }
+    return graph;
+  }
+
+  /**
+   * Remplace (ou ajoute) les documents donnés et leurs chunks, sans sauvegarder
+   * items : chunks avec leur "embedding" (tableau de nombres)
+   */
+  function put(documents, items) {
+    const ids = new Set(documents.map((d) => d.id));
+    const keep = meta.items.map((item) => !ids.has(item.docId));
+
+    // Vecteurs normalisés, tous de la même dimension
+    // (vérifiés avant toute modification : une erreur laisse l'index intact)
+    let dimensions = keep.some(Boolean) ? meta.dimensions : null;
+    const added = items.map((item) => {
+      const vector = normalize(item.embedding);
+      dimensions = dimensions || vector.length;
+      checkDimensions(dimensions, vector, `de l'embedding du chunk ${item.id}`);
+      return vector;
+    });
+
+    // Retirer les anciennes versions, puis ajouter les nouvelles
+    if (graph) meta.items.forEach((item, i) => !keep[i] && graph.remove(item.id));
+    meta.documents = meta.documents.filter((d) => !ids.has(d.id)).concat(documents);
+    meta.items = meta.items.filter((_, i) => keep[i]).concat(items.map(({ embedding, ...item }) => item));
+    vectors = vectors.filter((_, i) => keep[i]).concat(added);
+    meta.dimensions = meta.items.length ? dimensions : null;
+    if (graph) items.forEach((item, i) => graph.add(item.id, added[i]));
+  }
+
+  /**
+   * Ajoute les documents d'un corpus JSON (ceux qui existent déjà sont remplacés)
+   */
+  function importCorpus(corpus) {
+    const withEmbedding = corpus.items.filter((item) => Array.isArray(item.embedding));
+    if (withEmbedding.length !== corpus.items.length) {
+      throw new Error(`Import impossible : ${corpus.items.length - withEmbedding.length} chunks sans embedding`);
+    }
+    put(corpus.documents, corpus.items);
+    persist();
+    return { documents: corpus.documents.length, chunks: corpus.items.length };
+  }
+
+  return {
+    /**
+     * Documents du corpus
+     */
+    documents() {
+      refresh();
+      return meta.documents;
+    },
+
+    /**
+     * Chunks du corpus (sans leurs vecteurs)
+     */
+    items() {
+      refresh();
+      return meta.items;
+    },
+
+    /**
+     * Dimension des vecteurs de l'index (null si l'index est vide)
+     */
+    dimensions() {
+      refresh();
+      return meta.dimensions;
+    },
+
+    /**
+     * Version de l'index : date de la dernière modification (null si l'index est vide)
+     * Change à chaque ajout, retrait ou modification d'un document (voir le cache des réponses)
+     */
+    version() {
+      refresh();
+      return meta.updatedAt;
+    },
+
+    /**
+     * Vecteur normalisé d'un chunk (même position que dans items())
+     */
+    vectorAt(i) {
+      refresh();
+      return vectors[i];
+    },
+
+    /**
+     * Vecteurs normalisés de certains chunks (Map id → vecteur)
+     */
+    vectorsOf(ids) {
+      refresh();
+      const wanted = new Set(ids);
+      const found = new Map();
+      meta.items.forEach((item, i) => {
+        if (wanted.has(item.id)) found.set(item.id, vectors[i]);
+      });
+      return found;
+    },
+
+    /**
+     * Ajoute un document et ses chunks (une version précédente du même id est remplacée)
+     * Retourne true si une version précédente existait
+     */
+    replaceDocument(document, items) {
+      refresh();
+      const replaced = meta.documents.some((d) => d.id === document.id);
+      put([document], items);
+      persist();
+      return replaced;
+    },
+
+    /**
+     * Modifie les informations d'un document (ex: visibilité), sans toucher à ses chunks
+     * Retourne le document modifié, ou null s'il n'existe pas
+     */
+    updateDocument(docId, patch) {
+      refresh();
+      const doc = meta.documents.find((d) => d.id === docId);
+      if (!doc) return null;
+
+      Object.assign(doc, patch);
+      persistMeta();
+      return doc;
+    },
+
+    /**
+     * Retire un document et ses chunks
+     * Retourne le document retiré, ou null s'il n'existe pas
+     */
+    removeDocument(docId) {
+      refresh();
+      const doc = meta.documents.find((d) => d.id === docId);
+      if (!doc) return null;
+
+      const keep = meta.items.map((item) => item.docId !== docId);
+      if (graph) meta.items.filter((_, i) => !keep[i]).forEach((item) => graph.remove(item.id));
+      meta.documents = meta.documents.filter((d) => d.id !== docId);
+      meta.items = meta.items.filter((_, i) => keep[i]);
+      vectors = vectors.filter((_, i) => keep[i]);
+      if (!meta.items.length) meta.dimensions = null;
+
+      persist();
+      return doc;
+    },
+
+    /**
+     * Les k chunks les plus proches d'un vecteur (similarité cosinus)
+     *
+     * filter(item) : ne garder que certains chunks (ex: documents sélectionnés)
+     * Avec HNSW, si le filtre écarte trop de résultats approchés,
+     * la recherche exacte prend le relais sur les chunks filtrés.
+     *
+     * Retourne [{ item, score }] trié par score décroissant
+     */
+    search(vector, { k = 5, filter } = {}) {
+      refresh();
+      const query = normalize(vector);
+      checkDimensions(meta.dimensions, query, "de l'embedding de la question");
+
+      const graphIndex = annIndex();
+      if (graphIndex) {
+        const positions = new Map(meta.items.map((item, i) => [item.id, i]));
+        const found = graphIndex.search(query, k, {
+          filter: filter ? (id) => filter(meta.items[positions.get(id)]) : undefined
+        });
+        const enough = found.length >= k || (!filter && found.length === meta.items.length);
+        if (enough) return found.map((s) => ({ item: meta.items[positions.get(s.key)], score: s.score }));
+      }
+
+      // Recherche exacte : un produit scalaire par chunk
+      const scored = [];
+      meta.items.forEach((item, i) => {
+        if (filter && !filter(item)) return;
+        scored.push({ item, score: dot(query, vectors[i]) });
+      });
+      return scored.sort((a, b) => b.score - a.score).slice(0, k);
+    },
+
+    /**
+     * Exporte le corpus au format JSON complet (embeddings compris)
+     */
+    toJson() {
+      refresh();
+      return {
+        ...emptyCorpus(),
+        updatedAt: meta.updatedAt,
+        documents: meta.documents,
+        items: meta.items.map((item, i) => ({ ...item, embedding: Array.from(vectors[i]) }))
+      };
+    },
+
+    /**
+     * Importe un corpus JSON (export, ou ancien index.json)
+     * Les documents déjà présents (même id) sont remplacés.
+     */
+    importJson(db) {
+      refresh();
+      return importCorpus(corpusFromJson(db));
+    }
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  openStore,             // Ouvrir le store d'un index (gardé en mémoire)
+  storeOptionsFromEnv,   // Options d'après les variables d'environnement
+  normalize,             // Normaliser un vecteur (Float32, norme 1)
+  FORMAT_VERSION         // Version du format de index.json
+};
@@ -0,0 +1,193 @@
+// ============================================
+// UPLOADS.JS - Fichiers uploadés : limites, noms, rangement, nettoyage
+// ============================================
+// Les documents reçus par POST /api/index passent par ce fichier :
+// 1. Limites configurables (taille du fichier, nombre de pages d'un PDF)
+// 2. Nom d'origine nettoyé avant d'être utilisé comme nom de document
+//    (chemins, caractères de contrôle, texte inversé, noms trop longs)
+// 3. Rangement sous l'empreinte du contenu : uploads/<sha256>.<ext>
+// 4. Nettoyage : les fichiers ne restent pas indéfiniment dans uploads/
+//    - fichiers temporaires (.part) d'un upload interrompu
+//    - fichiers dont le document a été supprimé (ou dont l'indexation a échoué)
+//    - fichiers plus anciens que la durée de conservation (le document reste indexé :
+//      le fichier d'origine ne sert qu'à le réindexer)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_MAX_PAGES } = require('./loaders');
+
+// Taille maximale d'un fichier uploadé (Mo), par défaut
+const DEFAULT_MAX_UPLOAD_MB = 50;
+
+// Durée de conservation des fichiers uploadés (jours), par défaut ; 0 = sans limite
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Délai avant de supprimer un fichier qu'aucun document n'utilise
+// (le temps que l'indexation, en file d'attente, l'ajoute au corpus)
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Longueur maximale d'un nom de document (caractères)
+const MAX_NAME_LENGTH = 200;
+
+// ============================================
+// PARTIE 1 : LIMITES
+// ============================================
+
+/**
+ * Lit un entier positif dans une variable d'environnement
+ */
+function positiveInteger(env, name, fallback, { allowZero = false } = {}) {
+  if (env[name] == null || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+    throw new Error(`${name} doit être un entier ${allowZero ? 'positif ou nul' : 'strictement positif'} (reçu: ${env[name]})`);
+  }
+  return value;
+}
+
+/**
+ * Limites des uploads d'après les variables d'environnement
+ *   UPLOAD_MAX_MB          taille maximale d'un fichier (Mo, défaut 50)
+ *   PDF_MAX_PAGES          nombre maximal de pages d'un PDF (défaut 500)
+ *   UPLOAD_RETENTION_DAYS  durée de conservation des fichiers (jours, défaut 30, 0 = sans limite)
+ */
+function uploadLimitsFromEnv(env = process.env) {
+  return {
+    maxFileBytes: positiveInteger(env, 'UPLOAD_MAX_MB', DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024,
+    maxPages: positiveInteger(env, 'PDF_MAX_PAGES', DEFAULT_MAX_PAGES),
+    retentionDays: positiveInteger(env, 'UPLOAD_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, { allowZero: true })
+  };
+}
+
+// ============================================
+// PARTIE 2 : NOMS DE FICHIERS
+// ============================================
+
+/**
+ * Nettoie le nom d'origine d'un fichier uploadé (il devient le nom du document)
+ *
+ * - chemin retiré ("../../etc/passwd" → "passwd", "C:\\docs\\a.pdf" → "a.pdf")
+ * - caractères de contrôle et de direction du texte supprimés
+ *   (U+202E permet d'afficher "rapport‮fdp.exe" comme "rapportexe.pdf")
+ * - espaces réduits, points et espaces en début/fin retirés
+ * - 200 caractères au plus, extension conservée
+ */
+function sanitizeFilename(name) {
+  let clean = String(name || '')
+    .normalize('NFC')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (clean.length > MAX_NAME_LENGTH) {
+    const ext = path.extname(clean).slice(0, 10);
+    clean = clean.slice(0, MAX_NAME_LENGTH - ext.length).trimEnd() + ext;
+  }
+  return clean || 'document';
+}
+
+// ============================================
+// PARTIE 3 : RANGEMENT
+// ============================================
+
+/**
+ * Range un fichier uploadé sous son empreinte : <dossier uploads>/<sha256>.<ext>
+ * (dans le dossier où Multer l'a reçu)
+ * Un fichier identique déjà reçu n'est pas stocké deux fois (sa date est mise à jour :
+ * la durée de conservation repart de zéro).
+ * Retourne le chemin définitif.
+ */
+function storeUpload(file, buffer = fs.readFileSync(file.path)) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  // Extension d'origine, seulement si elle est simple (ex: ".pdf")
+  const ext = path.extname(sanitizeFilename(file.originalname)).toLowerCase();
+  const finalPath = path.join(path.dirname(file.path), hash + (/^\.[a-z0-9]{1,8}$/.test(ext) ? ext : ''));
+
+  if (fs.existsSync(finalPath)) {
+    fs.rmSync(file.path, { force: true });
+    const now = new Date();
+    fs.utimesSync(finalPath, now, now);
+  } else {
+    fs.renameSync(file.path, finalPath);
+  }
+  return finalPath;
+}
+
+// ============================================
+// PARTIE 4 : NETTOYAGE
+// ============================================
+
+/**
+ * Supprime les fichiers inutiles d'un dossier uploads
+ *
+ * - referenced : empreintes (contentHash) des documents du corpus
+ * - inUse      : noms de fichiers d'indexations pas encore terminées (jamais supprimés)
+ * - retentionDays : au-delà, même un fichier encore utilisé par un document est supprimé (0 = jamais)
+ *
+ * Retourne les noms des fichiers supprimés.
+ */
+function cleanupUploads({ dir, referenced = new Set(), inUse = new Set(), retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now() }) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];  // Pas encore de dossier uploads
+  }
+
+  const removed = [];
+  for (const name of names) {
+    if (inUse.has(name)) continue;
+
+    const file = path.join(dir, name);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;  // Supprimé entre-temps
+    }
+    if (!stat.isFile()) continue;
+
+    const age = now - stat.mtimeMs;
+    const hash = path.basename(name, path.extname(name));
+    const expired = retentionDays > 0 && age > retentionDays * 24 * 60 * 60 * 1000;
+    const orphan = (name.endsWith('.part') || !referenced.has(hash)) && age > ORPHAN_GRACE_MS;
+
+    if (expired || orphan) {
+      fs.rmSync(file, { force: true });
+      removed.push(name);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Supprime tout de suite un fichier uploadé devenu inutile (indexation annulée),
+ * sans attendre le nettoyage, sauf s'il sert encore :
+ * - referenced : empreintes (contentHash) des documents du corpus (même contenu déjà indexé)
+ * - inUse      : noms de fichiers d'indexations pas encore terminées (même fichier envoyé deux fois)
+ *
+ * Retourne true si le fichier a été supprimé.
+ */
+function discardUpload({ file, referenced = new Set(), inUse = new Set() }) {
+  const name = path.basename(file);
+  const hash = path.basename(name, path.extname(name));
+  if (inUse.has(name) || referenced.has(hash)) return false;
+
+  fs.rmSync(file, { force: true });
+  return true;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  uploadLimitsFromEnv,  // Limites des uploads (variables d'environnement)
+  sanitizeFilename,     // Nettoyer le nom d'origine d'un fichier
+  storeUpload,          // Ranger un fichier uploadé sous son empreinte
+  cleanupUploads,       // Supprimer les fichiers inutiles ou trop anciens
+  discardUpload         // Supprimer le fichier d'une indexation annulée
+};